@@ -0,0 +1,70 @@
+// Times the 2D island pass with and without the cached island paths, on a Skia canvas standing in
+// for the browser's. Usage: npm run benchmark:renderer -- [seed] [frames]
+import { Canvas, Path2D } from '@napi-rs/canvas'
+import { ISLAND_COUNT, generateIslands } from '../src/islandGeneration.js'
+import { createRenderCache, drawIslands } from '../src/islandRenderer.js'
+import { MAX_FORWARD_SPEED, createSeededRng } from '../src/simulation.js'
+
+globalThis.Path2D = Path2D
+
+const VIEWPORT_WIDTH = 1280
+const VIEWPORT_HEIGHT = 800
+// Device pixel ratio and camera zoom, from the widest view to the closest on a high-density screen
+const SCENARIOS = [
+  { label: 'zoomed out', dpr: 1, zoom: 0.5 },
+  { label: 'sailing', dpr: 1, zoom: 1 },
+  { label: 'harbor, 2x screen', dpr: 2, zoom: 1.5 },
+  { label: 'closest, 2x screen', dpr: 2, zoom: 2 },
+]
+
+const seed = process.argv[2] ?? 'benchmark'
+const frames = Number(process.argv[3] ?? 240)
+const islands = generateIslands(ISLAND_COUNT, createSeededRng(seed))
+
+// The camera sails round the largest island at full speed, so islands scroll in and out of view as
+// they would at sea
+const tourIsland = islands.reduce((largest, island) =>
+  island.radius > largest.radius ? island : largest,
+)
+const tourRadius = tourIsland.radius * 1.2
+
+function getTourCamera(frame, zoom) {
+  const angle = (frame * MAX_FORWARD_SPEED) / 60 / tourRadius
+  const width = VIEWPORT_WIDTH / zoom
+  const height = VIEWPORT_HEIGHT / zoom
+  return {
+    x: tourIsland.x + Math.cos(angle) * tourRadius - width / 2,
+    y: tourIsland.y + Math.sin(angle) * tourRadius - height / 2,
+    width,
+    height,
+  }
+}
+
+function measure(ctx, scenario, cache) {
+  const start = performance.now()
+  for (let frame = 0; frame < frames; frame += 1) {
+    const camera = getTourCamera(frame, scenario.zoom)
+    const scale = scenario.dpr * scenario.zoom
+    ctx.setTransform(scale, 0, 0, scale, 0, 0)
+    ctx.clearRect(0, 0, camera.width, camera.height)
+    drawIslands(ctx, islands, camera, 0.5, frame / 60, cache)
+    // Skia records draws and rasterises them on demand; reading a pixel makes every frame paint
+    ctx.getImageData(0, 0, 1, 1)
+  }
+  return (performance.now() - start) / frames
+}
+
+console.log(`Island pass, seed "${seed}", ${frames} frames at ${VIEWPORT_WIDTH}x${VIEWPORT_HEIGHT}`)
+for (const scenario of SCENARIOS) {
+  const canvas = new Canvas(VIEWPORT_WIDTH * scenario.dpr, VIEWPORT_HEIGHT * scenario.dpr)
+  const ctx = canvas.getContext('2d')
+  const cache = createRenderCache()
+  // The first cached run includes building the paths; the second measures the steady state
+  const cold = measure(ctx, scenario, cache)
+  const live = measure(ctx, scenario, null)
+  const cached = measure(ctx, scenario, cache)
+  console.log(
+    `${scenario.label.padEnd(20)} live ${live.toFixed(2)} ms  cached ${cached.toFixed(2)} ms ` +
+      `(${(live / cached).toFixed(1)}x)  first pass ${cold.toFixed(2)} ms`,
+  )
+}
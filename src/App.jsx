@@ -1,197 +1,435 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
+import {
+  BOAT_COLLISION_OUTLINE,
+  DAMAGE_STATES,
+  DOCKING_DISTANCE,
+  HEEL_EXCESS_DEGREES,
+  MAP_SIZE,
+  MAX_FORWARD_SPEED,
+  MIN_HEALTH,
+  NO_GO_ANGLE_DEGREES,
+  SHALLOWS_TYPES,
+  SIMULATION_INPUT_LEAD_STEPS,
+  SIMULATION_STEP_SECONDS,
+  STORM_SPAWN_MIN,
+  TACK_TARGET_DEGREES,
+  TIDE_PERIOD_SECONDS,
+  TRADE_GOODS,
+  TRIM_MAX_DEGREES,
+  TWO_PI,
+  WIND_CHANGE_MAX,
+  WIND_CHANGE_MIN,
+  WIND_MAX_STRENGTH,
+  WIND_MIN_STRENGTH,
+  clamp,
+  controlKeys,
+  createSeededRng,
+  createSimulationRunner,
+  degreesToRadians,
+  getDamageStateForHealth,
+  getDaylight,
+  getHoldLoad,
+  getHoldLoadRatio,
+  getIdealSheetAngle,
+  getMaxSpeedForHealth,
+  getPointLandProximity,
+  getShallowsAt,
+  getTideLevel,
+  getTradeGood,
+  getWindMultiplierForAngle,
+  isPointInsidePolygon,
+  lerp,
+  normalizeAngle,
+  planAutopilotRoute,
+  radiansToDegrees,
+  sampleCurrent,
+  sampleWindField,
+  shortestAngleDiff,
+  trimKeys,
+} from './simulation.js'
+import {
+  ISLAND_COUNT,
+  MAP_EDGE_CLEARANCE,
+  averagePoint,
+  capitalize,
+  generateIslands,
+} from './islandGeneration.js'
+import {
+  buildSmoothPath,
+  createLayerCanvas,
+  createRenderCache,
+  drawIslands,
+  getCachedSmoothPath,
+} from './islandRenderer.js'
+import {
+  SEA_PATCH_SIZE,
+  WHITECAP_WIND_THRESHOLD,
+  getWindStreaks,
+  pseudoRandom2D,
+} from './seaEffects.js'
+import { createWebGLRenderer, isWebGLAvailable } from './webglRenderer.js'
+
+const HOLD_CAPACITY_TONS = 40
+const REPAIR_COST_PER_PERCENT = 3
+const FIELD_REPAIR_CLICKS = 5
+const FIELD_REPAIR_AMOUNT = 0.02
+const FIELD_REPAIR_MAX_HEALTH = 0.75
+const FIELD_REPAIR_SUPPLY = 'timber'
 
-const MAP_SIZE = 12000
-const MIN_SETTLEMENT_COUNT = 5
-const ISLAND_COUNT = 16
-const MIN_ISLAND_GAP = 900
-const MAP_EDGE_CLEARANCE = 900
-const DOCKING_DISTANCE = 420
-const TWO_PI = Math.PI * 2
-const MAX_FORWARD_SPEED = 260 // world units per second
-const ACCELERATION = 140
-const BRAKE_DECELERATION = 220
-const TURN_RATE = 1.8
-const MIN_HEALTH = 0.05
-
-const WIND_MIN_STRENGTH = 0.25
-const WIND_MAX_STRENGTH = 1
-const WIND_DIRECTION_VARIANCE = Math.PI / 3
-const WIND_CHANGE_MIN = 48
-const WIND_CHANGE_MAX = 92
-const WIND_ADJUST_RATE = 0.12
-const NO_GO_ANGLE_DEGREES = 20
-const TACK_TARGET_DEGREES = 35
-const TACK_TURN_RATE = 1.6
-const TACK_PERIOD_MIN = 5.5
-const TACK_PERIOD_MAX = 8.5
 const WIND_SPEED_BASE_KNOTS = 6
 const WIND_SPEED_MAX_KNOTS = 28
-
-const DAMAGE_STATES = [
-  { label: 'Sound', minHealth: 0.999, penalty: 0 },
-  { label: 'Lightly Riddled', minHealth: 0.9, penalty: 0.1 },
-  { label: 'Shaken', minHealth: 0.75, penalty: 0.25 },
-  { label: 'Much Shattered', minHealth: 0.55, penalty: 0.45 },
-  { label: 'Crippled', minHealth: 0.3, penalty: 0.7 },
-  { label: 'A Wreck', minHealth: 0.15, penalty: 0.85 },
-  { label: 'Foundering', minHealth: MIN_HEALTH, penalty: 0.95 },
-]
-
-const controlKeys = {
-  forward: ['w', 'arrowup'],
-  backward: ['s', 'arrowdown'],
-  left: ['a', 'arrowleft'],
-  right: ['d', 'arrowright'],
-}
-
-const BOAT_COLLISION_OUTLINE = [
-  { x: 58, y: 0 },
-  { x: 44, y: 18 },
-  { x: 44, y: -18 },
-  { x: 20, y: 26 },
-  { x: 20, y: -26 },
-  { x: -8, y: 30 },
-  { x: -8, y: -30 },
-  { x: -38, y: 18 },
-  { x: -38, y: -18 },
-  { x: -52, y: 0 },
-]
-
-const MAX_BOAT_EXTENT = BOAT_COLLISION_OUTLINE.reduce(
-  (max, point) => Math.max(max, Math.hypot(point.x, point.y)),
-  0,
-)
-
-const BOAT_LENGTH =
-  Math.max(...BOAT_COLLISION_OUTLINE.map((point) => point.x)) -
-  Math.min(...BOAT_COLLISION_OUTLINE.map((point) => point.x))
-const BOAT_WIDTH =
-  Math.max(...BOAT_COLLISION_OUTLINE.map((point) => point.y)) -
-  Math.min(...BOAT_COLLISION_OUTLINE.map((point) => point.y))
-const HOUSE_MAX_DIMENSION = BOAT_LENGTH / 3
+const WIND_SHADOW_MIN_RADIUS = 420
+const WIND_FUNNEL_MAX_GAP = 1800
+const STORM_VISIBILITY_LOSS = 0.55
+const STORM_WARNING_SECONDS = 240
+
+const CURRENT_STREAM_COUNT = 3
+const CURRENT_STREAM_SPEED_MIN = 14
+const CURRENT_STREAM_SPEED_MAX = 38
+const CURRENT_CHANNEL_MAX_GAP = 1500
+const CURRENT_CHANNEL_SPEED = 70
+const CURRENT_PARTICLE_COUNT = 90
+const CURRENT_PARTICLE_LIFETIME = 6
+
+const NIGHT_VISIBILITY_FACTOR = 0.6
+
+const TIDE_MEAN_METERS = 1.6
+const TIDE_RANGE_METERS = 2.4
+const TIDE_SHALLOW_BERTH_CHANCE = 0.4
+const TIDE_TABLE_ENTRIES = 4
+
+const SHALLOWS_MAX_COUNT = 18
+const SHALLOWS_MAX_GAP = 2600
+const SHALLOWS_PAIR_CHANCE = 0.55
+const SHALLOWS_COAST_CLEARANCE = 160
+const SHALLOWS_BERTH_CLEARANCE = 600
+
+const NAVIGATION_CELL_SIZE = 150
+const NAVIGATION_CLEARANCE = 170
 
 const MINIMAP_WORLD_RADIUS = 2200
-const COLLISION_EDGE_THRESHOLD = 10
-const NAME_SYLLABLE_PREFIXES = [
-  'Ash',
-  'Beck',
-  'Black',
-  'Bracken',
-  'Bright',
-  'Cinder',
-  'Cliff',
-  'Crown',
-  'Drift',
-  'Eagle',
-  'Fair',
-  'Fog',
-  'Fox',
-  'Gale',
-  'Glen',
-  'Harbor',
-  'High',
-  'Iron',
-  'King',
-  'Lark',
-  'Maple',
-  'Oak',
-  'Port',
-  'Raven',
-  'Red',
-  'Salt',
-  'Sea',
-  'Silver',
-  'Storm',
-  'Summer',
-  'Whit',
-  'Wind',
-  'Winter',
-]
+const CAMERA_MIN_ZOOM = 0.5
+const CAMERA_MAX_ZOOM = 2
+const CAMERA_KEY_ZOOM_STEP = 1.15
+const CAMERA_WHEEL_ZOOM_RATE = 0.0015
+const CAMERA_LOOK_AHEAD = 260
+const CAMERA_FOLLOW_RATE = 3
+const CAMERA_ZOOM_RATE = 2.5
+const CAMERA_HARBOR_ZOOM = 1.5
+const SWELL_TILE_SIZE = 3000
+const SWELL_CREST_COUNT = 3
+
+const STARTING_PURSE = 250
+const MARKET_SPREAD = 0.08
+const TRADE_HUB_SPREAD = 0.05
+const TRADE_QUANTITY_OPTIONS = [1, 5, 10]
+const ECONOMY_TICK_SECONDS = 1
+const ECONOMY_RECOVERY_SECONDS = 240
+const PRICE_ELASTICITY = 0.75
+const PRICE_FLOOR_FACTOR = 0.35
+const PRICE_CEILING_FACTOR = 3
+const MARKET_SHOCK_CHANCE = 0.0015
+
+const MARKET_THEME_SPECIALTIES = {
+  Spice: ['spice'],
+  Timber: ['timber'],
+  Fish: ['fish'],
+  Sails: ['sailcloth'],
+  Charts: ['charts'],
+  Trade: [],
+}
 
-const NAME_SYLLABLE_SUFFIXES = [
-  'bay',
-  'bourne',
-  'cliff',
-  'cove',
-  'ford',
-  'gate',
-  'haven',
-  'holm',
-  'mere',
-  'mist',
-  'moor',
-  'point',
-  'port',
-  'reach',
-  'rest',
-  'rock',
-  'shade',
-  'shore',
-  'stead',
-  'ton',
-  'view',
-  'watch',
-  'wick',
-]
+const SETTLEMENT_SIZE_PRODUCE = {
+  village: ['grain'],
+  'harbor-town': [],
+  'port-town': [],
+}
 
-const NAME_SECOND_WORDS = [
-  'Cove',
-  'Harbor',
-  'Haven',
-  'Isle',
-  'Island',
-  'Key',
-  'Lagoon',
-  'Point',
-  'Reach',
-  'Sound',
-  'Spire',
-  'Watch',
-]
+const SHIPYARD_PROFILES = {
+  village: { label: 'Slipway', maxHealth: 0.9, rate: 0.008, costFactor: 1.2 },
+  'harbor-town': { label: 'Shipwright', maxHealth: 1, rate: 0.014, costFactor: 1 },
+  'port-town': { label: 'Dry Dock', maxHealth: 1, rate: 0.022, costFactor: 0.9 },
+}
 
-const NAME_DESCRIPTORS = ['Isle', 'Island', 'Atoll', 'Cay']
+const LEDGER_RECENT_LIMIT = 12
+const LEDGER_ENTRY_LABELS = {
+  repair: 'Shipyard repair',
+}
 
-const SETTLEMENT_SIZE_OPTIONS = [
-  {
-    id: 'village',
-    label: 'Seaside Village',
-    minRadius: 320,
-    populationRange: [260, 640],
-    buildingRange: [10, 16],
-    dockLengthMultiplier: 0.52,
+const EXPLORATION_CELL_SIZE = 300
+const EXPLORATION_REVEAL_RADIUS = 900
+const EXPLORATION_SIGHT_RANGE = 900
+const EXPLORATION_STORAGE_PREFIX = 'sailtrade:exploration:'
+
+const SAVE_SCHEMA_VERSION = 4
+const VOYAGE_FILE_FORMAT = 'sailtrade-voyage'
+const SAVE_STORAGE_PREFIX = 'sailtrade:save:'
+const AUTOSAVE_SLOT_ID = 'autosave'
+const SAVE_SLOTS = [
+  { id: AUTOSAVE_SLOT_ID, label: 'Autosave' },
+  { id: 'slot-1', label: 'Slot 1' },
+  { id: 'slot-2', label: 'Slot 2' },
+  { id: 'slot-3', label: 'Slot 3' },
+]
+const AUTOSAVE_INTERVAL_SECONDS = 60
+// Each entry upgrades a save from the keyed version to the next one
+const SAVE_MIGRATIONS = {
+  // Version 1 did not record the wind generator, so it restarts from the seed
+  1: (save) => ({ ...save, windRngPosition: 0 }),
+  // Version 2 predates storms; the sky starts clear with a fresh storm generator
+  2: (save) => ({ ...save, storms: null, stormRngPosition: 0 }),
+  // Version 3 did not record the economy generator, so market swings restart from the seed
+  3: (save) => ({ ...save, economyRngPosition: 0 }),
+}
+const ANCHOR_STATES = ['stowed', 'dropping', 'anchored', 'weighing']
+const SEA_ZONES = ['sea', 'shore', 'shallows', 'land']
+const SAVE_VECTOR_SCHEMA = {
+  type: 'object',
+  fields: {
+    x: { type: 'number' },
+    y: { type: 'number' },
   },
-  {
-    id: 'harbor-town',
-    label: 'Harbor Town',
-    minRadius: 560,
-    populationRange: [720, 1480],
-    buildingRange: [18, 28],
-    dockLengthMultiplier: 0.6,
+}
+const SAVE_POINT_SCHEMA = {
+  type: 'object',
+  fields: {
+    x: { type: 'number', min: 0, max: MAP_SIZE },
+    y: { type: 'number', min: 0, max: MAP_SIZE },
   },
-  {
-    id: 'port-town',
-    label: 'Port Town',
-    minRadius: 700,
-    populationRange: [1600, 3200],
-    buildingRange: [30, 44],
-    dockLengthMultiplier: 0.68,
+}
+const SAVE_SCHEMA = {
+  type: 'object',
+  fields: {
+    seed: { type: 'string', minLength: 1 },
+    time: { type: 'number', min: 0 },
+    windRngPosition: { type: 'integer', min: 0 },
+    stormRngPosition: { type: 'integer', min: 0 },
+    storms: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        nextId: { type: 'integer', min: 1 },
+        spawnTimer: { type: 'number' },
+        cells: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              id: { type: 'integer', min: 1 },
+              x: { type: 'number' },
+              y: { type: 'number' },
+              vx: { type: 'number' },
+              vy: { type: 'number' },
+              radius: { type: 'number', min: 0 },
+              maxRadius: { type: 'number', min: 0 },
+              peak: { type: 'number', min: 0, max: 1 },
+              intensity: { type: 'number', min: 0, max: 1 },
+              age: { type: 'number', min: 0 },
+              lifetime: { type: 'number', min: 0 },
+              spin: { type: 'number', oneOf: [-1, 1] },
+            },
+          },
+        },
+      },
+    },
+    economyTimer: { type: 'number', min: 0, optional: true },
+    economyRngPosition: { type: 'integer', min: 0 },
+    boat: {
+      type: 'object',
+      fields: {
+        x: { type: 'number', min: 0, max: MAP_SIZE },
+        y: { type: 'number', min: 0, max: MAP_SIZE },
+        heading: { type: 'number' },
+        // A following wind can carry her past her rated top speed
+        speed: { type: 'number', min: 0, max: MAX_FORWARD_SPEED * 2 },
+        sailLevel: { type: 'number', min: 0, max: 1 },
+        sailTarget: { type: 'number', min: 0, max: 1 },
+        health: { type: 'number', min: 0, max: 1 },
+        anchorState: { type: 'string', oneOf: ANCHOR_STATES },
+        anchorProgress: { type: 'number', min: 0, max: 1 },
+        tackDirection: { type: 'number', oneOf: [-1, 1], optional: true },
+        purse: { type: 'number', min: 0 },
+        dockedSettlementId: { type: 'string', nullable: true, optional: true },
+        dryBerthId: { type: 'string', nullable: true, optional: true },
+        sheetAngle: { type: 'number', min: 0, max: TRIM_MAX_DEGREES, optional: true },
+        heel: { type: 'number', min: -90, max: 90, optional: true },
+        landStatus: {
+          type: 'object',
+          fields: {
+            zone: { type: 'string', oneOf: SEA_ZONES },
+            distance: { type: 'number', nullable: true },
+            signedDistance: { type: 'number', nullable: true },
+            penetration: { type: 'number', min: 0, optional: true },
+            islandId: { type: 'string', nullable: true, optional: true },
+            structureType: { type: 'string', nullable: true, optional: true },
+            shallowsType: { type: 'string', nullable: true, optional: true },
+          },
+        },
+        hold: {
+          type: 'object',
+          optional: true,
+          fields: {
+            capacity: { type: 'number', min: 1 },
+            stacks: { type: 'record', values: { type: 'number', min: 0 } },
+            costBasis: { type: 'record', values: { type: 'number', min: 0 }, optional: true },
+          },
+        },
+        wind: {
+          type: 'object',
+          optional: true,
+          fields: {
+            direction: { type: 'number' },
+            strength: { type: 'number', min: 0, max: 1 },
+            angleToWind: { type: 'number', min: 0, max: 180 },
+            apparentAngle: { type: 'number', min: 0, max: 180, optional: true },
+            apparentStrength: { type: 'number', min: 0, max: 2, optional: true },
+            multiplier: { type: 'number', min: 0, max: 2 },
+            isTacking: { type: 'boolean' },
+            shelter: { type: 'number', min: 0, max: 1, optional: true },
+            funnel: { type: 'number', min: 0, max: 1, optional: true },
+            storm: { type: 'number', min: 0, max: 1, optional: true },
+          },
+        },
+        repairJob: {
+          type: 'object',
+          nullable: true,
+          optional: true,
+          fields: {
+            settlementId: { type: 'string', minLength: 1 },
+            targetHealth: { type: 'number', min: 0, max: 1 },
+            rate: { type: 'number', min: 0 },
+          },
+        },
+        autopilot: {
+          type: 'object',
+          nullable: true,
+          optional: true,
+          fields: {
+            settlementId: { type: 'string', minLength: 1 },
+            waypoints: { type: 'array', items: SAVE_POINT_SCHEMA },
+            index: { type: 'integer', min: 0 },
+            replanTimer: { type: 'number', min: 0 },
+          },
+        },
+        drift: { ...SAVE_VECTOR_SCHEMA, optional: true },
+        recoil: { ...SAVE_VECTOR_SCHEMA, optional: true },
+        idleTime: { type: 'number', min: 0, optional: true },
+        wakeTimer: { type: 'number', optional: true },
+        tackTimer: { type: 'number', optional: true },
+        mooringTimer: { type: 'number', min: 0, optional: true },
+        groundSpeed: { type: 'number', optional: true },
+        sheetSide: { type: 'number', oneOf: [-1, 1], optional: true },
+        trimEfficiency: { type: 'number', min: 0, max: 1, optional: true },
+        knockdownTimer: { type: 'number', min: 0, optional: true },
+        sailLocked: { type: 'boolean', optional: true },
+      },
+    },
+    wind: {
+      type: 'object',
+      fields: {
+        direction: { type: 'number' },
+        strength: { type: 'number', min: WIND_MIN_STRENGTH, max: WIND_MAX_STRENGTH },
+        targetDirection: { type: 'number' },
+        targetStrength: { type: 'number', min: WIND_MIN_STRENGTH, max: WIND_MAX_STRENGTH },
+        changeTimer: { type: 'number' },
+      },
+    },
+    route: {
+      type: 'array',
+      optional: true,
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: 'integer', min: 0 },
+          x: { type: 'number', min: 0, max: MAP_SIZE },
+          y: { type: 'number', min: 0, max: MAP_SIZE },
+        },
+      },
+    },
+    markets: {
+      type: 'record',
+      optional: true,
+      values: {
+        type: 'object',
+        fields: {
+          settlementId: { type: 'string', minLength: 1 },
+          spread: { type: 'number', min: 0, max: 1 },
+          goods: {
+            type: 'record',
+            values: {
+              type: 'object',
+              fields: {
+                stock: { type: 'number', min: 0 },
+                targetStock: { type: 'number', min: 0 },
+                referencePrice: { type: 'number', min: 0 },
+                production: { type: 'number', min: 0 },
+                consumption: { type: 'number', min: 0 },
+                price: { type: 'number', min: 0 },
+              },
+            },
+          },
+        },
+      },
+    },
+    ledger: {
+      type: 'object',
+      optional: true,
+      fields: {
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              id: { type: 'integer', min: 1 },
+              voyageId: { type: 'integer', min: 1 },
+              type: { type: 'string', minLength: 1 },
+              settlementId: { type: 'string', nullable: true },
+              goodId: { type: 'string', nullable: true },
+              quantity: { type: 'number', min: 0 },
+              unitPrice: { type: 'number', min: 0 },
+              total: { type: 'number' },
+              profit: { type: 'number' },
+              time: { type: 'number', min: 0 },
+            },
+          },
+        },
+        // The last voyage is the one in progress, so there is always at least one
+        voyages: {
+          type: 'array',
+          minLength: 1,
+          items: {
+            type: 'object',
+            fields: {
+              id: { type: 'integer', min: 1 },
+              originId: { type: 'string', nullable: true },
+              destinationId: { type: 'string', nullable: true },
+              departedAt: { type: 'number', min: 0 },
+              arrivedAt: { type: 'number', min: 0, nullable: true },
+            },
+          },
+        },
+      },
+    },
+    exploration: {
+      type: 'object',
+      optional: true,
+      fields: {
+        columns: { type: 'integer', min: 1 },
+        rows: { type: 'integer', min: 1 },
+        revealed: { type: 'array', items: { type: 'integer', min: 0 } },
+        islands: { type: 'record', values: { type: 'number', min: 0 } },
+        settlements: { type: 'record', values: { type: 'number', min: 0 } },
+      },
+    },
   },
-]
-
-const SETTLEMENT_NAME_SUFFIXES = [
-  'Harbor',
-  'Landing',
-  'Quay',
-  'Wharf',
-  'Bay',
-  'Haven',
-  'Port',
-  'Harbour',
-]
+}
 
-const SETTLEMENT_MARKET_THEMES = ['Spice', 'Timber', 'Fish', 'Sails', 'Charts', 'Trade']
-const SETTLEMENT_DECOR_TYPES = ['crate', 'barrel', 'cart', 'stack', 'firepit', 'drying-rack']
+const SETTLEMENT_SIZE_PRICE_FACTORS = {
+  village: 1.08,
+  'harbor-town': 1,
+  'port-town': 0.94,
+}
 
 function generateRandomSeed() {
   if (typeof crypto !== 'undefined' && crypto?.getRandomValues) {
@@ -201,69 +439,79 @@ function generateRandomSeed() {
   return Math.random().toString(36).slice(2, 10)
 }
 
-function cyrb128(str) {
-  let h1 = 1779033703
-  let h2 = 3144134277
-  let h3 = 1013904242
-  let h4 = 2773480762
+function getShipyardProfile(settlement) {
+  return SHIPYARD_PROFILES[settlement?.sizeId] ?? null
+}
+
+function getRepairCost(fromHealth, toHealth, profile) {
+  let cost = 0
+  // Price each percent by the damage state it sits in, so deep wounds cost more to mend
+  for (let health = fromHealth; health < toHealth - 1e-6; health += 0.01) {
+    const step = Math.min(0.01, toHealth - health)
+    const state = getDamageStateForHealth(health)
+    cost += step * 100 * REPAIR_COST_PER_PERCENT * (1 + state.penalty * 2)
+  }
+  return Math.ceil(cost * (profile?.costFactor ?? 1))
+}
+
+function getRepairOptions(health, settlement) {
+  const profile = getShipyardProfile(settlement)
+  if (!profile || health >= profile.maxHealth - 1e-6) {
+    return []
+  }
 
-  for (let i = 0; i < str.length; i += 1) {
-    const ch = str.charCodeAt(i)
-    h1 = Math.imul(h1 ^ ch, 597399067) >>> 0
-    h2 = Math.imul(h2 ^ ch, 2869860233) >>> 0
-    h3 = Math.imul(h3 ^ ch, 951274213) >>> 0
-    h4 = Math.imul(h4 ^ ch, 2716044179) >>> 0
+  const options = []
+  const stateIndex = DAMAGE_STATES.indexOf(getDamageStateForHealth(health))
+  const nextState = DAMAGE_STATES[stateIndex - 1]
+  if (nextState && nextState.minHealth < profile.maxHealth) {
+    const target = nextState.minHealth
+    options.push({
+      id: 'partial',
+      label: `Patch to ${nextState.label}`,
+      targetHealth: target,
+      cost: getRepairCost(health, target, profile),
+      duration: (target - health) / profile.rate,
+    })
   }
 
-  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067) >>> 0
-  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233) >>> 0
-  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213) >>> 0
-  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179) >>> 0
+  const fullTarget = profile.maxHealth
+  options.push({
+    id: 'full',
+    label: fullTarget >= 1 ? 'Full refit' : `Refit to ${getDamageStateForHealth(fullTarget).label}`,
+    targetHealth: fullTarget,
+    cost: getRepairCost(health, fullTarget, profile),
+    duration: (fullTarget - health) / profile.rate,
+  })
 
-  return [h1, h2, h3, h4]
+  return options
 }
 
-function sfc32(a, b, c, d) {
-  return function random() {
-    a >>>= 0
-    b >>>= 0
-    c >>>= 0
-    d >>>= 0
-    const t = (a + b) | 0
-    a = b ^ (b >>> 9)
-    b = (c + (c << 3)) | 0
-    c = ((c << 21) | (c >>> 11)) >>> 0
-    c = (c + t) | 0
-    d = (d + 1) | 0
-    const result = (t + d) | 0
-    return (result >>> 0) / 4294967296
+function applyFieldRepair(boat) {
+  const supplies = boat.hold?.stacks?.[FIELD_REPAIR_SUPPLY] ?? 0
+  if (supplies <= 0 || boat.health >= FIELD_REPAIR_MAX_HEALTH) {
+    return null
   }
-}
 
-function createSeededRng(seedValue) {
-  const normalizedSeed = seedValue?.toString().trim() ?? ''
-  const [a, b, c, d] = cyrb128(normalizedSeed)
-  const random = sfc32(a, b, c, d)
-  // Warm up the generator to disperse initial values
-  for (let i = 0; i < 12; i += 1) {
-    random()
+  const stacks = { ...boat.hold.stacks, [FIELD_REPAIR_SUPPLY]: supplies - 1 }
+  const costBasis = { ...boat.hold.costBasis }
+  if (stacks[FIELD_REPAIR_SUPPLY] <= 0) {
+    delete stacks[FIELD_REPAIR_SUPPLY]
+    delete costBasis[FIELD_REPAIR_SUPPLY]
   }
-  return random
-}
 
-function getDamageStateForHealth(health) {
-  const normalized = Math.max(MIN_HEALTH, Math.min(1, health ?? 1))
-  for (const state of DAMAGE_STATES) {
-    if (normalized >= state.minHealth) {
-      return state
-    }
+  return {
+    ...boat,
+    health: Math.min(FIELD_REPAIR_MAX_HEALTH, boat.health + FIELD_REPAIR_AMOUNT),
+    hold: { ...boat.hold, stacks, costBasis },
   }
-  return DAMAGE_STATES[DAMAGE_STATES.length - 1]
 }
 
-function getMaxSpeedForHealth(health) {
-  const state = getDamageStateForHealth(health)
-  return MAX_FORWARD_SPEED * (1 - state.penalty)
+function createEmptyHold() {
+  return {
+    capacity: HOLD_CAPACITY_TONS,
+    stacks: {},
+    costBasis: {},
+  }
 }
 
 function createInitialBoatState() {
@@ -290,6 +538,7 @@ function createInitialBoatState() {
       islandId: null,
       penetration: 0,
       structureType: null,
+      shallowsType: null,
     },
     wind: {
       direction: 0,
@@ -299,6 +548,21 @@ function createInitialBoatState() {
       isTacking: false,
     },
     dockedSettlementId: null,
+    hold: createEmptyHold(),
+    purse: STARTING_PURSE,
+    repairJob: null,
+    autopilot: null,
+    mooringTimer: 0,
+    dryBerthId: null,
+    groundSpeed: 0,
+    drift: { x: 0, y: 0 },
+    sheetAngle: 45,
+    sheetSide: 1,
+    trimEfficiency: 1,
+    heel: 0,
+    knockdownTimer: 0,
+    sailLocked: false,
+    recoil: { x: 0, y: 0 },
   }
 }
 
@@ -315,69 +579,220 @@ function createInitialWindState(random = Math.random) {
   }
 }
 
-function updateWindState(wind, dt, random = Math.random) {
-  const next = {
-    direction: wind?.direction ?? 0,
-    strength: wind?.strength ?? WIND_MIN_STRENGTH,
-    targetDirection: wind?.targetDirection ?? wind?.direction ?? 0,
-    targetStrength: wind?.targetStrength ?? wind?.strength ?? WIND_MIN_STRENGTH,
-    changeTimer: wind?.changeTimer ?? 0,
+function createWindField(islands, random = Math.random) {
+  const swells = Array.from({ length: 3 }, () => ({
+    angle: random() * TWO_PI,
+    wavelength: 3500 + random() * 4500,
+    phase: random() * TWO_PI,
+    drift: 0.004 + random() * 0.01,
+  }))
+
+  const shelters = islands
+    .filter((island) => island.radius >= WIND_SHADOW_MIN_RADIUS)
+    .map(({ x, y, radius }) => ({ x, y, radius }))
+
+  // Channels sit in the gap between neighbouring coasts, aligned across the line joining them
+  const channels = []
+  for (let i = 0; i < islands.length; i += 1) {
+    for (let j = i + 1; j < islands.length; j += 1) {
+      const a = islands[i]
+      const b = islands[j]
+      const distance = Math.hypot(b.x - a.x, b.y - a.y)
+      const gap = distance - a.radius - b.radius
+      if (gap <= 0 || gap > WIND_FUNNEL_MAX_GAP) {
+        continue
+      }
+      const ux = (b.x - a.x) / distance
+      const uy = (b.y - a.y) / distance
+      channels.push({
+        x: a.x + ux * (a.radius + gap / 2),
+        y: a.y + uy * (a.radius + gap / 2),
+        ux,
+        uy,
+        axis: Math.atan2(ux, -uy),
+        halfWidth: gap / 2,
+        halfLength: Math.min(a.radius, b.radius) * 1.5,
+        narrowness: 1 - gap / WIND_FUNNEL_MAX_GAP,
+      })
+    }
   }
 
-  next.changeTimer -= dt
-  if (next.changeTimer <= 0) {
-    const directionOffset = (random() - 0.5) * 2 * WIND_DIRECTION_VARIANCE
-    next.targetDirection = normalizeAngle(next.direction + directionOffset)
-    const strengthDelta = (random() - 0.5) * 0.45
-    next.targetStrength = clamp(
-      next.targetStrength + strengthDelta,
-      WIND_MIN_STRENGTH,
-      WIND_MAX_STRENGTH,
-    )
-    const interval = WIND_CHANGE_MIN + random() * (WIND_CHANGE_MAX - WIND_CHANGE_MIN)
-    next.changeTimer = interval
+  return { swells, shelters, channels }
+}
+
+function createCurrentField(islands, random = Math.random) {
+  const streams = Array.from({ length: CURRENT_STREAM_COUNT }, () => ({
+    angle: random() * TWO_PI,
+    offset: (random() - 0.5) * MAP_SIZE * 0.8,
+    width: 600 + random() * 900,
+    speed: CURRENT_STREAM_SPEED_MIN + random() * (CURRENT_STREAM_SPEED_MAX - CURRENT_STREAM_SPEED_MIN),
+    meander: 300 + random() * 900,
+    wavelength: 3000 + random() * 5000,
+    phase: random() * TWO_PI,
+  }))
+
+  // Tidal races between neighbouring coasts, stronger the tighter the gap
+  const channels = []
+  for (let i = 0; i < islands.length; i += 1) {
+    for (let j = i + 1; j < islands.length; j += 1) {
+      const a = islands[i]
+      const b = islands[j]
+      const distance = Math.hypot(b.x - a.x, b.y - a.y)
+      const gap = distance - a.radius - b.radius
+      if (gap <= 0 || gap > CURRENT_CHANNEL_MAX_GAP) {
+        continue
+      }
+      const ux = (b.x - a.x) / distance
+      const uy = (b.y - a.y) / distance
+      const flow = random() < 0.5 ? -1 : 1
+      channels.push({
+        x: a.x + ux * (a.radius + gap / 2),
+        y: a.y + uy * (a.radius + gap / 2),
+        ux,
+        uy,
+        flowX: -uy * flow,
+        flowY: ux * flow,
+        halfWidth: gap / 2,
+        halfLength: Math.min(a.radius, b.radius) * 1.5,
+        speed: CURRENT_CHANNEL_SPEED * (1 - gap / CURRENT_CHANNEL_MAX_GAP) + CURRENT_STREAM_SPEED_MIN,
+      })
+    }
   }
 
-  const directionDiff = shortestAngleDiff(next.targetDirection, next.direction)
-  next.direction = normalizeAngle(next.direction + directionDiff * dt * WIND_ADJUST_RATE)
-  const strengthDiff = next.targetStrength - next.strength
-  next.strength += strengthDiff * dt * WIND_ADJUST_RATE
-  next.strength = clamp(next.strength, WIND_MIN_STRENGTH, WIND_MAX_STRENGTH)
+  return { streams, channels }
+}
 
-  return next
+function createCurrentParticles() {
+  return Array.from({ length: CURRENT_PARTICLE_COUNT }, () => ({
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    speed: 0,
+    age: Infinity,
+    life: 0,
+  }))
 }
 
-const WIND_ANGLE_PROFILE = [
-  { angle: 0, multiplier: 0 },
-  { angle: 20, multiplier: 0 },
-  { angle: 35, multiplier: 0.56 },
-  { angle: 60, multiplier: 0.86 },
-  { angle: 90, multiplier: 1.05 },
-  { angle: 120, multiplier: 1.18 },
-  { angle: 150, multiplier: 1.22 },
-  { angle: 180, multiplier: 1.35 },
-]
+// Particles live in world space around the camera and respawn when they expire or leave view
+function updateCurrentParticles(particles, field, camera, viewport, dt) {
+  for (const particle of particles) {
+    particle.age += dt
+    const outside =
+      particle.x < camera.x ||
+      particle.x > camera.x + viewport.width ||
+      particle.y < camera.y ||
+      particle.y > camera.y + viewport.height
+    if (particle.age >= particle.life || outside) {
+      particle.x = camera.x + Math.random() * viewport.width
+      particle.y = camera.y + Math.random() * viewport.height
+      particle.age = 0
+      particle.life = CURRENT_PARTICLE_LIFETIME * (0.5 + Math.random() * 0.5)
+    }
+    const flow = sampleCurrent(field, particle.x, particle.y)
+    particle.x += flow.x * dt
+    particle.y += flow.y * dt
+    particle.vx = flow.x
+    particle.vy = flow.y
+    particle.speed = Math.hypot(flow.x, flow.y)
+  }
+}
 
-function getWindMultiplierForAngle(angleDegrees) {
-  const clampedAngle = clamp(angleDegrees, 0, 180)
-  for (let i = 0; i < WIND_ANGLE_PROFILE.length - 1; i += 1) {
-    const current = WIND_ANGLE_PROFILE[i]
-    const next = WIND_ANGLE_PROFILE[i + 1]
-    if (clampedAngle >= current.angle && clampedAngle <= next.angle) {
-      const range = next.angle - current.angle || 1
-      const t = (clampedAngle - current.angle) / range
-      return lerp(current.multiplier, next.multiplier, t)
+// Each shallow berth records the lowest tide level (-1..1) it can still float a ship at
+function createTideModel(islands, random = Math.random) {
+  const phase = random() * Math.PI * 2
+  const berths = {}
+  for (const island of islands) {
+    const settlement = island.settlement
+    if (!settlement?.dock) {
+      continue
+    }
+    const isShallow = random() < TIDE_SHALLOW_BERTH_CHANCE
+    const minimumLevel = lerp(-0.6, 0, random())
+    if (isShallow) {
+      berths[settlement.id] = minimumLevel
     }
   }
-  const last = WIND_ANGLE_PROFILE[WIND_ANGLE_PROFILE.length - 1]
-  return last.multiplier
+  return { phase, berths }
+}
+
+function getTideHeightMeters(level) {
+  return TIDE_MEAN_METERS + (level * TIDE_RANGE_METERS) / 2
+}
+
+function getTideTurns(tides, time, count = TIDE_TABLE_ENTRIES) {
+  const angularSpeed = (Math.PI * 2) / TIDE_PERIOD_SECONDS
+  const angle = time * angularSpeed + (tides?.phase ?? 0)
+  // High water falls at PI / 2 and low water half a cycle later
+  let turn = Math.ceil((angle - Math.PI / 2) / Math.PI)
+  const turns = []
+  while (turns.length < count) {
+    const turnAngle = Math.PI / 2 + turn * Math.PI
+    const isHigh = ((turn % 2) + 2) % 2 === 0
+    turns.push({
+      type: isHigh ? 'High' : 'Low',
+      time: (turnAngle - (tides?.phase ?? 0)) / angularSpeed,
+      heightMeters: getTideHeightMeters(isHigh ? 1 : -1),
+    })
+    turn += 1
+  }
+  return turns
+}
+
+function createInitialStormState(random = Math.random) {
+  return {
+    cells: [],
+    nextId: 1,
+    spawnTimer: STORM_SPAWN_MIN * 0.5 + random() * STORM_SPAWN_MIN,
+  }
+}
+
+// Time until a storm's edge reaches a position, or null when it will pass clear
+function getStormApproach(cell, x, y) {
+  const rx = x - cell.x
+  const ry = y - cell.y
+  const distance = Math.hypot(rx, ry)
+  if (distance <= cell.radius) {
+    return { time: 0, distance }
+  }
+  const speedSquared = cell.vx * cell.vx + cell.vy * cell.vy
+  if (speedSquared <= 0) {
+    return null
+  }
+  const closestTime = (rx * cell.vx + ry * cell.vy) / speedSquared
+  if (closestTime <= 0) {
+    return null
+  }
+  const closestX = rx - cell.vx * closestTime
+  const closestY = ry - cell.vy * closestTime
+  const missDistance = Math.hypot(closestX, closestY)
+  if (missDistance >= cell.maxRadius) {
+    return null
+  }
+  const edgeOffset = Math.sqrt(cell.maxRadius ** 2 - missDistance ** 2) / Math.sqrt(speedSquared)
+  return { time: Math.max(0, closestTime - edgeOffset), distance }
+}
+
+function getTrimAdvice(sheetAngle, windAngleDegrees) {
+  const difference = sheetAngle - getIdealSheetAngle(windAngleDegrees)
+  if (difference > 4) {
+    return 'Sheet in'
+  }
+  if (difference < -4) {
+    return 'Ease out'
+  }
+  return 'Drawing well'
 }
 
 const CARDINAL_DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
 
-function getCardinalDirection(degrees) {
-  const normalized = ((degrees % 360) + 360) % 360
-  const index = Math.round(normalized / 45) % CARDINAL_DIRECTIONS.length
+// Screen angles start east; compass bearings start north
+function getCompassBearing(screenAngle) {
+  return radiansToDegrees(normalizeAngle(screenAngle + Math.PI / 2))
+}
+
+function getCardinalDirection(screenAngle) {
+  const index = Math.round(getCompassBearing(screenAngle) / 45) % CARDINAL_DIRECTIONS.length
   return CARDINAL_DIRECTIONS[index]
 }
 
@@ -403,723 +818,767 @@ function getRelativeWindDescription(angleDegrees) {
   return 'Running'
 }
 
-function normalizeAngle(angle) {
-  return ((angle % TWO_PI) + TWO_PI) % TWO_PI
-}
-
-function shortestAngleDiff(a, b) {
-  const wrapped = normalizeAngle(a - b + Math.PI)
-  return wrapped - Math.PI
-}
-
-function degreesToRadians(degrees) {
-  return (degrees * Math.PI) / 180
-}
-
-function radiansToDegrees(radians) {
-  return (radians * 180) / Math.PI
-}
-
-function lerp(a, b, t) {
-  return a + (b - a) * t
-}
-
-function gaussianFalloff(diff, width) {
-  const ratio = diff / width
-  return Math.exp(-(ratio * ratio))
-}
-
-function pseudoRandom2D(x, y) {
-  const value = Math.sin(x * 127.1 + y * 311.7) * 43758.5453
-  return value - Math.floor(value)
-}
-
-function generateCoastlineShape(radius, random = Math.random) {
-  const segments = 46 + Math.floor(random() * 20)
-  const mainPhase = random() * TWO_PI
-  const secondaryPhase = random() * TWO_PI
-  const detailPhase = random() * TWO_PI
-  const microPhase = random() * TWO_PI
-
-  const mainAmplitude = 0.18 + random() * 0.08
-  const secondaryAmplitude = 0.12 + random() * 0.06
-  const detailAmplitude = 0.08 + random() * 0.04
-  const microAmplitude = 0.05 + random() * 0.03
-  const jitterStrength = 0.08 + random() * 0.06
-
-  const headlands = Array.from({ length: 3 }, () => ({
-    angle: random() * TWO_PI,
-    width: 0.6 + random() * 0.6,
-    strength: 0.16 + random() * 0.26,
-  }))
-
-  const coves = Array.from({ length: 2 }, () => ({
-    angle: random() * TWO_PI,
-    width: 0.8 + random() * 0.9,
-    strength: 0.12 + random() * 0.22,
-  }))
-
+function generateShallowsOutline(radiusX, radiusY, rotation, random = Math.random) {
+  const segments = 18
+  const phase = random() * TWO_PI
+  const wobble = 0.12 + random() * 0.12
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
   const points = []
-
   for (let i = 0; i < segments; i += 1) {
     const angle = (i / segments) * TWO_PI
-    let multiplier = 1
-
-    multiplier += Math.sin(angle * 1.1 + mainPhase) * mainAmplitude
-    multiplier += Math.sin(angle * 2.4 + secondaryPhase) * secondaryAmplitude
-    multiplier += Math.sin(angle * 4.8 + detailPhase) * detailAmplitude
-    multiplier += Math.sin(angle * 7.3 + microPhase) * microAmplitude
+    const multiplier = 1 + Math.sin(angle * 3 + phase) * wobble + (random() - 0.5) * 0.14
+    const x = Math.cos(angle) * radiusX * multiplier
+    const y = Math.sin(angle) * radiusY * multiplier
+    points.push({ x: x * cos - y * sin, y: x * sin + y * cos })
+  }
+  return points
+}
 
-    for (const headland of headlands) {
-      const diff = shortestAngleDiff(angle, headland.angle)
-      multiplier += gaussianFalloff(diff, headland.width) * headland.strength
-    }
+// Reefs, shoals and sandbars gather in the channels between neighbouring islands
+function generateShallows(islands, random = Math.random) {
+  const shallows = []
+  const berths = islands
+    .filter((island) => island.settlement?.dock)
+    .map((island) => ({
+      x: island.x + island.settlement.dock.berthPoint.x,
+      y: island.y + island.settlement.dock.berthPoint.y,
+    }))
+
+  for (let i = 0; i < islands.length; i += 1) {
+    for (let j = i + 1; j < islands.length; j += 1) {
+      const a = islands[i]
+      const b = islands[j]
+      const distance = Math.hypot(b.x - a.x, b.y - a.y)
+      const gap = distance - a.radius - b.radius
+      if (gap > SHALLOWS_MAX_GAP || random() > SHALLOWS_PAIR_CHANCE) {
+        continue
+      }
 
-    for (const cove of coves) {
-      const diff = shortestAngleDiff(angle, cove.angle)
-      multiplier -= gaussianFalloff(diff, cove.width) * cove.strength
+      const channelAngle = Math.atan2(b.y - a.y, b.x - a.x)
+      const featureCount = 1 + Math.floor(random() * 2)
+      for (let n = 0; n < featureCount && shallows.length < SHALLOWS_MAX_COUNT; n += 1) {
+        const along = a.radius + gap * lerp(0.3, 0.7, random())
+        const across = (random() - 0.5) * gap * 0.6
+        const x = a.x + Math.cos(channelAngle) * along - Math.sin(channelAngle) * across
+        const y = a.y + Math.sin(channelAngle) * along + Math.cos(channelAngle) * across
+
+        const typeRoll = random()
+        const type = typeRoll < 0.35 ? 'reef' : typeRoll < 0.7 ? 'shoal' : 'sandbar'
+        let radiusX = 90 + random() * 90
+        let radiusY = radiusX * (0.6 + random() * 0.4)
+        let rotation = random() * TWO_PI
+        if (type === 'shoal') {
+          radiusX = 140 + random() * 120
+          radiusY = radiusX * (0.5 + random() * 0.4)
+        } else if (type === 'sandbar') {
+          // Sandbars are long spits laid along the flow through the channel
+          radiusX = 200 + random() * 160
+          radiusY = 50 + random() * 40
+          rotation = channelAngle + (random() - 0.5) * 0.6
+        }
+        const outline = generateShallowsOutline(radiusX, radiusY, rotation, random)
+        const radius = Math.max(radiusX, radiusY) * 1.3
+
+        const insideMap =
+          x - radius > MAP_EDGE_CLEARANCE &&
+          y - radius > MAP_EDGE_CLEARANCE &&
+          x + radius < MAP_SIZE - MAP_EDGE_CLEARANCE &&
+          y + radius < MAP_SIZE - MAP_EDGE_CLEARANCE
+        const clearOfLand = islands.every(
+          (island) =>
+            Math.hypot(island.x - x, island.y - y) >
+            island.radius * 1.3 + radius + SHALLOWS_COAST_CLEARANCE,
+        )
+        const clearOfBerths = berths.every(
+          (berth) => Math.hypot(berth.x - x, berth.y - y) > radius + SHALLOWS_BERTH_CLEARANCE,
+        )
+        const clearOfShallows = shallows.every(
+          (other) => Math.hypot(other.x - x, other.y - y) > other.radius + radius,
+        )
+        if (insideMap && clearOfLand && clearOfBerths && clearOfShallows) {
+          shallows.push({ id: `shallows-${shallows.length}`, type, x, y, radius, outline })
+        }
+      }
     }
-
-    multiplier += (random() - 0.5) * jitterStrength
-
-    const clampedMultiplier = Math.max(0.48, Math.min(1.48, multiplier))
-    const r = radius * clampedMultiplier
-    points.push({
-      angle,
-      radius: r,
-      x: Math.cos(angle) * r,
-      y: Math.sin(angle) * r,
-    })
   }
 
-  return points
+  return shallows
 }
 
-function createInnerRing(points, scale, jitter, random = Math.random) {
-  return points.map((point) => {
-    const jitterAmount = 1 + (random() - 0.5) * jitter
-    const r = Math.min(point.radius * 0.995, point.radius * scale * jitterAmount)
-    return {
-      angle: point.angle,
-      radius: r,
-      x: Math.cos(point.angle) * r,
-      y: Math.sin(point.angle) * r,
-    }
-  })
+function generateWaves(count, random = Math.random) {
+  return Array.from({ length: count }, () => ({
+    x: random() * MAP_SIZE,
+    y: random() * MAP_SIZE,
+    amplitude: 18 + random() * 24,
+    length: 60 + random() * 120,
+    speed: 12 + random() * 22,
+    phase: random() * Math.PI * 2,
+  }))
 }
 
-function generateCliffs(random = Math.random) {
-  const cliffs = []
-  const cliffGroups = random() < 0.3 ? 0 : 1 + Math.floor(random() * 2)
-  for (let i = 0; i < cliffGroups; i += 1) {
-    const startAngle = random() * TWO_PI
-    const width = 0.32 + random() * 0.55
-    cliffs.push({
-      startAngle,
-      endAngle: startAngle + width,
-      layers: 2 + Math.floor(random() * 3),
-    })
-  }
-  return cliffs
+function getSettlementProduce(settlement) {
+  return [
+    ...(MARKET_THEME_SPECIALTIES[settlement.marketTheme] ?? []),
+    ...(SETTLEMENT_SIZE_PRODUCE[settlement.sizeId] ?? []),
+  ]
 }
 
-function generateStreams(coastline, radius, random = Math.random) {
-  const streams = []
-  let streamCount = 0
-  const roll = random()
-  if (roll < 0.25) {
-    streamCount = 2
-  } else if (roll < 0.65) {
-    streamCount = 1
-  }
-
-  for (let i = 0; i < streamCount; i += 1) {
-    const outlet = coastline[Math.floor(random() * coastline.length)]
-    const exit = {
-      x: outlet.x * 0.92,
-      y: outlet.y * 0.92,
+function createSettlementMarket(settlement, random = Math.random) {
+  const produce = getSettlementProduce(settlement)
+  const isTradeHub = settlement.marketTheme === 'Trade'
+  const sizeFactor = SETTLEMENT_SIZE_PRICE_FACTORS[settlement.sizeId] ?? 1
+  // Larger populations eat through staples faster, so food costs more in big ports
+  const populationDemand = clamp(settlement.population / 3200, 0, 1)
+  const goods = {}
+
+  for (const good of TRADE_GOODS) {
+    const isProduced = produce.includes(good.id)
+    const isStaple = good.id === 'fish' || good.id === 'grain'
+    let priceFactor = sizeFactor * (0.94 + random() * 0.12)
+    let stockFactor = isTradeHub ? 1 : 0.55
+
+    if (isProduced) {
+      priceFactor *= 0.62
+      stockFactor = 2.4
+    } else if (isTradeHub) {
+      priceFactor *= 0.96
+    } else {
+      priceFactor *= 1.12
     }
 
-    const sourceAngle = normalizeAngle(outlet.angle + Math.PI + (random() - 0.5) * 0.7)
-    const sourceRadius = radius * (0.1 + random() * 0.22)
-    const start = {
-      x: Math.cos(sourceAngle) * sourceRadius,
-      y: Math.sin(sourceAngle) * sourceRadius,
+    if (isStaple) {
+      priceFactor *= 1 + populationDemand * 0.2
     }
 
-    const deltaX = exit.x - start.x
-    const deltaY = exit.y - start.y
-    const perpendicular = { x: -deltaY, y: deltaX }
-    const length = Math.hypot(perpendicular.x, perpendicular.y) || 1
-    const bend = radius * (0.05 + random() * 0.08)
-    const bendDir = (random() > 0.5 ? 1 : -1)
-    const offsetX = (perpendicular.x / length) * bend * bendDir
-    const offsetY = (perpendicular.y / length) * bend * bendDir
-
-    const control1 = {
-      x: start.x + deltaX * 0.3 + offsetX,
-      y: start.y + deltaY * 0.3 + offsetY,
-    }
-    const control2 = {
-      x: start.x + deltaX * 0.7 + offsetX * 0.6,
-      y: start.y + deltaY * 0.7 + offsetY * 0.6,
+    const targetStock = Math.round((settlement.population / 25) * stockFactor * (0.85 + random() * 0.3))
+    // Consumption is the share of stock used up per second; production balances it at the target
+    const consumption = (isStaple ? 1 + populationDemand : 1) / ECONOMY_RECOVERY_SECONDS
+    const entry = {
+      stock: targetStock,
+      targetStock,
+      referencePrice: Math.max(1, Math.round(good.basePrice * priceFactor)),
+      production: targetStock * consumption,
+      consumption,
     }
-
-    const width = 4 + random() * 3
-    streams.push({ start, control1, control2, end: exit, width })
+    entry.price = getStockPrice(entry)
+    goods[good.id] = entry
   }
 
-  return streams
+  return {
+    settlementId: settlement.id,
+    spread: isTradeHub ? TRADE_HUB_SPREAD : MARKET_SPREAD,
+    goods,
+  }
 }
 
-function generateMeadowHighlights(grassPoints, radius, random = Math.random) {
-  const highlightCount = 3 + Math.floor(random() * 4)
-  const highlights = []
-
-  for (let i = 0; i < highlightCount; i += 1) {
-    const anchor = grassPoints[Math.floor(random() * grassPoints.length)]
-    const size = radius * (0.12 + random() * 0.16)
-    highlights.push({ x: anchor.x, y: anchor.y, radius: size })
+function createInitialMarkets(islands, random = Math.random) {
+  const markets = {}
+  for (const island of islands) {
+    if (island.settlement) {
+      markets[island.settlement.id] = createSettlementMarket(island.settlement, random)
+    }
   }
+  return markets
+}
 
-  return highlights
+function getStockPrice(entry) {
+  const ratio = (entry.targetStock || 1) / Math.max(entry.stock, 0.5)
+  const factor = clamp(Math.pow(ratio, PRICE_ELASTICITY), PRICE_FLOOR_FACTOR, PRICE_CEILING_FACTOR)
+  return Math.max(1, Math.round(entry.referencePrice * factor))
 }
 
-function capitalize(word) {
-  if (!word) {
-    return ''
+function updateEconomy(markets, dt, random = Math.random) {
+  const next = {}
+  for (const [id, market] of Object.entries(markets)) {
+    const goods = {}
+    for (const [goodId, entry] of Object.entries(market.goods)) {
+      let stock = entry.stock + (entry.production - entry.consumption * entry.stock) * dt
+      if (random() < MARKET_SHOCK_CHANCE * dt) {
+        // A wrecked convoy or a bumper catch knocks the market off balance
+        stock *= 0.5 + random()
+      }
+      const updated = { ...entry, stock: Math.max(0, stock) }
+      updated.price = getStockPrice(updated)
+      goods[goodId] = updated
+    }
+    next[id] = { ...market, goods }
   }
-  return word.charAt(0).toUpperCase() + word.slice(1)
+  return next
 }
 
-function generateIslandName(random = Math.random, usedNames = new Set()) {
-  let attempt = 0
-  while (attempt < 40) {
-    attempt += 1
-
-    const pattern = random()
-    let candidate = ''
-
-    if (pattern < 0.34) {
-      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
-      const suffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
-      const descriptor = NAME_DESCRIPTORS[Math.floor(random() * NAME_DESCRIPTORS.length)]
-      candidate = `${capitalize(prefix + suffix)} ${descriptor}`
-    } else if (pattern < 0.68) {
-      const first = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
-      const second = NAME_SECOND_WORDS[Math.floor(random() * NAME_SECOND_WORDS.length)]
-      candidate = `${capitalize(first)} ${second}`
-    } else {
-      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
-      const suffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
-      candidate = capitalize(prefix + suffix)
+function cloneMarkets(markets) {
+  const clone = {}
+  for (const [id, market] of Object.entries(markets ?? {})) {
+    const goods = {}
+    for (const [goodId, entry] of Object.entries(market.goods)) {
+      goods[goodId] = { ...entry }
     }
+    clone[id] = { ...market, goods }
+  }
+  return clone
+}
 
-    if (!usedNames.has(candidate)) {
-      usedNames.add(candidate)
-      return candidate
-    }
+function getTradeUnitPrice(entry, stock, spread, side) {
+  // Sales are priced as if the unit had already landed, so a round trip never turns a profit
+  if (side === 'buy') {
+    return Math.max(1, Math.ceil(getStockPrice({ ...entry, stock }) * (1 + spread)))
   }
+  return Math.max(1, Math.floor(getStockPrice({ ...entry, stock: stock + 1 }) * (1 - spread)))
+}
 
-  const fallback = `Isle ${usedNames.size + 1}`
-  usedNames.add(fallback)
-  return fallback
+function getMarketQuote(market, goodId) {
+  const entry = market?.goods?.[goodId]
+  if (!entry) {
+    return null
+  }
+  const spread = market.spread ?? MARKET_SPREAD
+  return {
+    stock: Math.floor(entry.stock),
+    buyPrice: getTradeUnitPrice(entry, entry.stock, spread, 'buy'),
+    sellPrice: getTradeUnitPrice(entry, entry.stock, spread, 'sell'),
+  }
 }
 
-function generateSettlementName(random, usedNames, islandName) {
-  let attempt = 0
-  const baseName = islandName?.split(' ')[0]
+function executeTrade(boat, market, goodId, quantity, side) {
+  const entry = market?.goods?.[goodId]
+  if (!entry || quantity <= 0) {
+    return null
+  }
 
-  while (attempt < 60) {
-    attempt += 1
-    const pattern = random()
-    const suffix = SETTLEMENT_NAME_SUFFIXES[Math.floor(random() * SETTLEMENT_NAME_SUFFIXES.length)]
-    let candidate
+  const spread = market.spread ?? MARKET_SPREAD
+  const hold = boat.hold ?? createEmptyHold()
+  const held = hold.stacks[goodId] ?? 0
+  const purse = boat.purse ?? 0
+  let limit = quantity
+
+  if (side === 'buy') {
+    const weight = getTradeGood(goodId)?.weight ?? 0
+    const freeSpace = Math.max(0, hold.capacity - getHoldLoad(hold))
+    // Tolerate float drift so a hold can be filled exactly to capacity
+    const roomFor = weight > 0 ? Math.floor(freeSpace / weight + 1e-9) : Infinity
+    limit = Math.min(limit, roomFor)
+  } else {
+    limit = Math.min(limit, held)
+  }
 
-    if (pattern < 0.45 && baseName) {
-      candidate = `${baseName} ${suffix}`
-    } else if (pattern < 0.78) {
-      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
-      candidate = `${capitalize(prefix)} ${suffix}`
+  // Each unit moves the town's stock, so bulk orders walk the price as they fill
+  let stock = entry.stock
+  let total = 0
+  let amount = 0
+  while (amount < limit) {
+    const unitPrice = getTradeUnitPrice(entry, stock, spread, side)
+    if (side === 'buy') {
+      if (stock < 1 || total + unitPrice > purse) {
+        break
+      }
+      stock -= 1
     } else {
-      const compositePrefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
-      const compositeSuffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
-      candidate = `Port ${capitalize(compositePrefix + compositeSuffix)}`
+      stock += 1
     }
+    total += unitPrice
+    amount += 1
+  }
 
-    if (pattern > 0.88) {
-      const theme = SETTLEMENT_MARKET_THEMES[Math.floor(random() * SETTLEMENT_MARKET_THEMES.length)]
-      candidate = `${candidate} ${theme}`
-    }
+  if (amount <= 0) {
+    return null
+  }
 
-    if (!usedNames.has(candidate)) {
-      usedNames.add(candidate)
-      return candidate
-    }
+  const direction = side === 'buy' ? 1 : -1
+  const nextEntry = { ...entry, stock }
+  nextEntry.price = getStockPrice(nextEntry)
+
+  const nextStacks = { ...hold.stacks, [goodId]: held + amount * direction }
+  const nextCostBasis = { ...hold.costBasis }
+  const averageCost = hold.costBasis?.[goodId] ?? 0
+  let profit = 0
+  if (side === 'buy') {
+    nextCostBasis[goodId] = (held * averageCost + total) / nextStacks[goodId]
+  } else {
+    profit = total - averageCost * amount
+  }
+  if (nextStacks[goodId] <= 0) {
+    delete nextStacks[goodId]
+    delete nextCostBasis[goodId]
   }
 
-  const fallback = `Harbor ${usedNames.size + 1}`
-  usedNames.add(fallback)
-  return fallback
+  return {
+    boat: {
+      ...boat,
+      hold: { ...hold, stacks: nextStacks, costBasis: nextCostBasis },
+      purse: purse - total * direction,
+    },
+    market: {
+      ...market,
+      goods: {
+        ...market.goods,
+        [goodId]: nextEntry,
+      },
+    },
+    quantity: amount,
+    unitPrice: Math.round(total / amount),
+    total,
+    profit,
+  }
 }
 
-function findPointClosestToAngle(points, angle) {
-  if (!points?.length) {
-    return { angle, radius: 0, x: Math.cos(angle), y: Math.sin(angle) }
+function createEmptyLedger() {
+  return {
+    entries: [],
+    voyages: [{ id: 1, originId: null, destinationId: null, departedAt: 0, arrivedAt: null }],
   }
+}
 
-  let best = points[0]
-  let smallest = Math.abs(shortestAngleDiff(angle, best.angle))
-  for (let i = 1; i < points.length; i += 1) {
-    const point = points[i]
-    const diff = Math.abs(shortestAngleDiff(angle, point.angle))
-    if (diff < smallest) {
-      smallest = diff
-      best = point
-    }
+function appendLedgerEntry(ledger, entry) {
+  const voyage = ledger.voyages[ledger.voyages.length - 1]
+  return {
+    ...ledger,
+    entries: [
+      ...ledger.entries,
+      {
+        id: ledger.entries.length + 1,
+        voyageId: voyage.id,
+        goodId: null,
+        quantity: 0,
+        unitPrice: 0,
+        profit: 0,
+        ...entry,
+      },
+    ],
   }
-  return best
 }
 
-function averagePoint(points) {
-  if (!points?.length) {
-    return { x: 0, y: 0 }
+function markLedgerArrival(ledger, settlementId, time) {
+  const voyages = ledger.voyages.slice()
+  const last = voyages[voyages.length - 1]
+  if (last.destinationId != null) {
+    return ledger
   }
-
-  const sum = points.reduce(
-    (acc, point) => {
-      acc.x += point.x
-      acc.y += point.y
-      return acc
-    },
-    { x: 0, y: 0 },
-  )
-
-  return { x: sum.x / points.length, y: sum.y / points.length }
+  voyages[voyages.length - 1] = { ...last, destinationId: settlementId, arrivedAt: time }
+  return { ...ledger, voyages }
 }
 
-function createDockStructure(angle, coastlinePoint, radius, sizeProfile, random) {
-  const direction = { x: Math.cos(angle), y: Math.sin(angle) }
-  const length = BOAT_LENGTH * 3
-  const width = BOAT_WIDTH
-  const retract = Math.min(radius * 0.08, 60)
-  const landwardBase = {
-    x: coastlinePoint.x - direction.x * retract,
-    y: coastlinePoint.y - direction.y * retract,
-  }
-  const outerEnd = {
-    x: landwardBase.x + direction.x * length,
-    y: landwardBase.y + direction.y * length,
+function beginLedgerVoyage(ledger, originId, time) {
+  const last = ledger.voyages[ledger.voyages.length - 1]
+  return {
+    ...ledger,
+    voyages: [
+      ...ledger.voyages,
+      { id: last.id + 1, originId, destinationId: null, departedAt: time, arrivedAt: null },
+    ],
   }
-  const halfWidth = width / 2
-  const perpendicular = { x: -direction.y, y: direction.x }
-  const polygon = [
-    {
-      x: landwardBase.x + perpendicular.x * halfWidth,
-      y: landwardBase.y + perpendicular.y * halfWidth,
-    },
-    {
-      x: landwardBase.x - perpendicular.x * halfWidth,
-      y: landwardBase.y - perpendicular.y * halfWidth,
-    },
-    {
-      x: outerEnd.x - perpendicular.x * halfWidth,
-      y: outerEnd.y - perpendicular.y * halfWidth,
-    },
-    {
-      x: outerEnd.x + perpendicular.x * halfWidth,
-      y: outerEnd.y + perpendicular.y * halfWidth,
-    },
-  ]
+}
 
-  const berthFactor = 0.55 + (random?.() ?? Math.random()) * 0.1
-  const approachMultiplier = 1.2 + (random?.() ?? Math.random()) * 0.3
-  const berthPoint = {
-    x: landwardBase.x + direction.x * (length * berthFactor),
-    y: landwardBase.y + direction.y * (length * berthFactor),
+function summarizeLedger(ledger) {
+  const voyageTotals = new Map(
+    ledger.voyages.map((voyage) => [voyage.id, { ...voyage, revenue: 0, expenses: 0, profit: 0, trades: 0 }]),
+  )
+
+  for (const entry of ledger.entries) {
+    const totals = voyageTotals.get(entry.voyageId)
+    if (!totals) {
+      continue
+    }
+    if (entry.total > 0) {
+      totals.revenue += entry.total
+    } else {
+      totals.expenses -= entry.total
+    }
+    totals.profit += entry.profit
+    if (entry.type === 'buy' || entry.type === 'sell') {
+      totals.trades += 1
+    }
   }
 
-  const approachPoint = {
-    x: outerEnd.x + direction.x * (BOAT_LENGTH * approachMultiplier),
-    y: outerEnd.y + direction.y * (BOAT_LENGTH * approachMultiplier),
+  const voyages = [...voyageTotals.values()]
+  const routes = new Map()
+  for (const voyage of voyages) {
+    if (voyage.destinationId == null) {
+      continue
+    }
+    const key = `${voyage.originId ?? 'open-sea'}>${voyage.destinationId}`
+    const route = routes.get(key) ?? {
+      key,
+      originId: voyage.originId,
+      destinationId: voyage.destinationId,
+      voyages: 0,
+      profit: 0,
+    }
+    route.voyages += 1
+    route.profit += voyage.profit
+    routes.set(key, route)
   }
 
   return {
-    polygon,
-    direction,
-    landwardBase,
-    berthPoint,
-    approachPoint,
-    width,
-    length,
+    voyages,
+    routes: [...routes.values()].sort((a, b) => b.profit - a.profit),
+    totalProfit: voyages.reduce((sum, voyage) => sum + voyage.profit, 0),
   }
 }
 
-function generateSettlementForIsland(island, random, usedNames, options = {}) {
-  const { force = false } = options
-  const candidates = SETTLEMENT_SIZE_OPTIONS.filter((option) => island.radius >= option.minRadius)
-  if (!candidates.length) {
-    return null
+function createEmptyExploration(seed) {
+  const columns = Math.ceil(MAP_SIZE / EXPLORATION_CELL_SIZE)
+  const rows = Math.ceil(MAP_SIZE / EXPLORATION_CELL_SIZE)
+  return {
+    seed,
+    columns,
+    rows,
+    revealed: new Uint8Array(columns * rows),
+    islands: {},
+    settlements: {},
   }
+}
 
-  if (!force) {
-    const spawnChance = Math.min(0.82, 0.45 + (island.radius - candidates[0].minRadius) / 1400)
-    if (random() > spawnChance) {
-      return null
+function loadExploration(seed) {
+  const exploration = createEmptyExploration(seed)
+  try {
+    const raw = window.localStorage?.getItem(`${EXPLORATION_STORAGE_PREFIX}${seed}`)
+    if (!raw) {
+      return exploration
     }
+    return deserializeExploration(seed, JSON.parse(raw))
+  } catch {
+    return exploration
   }
+}
 
-  const choice = candidates[Math.floor(random() * candidates.length)]
-  const placementAngle = random() * TWO_PI
-  const coastlinePoint = findPointClosestToAngle(island.coastline, placementAngle)
-  const dock = createDockStructure(placementAngle, coastlinePoint, island.radius, choice, random)
-
-  const settlementRadius = coastlinePoint.radius * 0.48
-  const center = {
-    x: Math.cos(placementAngle) * settlementRadius,
-    y: Math.sin(placementAngle) * settlementRadius,
+function serializeExploration(exploration) {
+  const revealed = []
+  exploration.revealed.forEach((value, index) => {
+    if (value) {
+      revealed.push(index)
+    }
+  })
+  return {
+    columns: exploration.columns,
+    rows: exploration.rows,
+    revealed,
+    islands: exploration.islands,
+    settlements: exploration.settlements,
   }
+}
 
-  const plazaRadius = Math.max(34, 36 + island.radius * 0.05)
-  const roadEnd = {
-    x: dock.landwardBase.x + dock.direction.x * 12,
-    y: dock.landwardBase.y + dock.direction.y * 12,
+function deserializeExploration(seed, stored) {
+  const exploration = createEmptyExploration(seed)
+  if (stored?.columns !== exploration.columns || stored?.rows !== exploration.rows) {
+    return exploration
   }
-
-  const buildingCountRange = choice.buildingRange
-  const buildingCount = buildingCountRange[0] + Math.floor(random() * (buildingCountRange[1] - buildingCountRange[0] + 1))
-  const streetWidth = Math.max(12, HOUSE_MAX_DIMENSION * 0.35)
-  const columnStreetWidth = Math.max(10, streetWidth * 0.6)
-  const columnSpacing = HOUSE_MAX_DIMENSION * 0.95 + columnStreetWidth
-  const maxPerRow = 4 + (choice.id === 'port-town' ? 3 : choice.id === 'harbor-town' ? 2 : 1)
-
-  const rowPlans = []
-  let allocated = 0
-  while (allocated < buildingCount) {
-    const remaining = buildingCount - allocated
-    const rowCapacity = Math.min(maxPerRow, remaining)
-    const rowPlan = []
-    for (let column = 0; column < rowCapacity; column += 1) {
-      const depth = HOUSE_MAX_DIMENSION * (0.42 + random() * 0.32)
-      const width = HOUSE_MAX_DIMENSION * (0.46 + random() * 0.28)
-      const roofHeight = 16 + random() * 10 + rowPlans.length * 4
-      rowPlan.push({ depth, width, roofHeight, hueShift: random() })
+  for (const index of stored.revealed ?? []) {
+    if (Number.isInteger(index) && index >= 0 && index < exploration.revealed.length) {
+      exploration.revealed[index] = 1
     }
-    rowPlans.push(rowPlan)
-    allocated += rowCapacity
   }
+  exploration.islands = { ...stored.islands }
+  exploration.settlements = { ...stored.settlements }
+  return exploration
+}
 
-  const direction = dock.direction
-  const perpendicular = { x: -direction.y, y: direction.x }
-  const buildings = []
-  const rows = []
-  const streets = []
-  let offsetAlongDirection = 0
+function saveExploration(exploration) {
+  try {
+    window.localStorage?.setItem(
+      `${EXPLORATION_STORAGE_PREFIX}${exploration.seed}`,
+      JSON.stringify(serializeExploration(exploration)),
+    )
+  } catch {
+    // Storage may be full or disabled; exploration simply won't persist
+  }
+}
 
-  for (let rowIndex = 0; rowIndex < rowPlans.length; rowIndex += 1) {
-    const rowPlan = rowPlans[rowIndex]
-    if (!rowPlan.length) {
+function updateExploration(exploration, boat, islands, time, visibility = 1) {
+  let revealed = exploration.revealed
+  const revealRadius = EXPLORATION_REVEAL_RADIUS * visibility
+  const sightRange = EXPLORATION_SIGHT_RANGE * visibility
+  const reach = Math.ceil(revealRadius / EXPLORATION_CELL_SIZE)
+  const boatColumn = Math.floor(boat.x / EXPLORATION_CELL_SIZE)
+  const boatRow = Math.floor(boat.y / EXPLORATION_CELL_SIZE)
+  for (let row = boatRow - reach; row <= boatRow + reach; row += 1) {
+    if (row < 0 || row >= exploration.rows) {
       continue
     }
-
-    const rowDepth = Math.max(...rowPlan.map((plan) => plan.depth))
-    const anchorBase = {
-      x: center.x - direction.x * offsetAlongDirection,
-      y: center.y - direction.y * offsetAlongDirection,
-    }
-
-    const rowBuildings = []
-    for (let column = 0; column < rowPlan.length; column += 1) {
-      const plan = rowPlan[column]
-      const offsetFromCenter = (column - (rowPlan.length - 1) / 2) * columnSpacing
-      const frontCenter = {
-        x: anchorBase.x + perpendicular.x * offsetFromCenter,
-        y: anchorBase.y + perpendicular.y * offsetFromCenter,
+    for (let column = boatColumn - reach; column <= boatColumn + reach; column += 1) {
+      if (column < 0 || column >= exploration.columns) {
+        continue
       }
-      const halfWidth = plan.width / 2
-      const forward = { x: -direction.x * plan.depth, y: -direction.y * plan.depth }
-      const left = { x: perpendicular.x * halfWidth, y: perpendicular.y * halfWidth }
-      const right = { x: -perpendicular.x * halfWidth, y: -perpendicular.y * halfWidth }
-
-      const frontLeft = { x: frontCenter.x + left.x, y: frontCenter.y + left.y }
-      const frontRight = { x: frontCenter.x + right.x, y: frontCenter.y + right.y }
-      const backLeft = { x: frontLeft.x + forward.x, y: frontLeft.y + forward.y }
-      const backRight = { x: frontRight.x + forward.x, y: frontRight.y + forward.y }
-
-      const building = {
-        footprint: [frontLeft, frontRight, backRight, backLeft],
-        roofHeight: plan.roofHeight,
-        hueShift: plan.hueShift,
-        row: rowIndex,
-        column,
+      const index = row * exploration.columns + column
+      if (revealed[index]) {
+        continue
       }
-
-      buildings.push(building)
-      rowBuildings.push(building)
+      const cellX = (column + 0.5) * EXPLORATION_CELL_SIZE
+      const cellY = (row + 0.5) * EXPLORATION_CELL_SIZE
+      if (Math.hypot(cellX - boat.x, cellY - boat.y) > revealRadius) {
+        continue
+      }
+      if (revealed === exploration.revealed) {
+        revealed = exploration.revealed.slice()
+      }
+      revealed[index] = 1
     }
-
-    rows[rowIndex] = rowBuildings
-    offsetAlongDirection += rowDepth + streetWidth
   }
 
-  const streetColor = random() < 0.5 ? 'rgba(120, 108, 96, 0.78)' : 'rgba(102, 94, 84, 0.78)'
-  const streetBorder = 'rgba(52, 41, 31, 0.28)'
-
-  for (const rowBuildings of rows) {
-    if (!rowBuildings?.length) {
+  let sightedIslands = exploration.islands
+  let sightedSettlements = exploration.settlements
+  for (const island of islands) {
+    const distance = Math.hypot(island.x - boat.x, island.y - boat.y)
+    if (sightedIslands[island.id] == null && distance - island.radius <= sightRange) {
+      sightedIslands = { ...sightedIslands, [island.id]: time }
+    }
+    const settlement = island.settlement
+    if (!settlement || sightedSettlements[settlement.id] != null) {
       continue
     }
-    for (let i = 0; i < rowBuildings.length - 1; i += 1) {
-      const left = rowBuildings[i]
-      const right = rowBuildings[i + 1]
-      streets.push({
-        polygon: [left.footprint[1], right.footprint[0], right.footprint[3], left.footprint[2]],
-      })
+    const settlementDistance = Math.hypot(
+      island.x + settlement.center.x - boat.x,
+      island.y + settlement.center.y - boat.y,
+    )
+    if (settlementDistance <= sightRange) {
+      sightedSettlements = { ...sightedSettlements, [settlement.id]: time }
     }
   }
 
-  for (let rowIndex = 0; rowIndex < rows.length - 1; rowIndex += 1) {
-    const current = rows[rowIndex]
-    const next = rows[rowIndex + 1]
-    if (!current?.length || !next?.length) {
-      continue
-    }
-    streets.push({
-      polygon: [
-        averagePoint(current.map((building) => building.footprint[3])),
-        averagePoint(current.map((building) => building.footprint[2])),
-        averagePoint(next.map((building) => building.footprint[1])),
-        averagePoint(next.map((building) => building.footprint[0])),
-      ],
-    })
+  if (
+    revealed === exploration.revealed &&
+    sightedIslands === exploration.islands &&
+    sightedSettlements === exploration.settlements
+  ) {
+    return exploration
   }
+  return { ...exploration, revealed, islands: sightedIslands, settlements: sightedSettlements }
+}
 
-  if (rows[0]?.length) {
-    const firstRow = rows[0]
-    const frontLeftAvg = averagePoint(firstRow.map((building) => building.footprint[0]))
-    const frontRightAvg = averagePoint(firstRow.map((building) => building.footprint[1]))
-    const connectorHalfWidth = streetWidth * 0.8
-    streets.push({
-      polygon: [
-        frontLeftAvg,
-        frontRightAvg,
-        {
-          x: roadEnd.x - perpendicular.x * connectorHalfWidth,
-          y: roadEnd.y - perpendicular.y * connectorHalfWidth,
-        },
-        {
-          x: roadEnd.x + perpendicular.x * connectorHalfWidth,
-          y: roadEnd.y + perpendicular.y * connectorHalfWidth,
-        },
-      ],
-    })
+function isExplorationRevealed(exploration, x, y) {
+  const column = Math.floor(x / EXPLORATION_CELL_SIZE)
+  const row = Math.floor(y / EXPLORATION_CELL_SIZE)
+  if (column < 0 || row < 0 || column >= exploration.columns || row >= exploration.rows) {
+    return false
   }
+  return Boolean(exploration.revealed[row * exploration.columns + column])
+}
 
-  const decor = []
-  const detailCount = Math.min(30, Math.round(buildingCount * (0.5 + random() * 0.6)))
-  for (let i = 0; i < detailCount; i += 1) {
-    const building = buildings[Math.floor(random() * buildings.length)]
-    if (!building) {
+// Strips unsighted islands and settlements so maps only show what the crew has seen
+function getSightedIslands(islands, exploration) {
+  if (!exploration) {
+    return islands
+  }
+  const sighted = []
+  for (const island of islands) {
+    if (exploration.islands[island.id] == null) {
       continue
     }
-
-    const [frontLeft, frontRight, backRight, backLeft] = building.footprint
-    const edgeMid = random() < 0.5 ? averagePoint([frontLeft, frontRight]) : averagePoint([backLeft, backRight])
-    const side = random() < 0.5 ? 1 : -1
-    const depthDirection = random() < 0.5 ? -1 : 1
-    const offsetAlongStreet = streetWidth * (0.35 + random() * 0.7)
-    const offsetDepth = streetWidth * (0.1 + random() * 0.5)
-
-    decor.push({
-      type: SETTLEMENT_DECOR_TYPES[Math.floor(random() * SETTLEMENT_DECOR_TYPES.length)],
-      x: edgeMid.x + perpendicular.x * side * offsetAlongStreet + direction.x * depthDirection * offsetDepth,
-      y: edgeMid.y + perpendicular.y * side * offsetAlongStreet + direction.y * depthDirection * offsetDepth,
-      rotation: random() * TWO_PI,
-      size: 6 + random() * 8,
-    })
+    if (island.settlement && exploration.settlements[island.settlement.id] == null) {
+      sighted.push({
+        ...island,
+        settlement: null,
+        structures: island.structures.filter((structure) => structure.type !== 'dock'),
+      })
+    } else {
+      sighted.push(island)
+    }
   }
+  return sighted
+}
 
-  const people = []
-  const visitorCount = 4 + Math.floor(random() * 4) + Math.floor(buildingCount / 8)
-  for (let i = 0; i < visitorCount; i += 1) {
-    const theta = random() * TWO_PI
-    const distance = plazaRadius * 0.25 + random() * plazaRadius * 0.5
-    people.push({
-      x: center.x + Math.cos(theta) * distance,
-      y: center.y + Math.sin(theta) * distance,
-      radius: 5 + random() * 3.5,
-      tint: random(),
-    })
+function createSaveGame({
+  seed,
+  boat,
+  wind,
+  windRngPosition,
+  storms,
+  stormRngPosition,
+  time,
+  markets,
+  economyTimer,
+  economyRngPosition,
+  ledger,
+  route,
+  exploration,
+}) {
+  return {
+    format: VOYAGE_FILE_FORMAT,
+    version: SAVE_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    seed,
+    time,
+    boat,
+    wind,
+    windRngPosition,
+    storms,
+    stormRngPosition,
+    markets,
+    economyTimer,
+    economyRngPosition,
+    ledger,
+    route,
+    exploration: serializeExploration(exploration),
   }
+}
 
-  const populationMin = choice.populationRange[0]
-  const populationMax = choice.populationRange[1]
-  const population = Math.round(
-    populationMin + random() * (populationMax - populationMin),
-  )
-
-  const marketTheme = SETTLEMENT_MARKET_THEMES[Math.floor(random() * SETTLEMENT_MARKET_THEMES.length)]
-
-  const name = generateSettlementName(random, usedNames, island.name)
-
-  return {
-    id: `${island.id}-settlement`,
-    name,
-    sizeId: choice.id,
-    sizeLabel: choice.label,
-    population,
-    dock,
-    center,
-    plazaRadius,
-    road: { start: center, end: roadEnd, width: streetWidth },
-    buildings,
-    streets,
-    streetColor,
-    streetBorder,
-    decor,
-    people,
-    marketTheme,
-  }
-}
-
-function generateIslands(count, random = Math.random) {
-  const islands = []
-  const usedNames = new Set()
-  const usedSettlementNames = new Set()
-  let attempts = 0
-  while (islands.length < count && attempts < count * 90) {
-    attempts += 1
-    let radius
-    const sizeRoll = random()
-    if (sizeRoll < 0.55) {
-      radius = 200 + random() * 320
-    } else if (sizeRoll < 0.85) {
-      radius = 520 + random() * 220
-    } else {
-      radius = 740 + random() * 320
+// Collects every field-level problem rather than stopping at the first one
+function validateAgainstSchema(value, schema, path, errors) {
+  if (value === undefined) {
+    if (!schema.optional) {
+      errors.push(`${path} is missing`)
     }
-
-    const x = random() * MAP_SIZE
-    const y = random() * MAP_SIZE
-    const borderDistance = Math.min(x, MAP_SIZE - x, y, MAP_SIZE - y)
-    if (borderDistance < radius + MAP_EDGE_CLEARANCE) {
-      continue
+    return
+  }
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push(`${path} must not be null`)
     }
+    return
+  }
 
-    if (
-      islands.some((existing) => {
-        const dx = existing.x - x
-        const dy = existing.y - y
-        return Math.hypot(dx, dy) < existing.radius + radius + MIN_ISLAND_GAP
-      })
-    ) {
-      continue
-    }
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`)
+      } else if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`)
+      } else if (schema.oneOf && !schema.oneOf.includes(value)) {
+        errors.push(`${path} must be one of ${schema.oneOf.join(', ')}`)
+      }
+      return
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a finite number`)
+      } else if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${path} must be a whole number`)
+      } else if (schema.min != null && value < schema.min) {
+        errors.push(`${path} must be at least ${schema.min}`)
+      } else if (schema.max != null && value > schema.max) {
+        errors.push(`${path} must be at most ${schema.max}`)
+      } else if (schema.oneOf && !schema.oneOf.includes(value)) {
+        errors.push(`${path} must be one of ${schema.oneOf.join(', ')}`)
+      }
+      return
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`)
+      }
+      return
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`)
+        return
+      }
+      if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`)
+        return
+      }
+      value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors))
+      return
+    case 'record':
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`)
+        return
+      }
+      if (schema.type === 'record') {
+        for (const [key, item] of Object.entries(value)) {
+          validateAgainstSchema(item, schema.values, `${path}.${key}`, errors)
+        }
+        return
+      }
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        validateAgainstSchema(value[key], fieldSchema, path ? `${path}.${key}` : key, errors)
+      }
+      return
+    default:
+      errors.push(`${path} has an unknown schema type`)
+  }
+}
 
-    const coastline = generateCoastlineShape(radius, random)
-    const beach = createInnerRing(coastline, 0.955, 0.015, random)
-    const grass = createInnerRing(coastline, 0.8, 0.12, random)
-    const canopy = createInnerRing(coastline, 0.58, 0.18, random)
-
-    const palette = pickPalette(random)
-    const name = generateIslandName(random, usedNames)
-    const islandId = `island-${islands.length}`
-    const island = {
-      id: islandId,
-      x,
-      y,
-      radius,
-      points: coastline.map(({ x: px, y: py }) => ({ x: px, y: py })),
-      coastline,
-      beach,
-      grass,
-      canopy,
-      palette,
-      textureSeed: random() * 1000000,
-      waveAnimation: {
-        offset: random() * 400,
-        speed: 0.6 + random() * 0.8,
-        dash: 12 + random() * 10,
-        glow: 0.22 + random() * 0.25,
-      },
-      cliffs: generateCliffs(random),
-      treeClusters: [],
-      streams: generateStreams(coastline, radius, random),
-      highlights: generateMeadowHighlights(grass, radius, random),
-      name,
-      structures: [],
-      settlement: null,
-    }
+function migrateSaveGame(save) {
+  if (typeof save !== 'object' || save === null || Array.isArray(save)) {
+    throw new Error('A save must be a JSON object.')
+  }
+  if (save.format != null && save.format !== VOYAGE_FILE_FORMAT) {
+    throw new Error(`This file is a "${save.format}" document, not a ${VOYAGE_FILE_FORMAT} file.`)
+  }
+  const version = save.version
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('This save has no schema version and cannot be loaded.')
+  }
+  if (version > SAVE_SCHEMA_VERSION) {
+    throw new Error(
+      `This save uses schema version ${version}, but this game only understands up to version ${SAVE_SCHEMA_VERSION}.`,
+    )
+  }
 
-    const settlement = generateSettlementForIsland(island, random, usedSettlementNames)
-    if (settlement) {
-      island.settlement = settlement
-      island.structures.push({ type: 'dock', polygon: settlement.dock.polygon })
+  let migrated = save
+  while (migrated.version < SAVE_SCHEMA_VERSION) {
+    const migrate = SAVE_MIGRATIONS[migrated.version]
+    if (!migrate) {
+      throw new Error(`No migration is available for save schema version ${migrated.version}.`)
     }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 }
+  }
 
-    islands.push(island)
+  const errors = []
+  validateAgainstSchema(migrated, SAVE_SCHEMA, '', errors)
+  if (errors.length > 0) {
+    const error = new Error(`This save failed validation: ${errors.join('; ')}.`)
+    error.fields = errors
+    throw error
   }
+  return migrated
+}
 
-  let settlementCount = islands.filter((island) => island.settlement).length
-  if (settlementCount < MIN_SETTLEMENT_COUNT) {
-    const availableIslands = islands
-      .filter((island) => !island.settlement)
-      .sort((a, b) => b.radius - a.radius)
-    for (const island of availableIslands) {
-      if (settlementCount >= MIN_SETTLEMENT_COUNT) {
-        break
-      }
-      const forcedSettlement = generateSettlementForIsland(island, random, usedSettlementNames, { force: true })
-      if (forcedSettlement) {
-        island.settlement = forcedSettlement
-        island.structures.push({ type: 'dock', polygon: forcedSettlement.dock.polygon })
-        settlementCount += 1
-      }
-    }
+function readSaveSlot(slotId) {
+  const raw = window.localStorage?.getItem(`${SAVE_STORAGE_PREFIX}${slotId}`)
+  if (!raw) {
+    return null
   }
+  let parsed
+  try {
+    parsed = JSON.parse(raw)
+  } catch {
+    throw new Error('This save is corrupted and cannot be read.')
+  }
+  return migrateSaveGame(parsed)
+}
 
-  return islands
+function writeSaveSlot(slotId, save) {
+  window.localStorage?.setItem(`${SAVE_STORAGE_PREFIX}${slotId}`, JSON.stringify(save))
 }
 
-function pickPalette(random = Math.random) {
-  const palettes = [
-    {
-      shore: '#f4d9a0',
-      beach: '#f7e5b8',
-      grass: '#63b365',
-      canopy: '#2f7e4f',
-      cliffs: '#8b5528',
-      highlight: '#fffae5',
-    },
-    {
-      shore: '#f5c874',
-      beach: '#ffe7a9',
-      grass: '#55c27c',
-      canopy: '#1d7a5a',
-      cliffs: '#a16c3c',
-      highlight: '#fff2d0',
-    },
-    {
-      shore: '#f1c082',
-      beach: '#fddd9a',
-      grass: '#6ccf8a',
-      canopy: '#337a44',
-      cliffs: '#82492a',
-      highlight: '#ffe9c0',
+function readSaveSlotSummaries() {
+  return SAVE_SLOTS.map((slot) => {
+    try {
+      const save = readSaveSlot(slot.id)
+      return { ...slot, save, error: null }
+    } catch (error) {
+      return { ...slot, save: null, error: error.message }
+    }
+  })
+}
+
+// JSON turns Infinity into null, so the land probe is rebuilt from the defaults
+function restoreBoatState(saved) {
+  const initial = createInitialBoatState()
+  return {
+    ...initial,
+    ...saved,
+    landStatus: {
+      ...initial.landStatus,
+      ...saved.landStatus,
+      distance: saved.landStatus?.distance ?? Infinity,
+      signedDistance: saved.landStatus?.signedDistance ?? Infinity,
     },
-  ]
-  return palettes[Math.floor(random() * palettes.length)]
+    wind: pickSavedFields(initial.wind, saved.wind, SAVE_SCHEMA.fields.boat.fields.wind),
+    hold: pickSavedFields(createEmptyHold(), saved.hold, SAVE_SCHEMA.fields.boat.fields.hold),
+  }
 }
 
-function generateWaves(count, random = Math.random) {
-  return Array.from({ length: count }, () => ({
-    x: random() * MAP_SIZE,
-    y: random() * MAP_SIZE,
-    amplitude: 18 + random() * 24,
-    length: 60 + random() * 120,
-    speed: 12 + random() * 22,
-    phase: random() * Math.PI * 2,
-  }))
+// Copies only the fields the schema checked, over the defaults for anything the save left out
+function pickSavedFields(defaults, saved, schema) {
+  const picked = { ...defaults }
+  for (const key of Object.keys(schema.fields)) {
+    if (saved?.[key] !== undefined) {
+      picked[key] = saved[key]
+    }
+  }
+  return picked
 }
 
 function useWindowSize() {
@@ -1144,7 +1603,21 @@ function App() {
   const worldMapCanvasRef = useRef(null)
   const pressedKeys = useRef(new Set())
   const repairClicksRef = useRef(0)
-  const [seed, setSeed] = useState(() => generateRandomSeed())
+  const [startupSave] = useState(() => {
+    try {
+      return readSaveSlot(AUTOSAVE_SLOT_ID)
+    } catch {
+      return null
+    }
+  })
+  const pendingSaveRef = useRef(startupSave)
+  const [seed, setSeed] = useState(() => startupSave?.seed ?? generateRandomSeed())
+  const seedRef = useRef(seed)
+  seedRef.current = seed
+  const [saveSlots, setSaveSlots] = useState([])
+  const [saveStatus, setSaveStatus] = useState('')
+  const [importText, setImportText] = useState('')
+  const [importErrors, setImportErrors] = useState([])
   const [seedInput, setSeedInput] = useState(seed)
   const [copyStatus, setCopyStatus] = useState('')
   const [activeMenu, setActiveMenu] = useState(null)
@@ -1152,6 +1625,11 @@ function App() {
   const [isWorldMapVisible, setWorldMapVisible] = useState(false)
   const [isWeatherVisible, setWeatherVisible] = useState(true)
   const [isWeatherEnabled, setWeatherEnabled] = useState(true)
+  const [isCurrentParticlesVisible, setCurrentParticlesVisible] = useState(true)
+  const [isChartCurrentsVisible, setChartCurrentsVisible] = useState(false)
+  const [isAutoTrimEnabled, setAutoTrimEnabled] = useState(true)
+  const autoTrimRef = useRef(isAutoTrimEnabled)
+  autoTrimRef.current = isAutoTrimEnabled
   const copyTimeoutRef = useRef(null)
   const worldMapStateRef = useRef({
     scale: 1,
@@ -1166,16 +1644,77 @@ function App() {
     lastY: 0,
   })
   const worldMapInitializedRef = useRef(false)
+  const [worldMapMode, setWorldMapMode] = useState('globe')
 
   const seedData = useMemo(() => {
     const random = createSeededRng(seed)
+    const islands = generateIslands(ISLAND_COUNT, random)
     return {
-      islands: generateIslands(ISLAND_COUNT, random),
+      islands,
       waves: generateWaves(320, random),
+      shallows: generateShallows(islands, createSeededRng(`${seed}-shallows`)),
     }
   }, [seed])
 
+  const initialMarkets = useMemo(
+    () => createInitialMarkets(seedData.islands, createSeededRng(`${seed}-market`)),
+    [seed, seedData.islands],
+  )
+
   const islands = seedData.islands
+  const shallows = seedData.shallows
+  const navigationGrid = useMemo(
+    () => createNavigationGrid(islands, shallows),
+    [islands, shallows],
+  )
+  const windField = useMemo(
+    () => createWindField(islands, createSeededRng(`${seed}-wind-field`)),
+    [islands, seed],
+  )
+  const currentField = useMemo(
+    () => createCurrentField(islands, createSeededRng(`${seed}-currents`)),
+    [islands, seed],
+  )
+  const tides = useMemo(
+    () => createTideModel(islands, createSeededRng(`${seed}-tides`)),
+    [islands, seed],
+  )
+  const chartCurrentFieldRef = useRef(null)
+  chartCurrentFieldRef.current = isChartCurrentsVisible ? currentField : null
+  const currentParticlesRef = useRef(null)
+  if (currentParticlesRef.current == null) {
+    currentParticlesRef.current = createCurrentParticles()
+  }
+  // Cleared whenever the ship jumps (new seed, loaded save) so the view snaps instead of gliding
+  const cameraRef = useRef(null)
+  const userZoomRef = useRef(1)
+  // Island outline paths, built on first draw and keyed by outline so a new seed builds its own
+  const renderCacheRef = useRef(null)
+  if (renderCacheRef.current == null) {
+    renderCacheRef.current = createRenderCache()
+  }
+  const miniMapGlobeCacheRef = useRef({})
+  const worldMapGlobeCacheRef = useRef({})
+  const glCanvasRef = useRef(null)
+  const glRendererRef = useRef(null)
+  const [isWebGLEnabled, setWebGLEnabled] = useState(false)
+  const [isWebGLSupported, setWebGLSupported] = useState(isWebGLAvailable)
+  const isWebGLActive = isWebGLEnabled && isWebGLSupported
+  useEffect(() => {
+    if (!isWebGLActive) {
+      return undefined
+    }
+    const renderer = createWebGLRenderer(glCanvasRef.current)
+    if (!renderer) {
+      setWebGLSupported(false)
+      return undefined
+    }
+    glRendererRef.current = renderer
+    return () => {
+      glRendererRef.current = null
+      renderer.dispose()
+    }
+  }, [isWebGLActive])
   const wavesRef = useRef(seedData.waves.map((wave) => ({ ...wave })))
   const shorelineTimeRef = useRef(0)
   useEffect(() => {
@@ -1194,21 +1733,323 @@ function App() {
   const windRef = useRef(windState)
   windRef.current = windState
 
+  const stormRandomRef = useRef(createSeededRng(`${seed}-storms`))
+  const [storms, setStorms] = useState(() => createInitialStormState(stormRandomRef.current))
+  const stormsRef = useRef(storms)
+  stormsRef.current = storms
+  // Maps only chart storms while weather is switched on
+  const visibleStormsRef = useRef(null)
+  visibleStormsRef.current = isWeatherEnabled ? storms : null
+
   const simulationTimeRef = useRef(0)
 
+  const [markets, setMarkets] = useState(() => cloneMarkets(initialMarkets))
+  const marketsRef = useRef(markets)
+  marketsRef.current = markets
+  const economyRandomRef = useRef(createSeededRng(`${seed}-economy`))
+  const economyTimerRef = useRef(0)
+
+  const [ledger, setLedger] = useState(() => createEmptyLedger())
+  const ledgerRef = useRef(ledger)
+  ledgerRef.current = ledger
+  const previousDockIdRef = useRef(null)
+
+  const [exploration, setExploration] = useState(() => loadExploration(seed))
+  const explorationRef = useRef(exploration)
+  explorationRef.current = exploration
+  const sightedIslands = useMemo(() => getSightedIslands(islands, exploration), [islands, exploration])
+  const sightedIslandsRef = useRef(sightedIslands)
+  sightedIslandsRef.current = sightedIslands
+
+  const [route, setRoute] = useState([])
+  const routeRef = useRef(route)
+  routeRef.current = route
+  const routeIdRef = useRef(0)
+  const [tradeQuantity, setTradeQuantity] = useState(TRADE_QUANTITY_OPTIONS[0])
+
+  // The wind, storms, ship and swell step in the simulation worker. This thread keeps the last two
+  // snapshots to draw the ship between them, and a revision so snapshots taken before a local
+  // change are dropped rather than briefly undoing it
+  const simulationRef = useRef(null)
+  const simulationRevisionRef = useRef(0)
+  const snapshotFramesRef = useRef(null)
+  // The worker's tick as of its last snapshot, used to stamp inputs and patches with the step
+  // they should land on
+  const simulationClockRef = useRef({ tick: 0, receivedAt: 0, lastStamp: 0 })
+  // The world the worker last received, so it is only cloned across when it changes
+  const sentSimulationWorldRef = useRef(null)
+  // Where the worker's wind and storm generators have got to, for saves; null until it reports
+  const rngPositionsRef = useRef(null)
+  const weatherEnabledRef = useRef(isWeatherEnabled)
+  weatherEnabledRef.current = isWeatherEnabled
+  const simulationWorld = useMemo(
+    () => ({ islands, shallows, navigationGrid, windField, currentField, tides }),
+    [islands, shallows, navigationGrid, windField, currentField, tides],
+  )
+  const simulationWorldRef = useRef(simulationWorld)
+  simulationWorldRef.current = simulationWorld
+
+  const stampSimulationTick = useCallback(() => {
+    const clock = simulationClockRef.current
+    const elapsedSteps = Math.floor(
+      (performance.now() - clock.receivedAt) / (SIMULATION_STEP_SECONDS * 1000),
+    )
+    const target = clock.tick + elapsedSteps + SIMULATION_INPUT_LEAD_STEPS
+    // Never stamp earlier than the last message, so the worker's queue stays in send order
+    clock.lastStamp = Math.max(clock.lastStamp, target)
+    return clock.lastStamp
+  }, [])
+
+  const resetSimulation = useCallback((simulationSeed) => {
+    const simulation = simulationRef.current
+    if (!simulation) {
+      return
+    }
+    simulationRevisionRef.current += 1
+    snapshotFramesRef.current = null
+    rngPositionsRef.current = null
+    simulationClockRef.current = { tick: 0, receivedAt: performance.now(), lastStamp: 0 }
+    const world = simulationWorldRef.current
+    simulation.send({
+      type: 'reset',
+      revision: simulationRevisionRef.current,
+      world: world !== sentSimulationWorldRef.current ? world : null,
+      state: {
+        seed: simulationSeed,
+        boat: boatRef.current,
+        wind: windRef.current,
+        windRngPosition: windRandomRef.current.getPosition(),
+        storms: stormsRef.current,
+        stormRngPosition: stormRandomRef.current.getPosition(),
+        time: simulationTimeRef.current,
+        waves: wavesRef.current,
+      },
+    })
+    sentSimulationWorldRef.current = world
+  }, [])
+
+  const sendSimulationInput = useCallback(() => {
+    simulationRef.current?.send({
+      type: 'input',
+      tick: stampSimulationTick(),
+      input: {
+        keys: [...pressedKeys.current],
+        isWeatherEnabled: weatherEnabledRef.current,
+        isAutoTrimEnabled: autoTrimRef.current,
+      },
+    })
+  }, [stampSimulationTick])
+
+  // Changes made here (trades, repairs, orders) reach the simulation as a patch of just the fields
+  // that changed, so they land on its latest state instead of rolling it back
+  const commitBoat = useCallback((updated) => {
+    const current = boatRef.current
+    const patch = Object.fromEntries(
+      Object.entries(updated).filter(([key, value]) => current[key] !== value),
+    )
+    boatRef.current = updated
+    setBoatState(updated)
+    snapshotFramesRef.current = null
+    simulationRevisionRef.current += 1
+    simulationRef.current?.send({
+      type: 'patch',
+      tick: stampSimulationTick(),
+      patch,
+      revision: simulationRevisionRef.current,
+    })
+  }, [stampSimulationTick])
+
+  const applySaveGame = useCallback((save) => {
+    // Everything is rebuilt before any of it is applied, so a save that fails part way through
+    // leaves the running voyage as it was
+    const restoredBoat = restoreBoatState(save.boat)
+    const restoredWindRandom = createSeededRng(`${save.seed}-wind`, save.windRngPosition)
+    const restoredStormRandom = createSeededRng(`${save.seed}-storms`, save.stormRngPosition)
+    const restoredStorms = save.storms ?? createInitialStormState(restoredStormRandom)
+    const restoredEconomyRandom = createSeededRng(`${save.seed}-economy`, save.economyRngPosition)
+    const restoredMarkets = save.markets ? cloneMarkets(save.markets) : null
+    const restoredLedger = save.ledger ?? createEmptyLedger()
+    const restoredRoute = save.route ?? []
+    const restoredRouteId = restoredRoute.reduce((max, waypoint) => Math.max(max, waypoint.id), 0)
+    const restoredExploration = deserializeExploration(save.seed, save.exploration)
+
+    boatRef.current = restoredBoat
+    setBoatState(restoredBoat)
+    pressedKeys.current.clear()
+    cameraRef.current = null
+    windRandomRef.current = restoredWindRandom
+    windRef.current = save.wind
+    setWindState(save.wind)
+    stormRandomRef.current = restoredStormRandom
+    stormsRef.current = restoredStorms
+    setStorms(restoredStorms)
+    simulationTimeRef.current = save.time ?? 0
+    if (restoredMarkets) {
+      marketsRef.current = restoredMarkets
+      setMarkets(restoredMarkets)
+    }
+    economyRandomRef.current = restoredEconomyRandom
+    economyTimerRef.current = save.economyTimer ?? 0
+    ledgerRef.current = restoredLedger
+    setLedger(restoredLedger)
+    previousDockIdRef.current = restoredBoat.dockedSettlementId
+    routeRef.current = restoredRoute
+    setRoute(restoredRoute)
+    routeIdRef.current = restoredRouteId
+    explorationRef.current = restoredExploration
+    setExploration(restoredExploration)
+    resetSimulation(save.seed)
+    sendSimulationInput()
+  }, [resetSimulation, sendSimulationInput])
+
+  const buildCurrentSave = useCallback(
+    () =>
+      createSaveGame({
+        seed: seedRef.current,
+        boat: boatRef.current,
+        wind: windRef.current,
+        windRngPosition: rngPositionsRef.current?.wind ?? windRandomRef.current.getPosition(),
+        storms: stormsRef.current,
+        stormRngPosition: rngPositionsRef.current?.storm ?? stormRandomRef.current.getPosition(),
+        time: simulationTimeRef.current,
+        markets: marketsRef.current,
+        economyTimer: economyTimerRef.current,
+        economyRngPosition: economyRandomRef.current.getPosition(),
+        ledger: ledgerRef.current,
+        route: routeRef.current,
+        exploration: explorationRef.current,
+      }),
+    [],
+  )
+
+  const writeCurrentSave = useCallback(
+    (slotId) => writeSaveSlot(slotId, buildCurrentSave()),
+    [buildCurrentSave],
+  )
+
+  const autosave = useCallback(() => {
+    try {
+      writeCurrentSave(AUTOSAVE_SLOT_ID)
+    } catch {
+      // Autosave is best effort; manual saves report storage failures
+    }
+  }, [writeCurrentSave])
+
+  useEffect(() => {
+    const resetMarkets = cloneMarkets(initialMarkets)
+    marketsRef.current = resetMarkets
+    setMarkets(resetMarkets)
+  }, [initialMarkets])
+
   useEffect(() => {
     const resetState = createInitialBoatState()
     boatRef.current = resetState
     setBoatState(resetState)
     pressedKeys.current.clear()
+    cameraRef.current = null
     shorelineTimeRef.current = 0
     repairClicksRef.current = 0
     windRandomRef.current = createSeededRng(`${seed}-wind`)
     const resetWind = createInitialWindState(windRandomRef.current)
     windRef.current = resetWind
     setWindState(resetWind)
+    stormRandomRef.current = createSeededRng(`${seed}-storms`)
+    const resetStorms = createInitialStormState(stormRandomRef.current)
+    stormsRef.current = resetStorms
+    setStorms(resetStorms)
+    economyRandomRef.current = createSeededRng(`${seed}-economy`)
+    economyTimerRef.current = 0
     simulationTimeRef.current = 0
-  }, [seed])
+    const resetLedger = createEmptyLedger()
+    ledgerRef.current = resetLedger
+    setLedger(resetLedger)
+    previousDockIdRef.current = null
+    routeRef.current = []
+    setRoute([])
+    const resetExploration = loadExploration(seed)
+    explorationRef.current = resetExploration
+    setExploration(resetExploration)
+    resetSimulation(seed)
+    sendSimulationInput()
+
+    // Kept until the seed moves on so a re-run of this effect restores the same save
+    if (pendingSaveRef.current?.seed === seed) {
+      applySaveGame(pendingSaveRef.current)
+    } else {
+      pendingSaveRef.current = null
+    }
+  }, [seed, applySaveGame, resetSimulation, sendSimulationInput])
+
+  useEffect(() => {
+    const handleMessage = (message) => {
+      if (message.type !== 'snapshot' || message.revision < simulationRevisionRef.current) {
+        return
+      }
+      const { snapshot } = message
+      const receivedAt = performance.now()
+      snapshotFramesRef.current = {
+        previous: snapshotFramesRef.current?.latest ?? snapshot.boat,
+        latest: snapshot.boat,
+        receivedAt,
+        duration: message.steps * SIMULATION_STEP_SECONDS * 1000,
+      }
+      simulationClockRef.current.tick = snapshot.tick
+      simulationClockRef.current.receivedAt = receivedAt
+
+      // Markets move on simulation time, so they pause whenever the simulation does
+      economyTimerRef.current += Math.max(0, snapshot.time - simulationTimeRef.current)
+      if (economyTimerRef.current >= ECONOMY_TICK_SECONDS) {
+        let nextMarkets = marketsRef.current
+        while (economyTimerRef.current >= ECONOMY_TICK_SECONDS) {
+          economyTimerRef.current -= ECONOMY_TICK_SECONDS
+          nextMarkets = updateEconomy(nextMarkets, ECONOMY_TICK_SECONDS, economyRandomRef.current)
+        }
+        marketsRef.current = nextMarkets
+        setMarkets(nextMarkets)
+      }
+
+      simulationTimeRef.current = snapshot.time
+      rngPositionsRef.current = { wind: snapshot.windRngPosition, storm: snapshot.stormRngPosition }
+      wavesRef.current = snapshot.waves
+      boatRef.current = snapshot.boat
+      setBoatState(snapshot.boat)
+      windRef.current = snapshot.wind
+      setWindState(snapshot.wind)
+      stormsRef.current = snapshot.storms
+      setStorms(snapshot.storms)
+    }
+
+    const simulation = createSimulationClient(handleMessage)
+    simulationRef.current = simulation
+    sentSimulationWorldRef.current = null
+    resetSimulation(seedRef.current)
+    sendSimulationInput()
+    return () => {
+      simulationRef.current = null
+      simulation.dispose()
+    }
+  }, [resetSimulation, sendSimulationInput])
+
+  useEffect(() => {
+    if (!simulationRef.current || sentSimulationWorldRef.current === simulationWorld) {
+      return
+    }
+    simulationRef.current.send({ type: 'world', world: simulationWorld })
+    sentSimulationWorldRef.current = simulationWorld
+  }, [simulationWorld])
+
+  useEffect(() => {
+    sendSimulationInput()
+  }, [isWeatherEnabled, isAutoTrimEnabled, sendSimulationInput])
+
+  useEffect(() => {
+    const interval = setInterval(autosave, AUTOSAVE_INTERVAL_SECONDS * 1000)
+    return () => clearInterval(interval)
+  }, [autosave])
+
+  useEffect(() => {
+    saveExploration(exploration)
+  }, [exploration])
 
   useEffect(() => {
     if (isWorldMapVisible) {
@@ -1222,6 +2063,32 @@ function App() {
     worldMapInitializedRef.current = false
   }, [islands])
 
+  useEffect(() => {
+    worldMapStateRef.current.mode = worldMapMode
+  }, [worldMapMode])
+
+  useEffect(() => {
+    const dockedId = boatState.dockedSettlementId
+    const previousId = previousDockIdRef.current
+    if (dockedId === previousId) {
+      return
+    }
+    previousDockIdRef.current = dockedId
+    const time = simulationTimeRef.current
+
+    if (dockedId == null) {
+      const nextLedger = beginLedgerVoyage(ledgerRef.current, previousId, time)
+      ledgerRef.current = nextLedger
+      setLedger(nextLedger)
+      return
+    }
+
+    const nextLedger = markLedgerArrival(ledgerRef.current, dockedId, time)
+    ledgerRef.current = nextLedger
+    setLedger(nextLedger)
+    autosave()
+  }, [boatState.dockedSettlementId, autosave])
+
   useEffect(() => {
     const handleKeyDown = (event) => {
       const key = event.key.toLowerCase()
@@ -1236,9 +2103,35 @@ function App() {
         })
         return
       }
+      if (key === 't') {
+        event.preventDefault()
+        setAutoTrimEnabled((value) => !value)
+        return
+      }
+      if (key === '=' || key === '+' || key === '-' || key === '_') {
+        event.preventDefault()
+        const step = key === '-' || key === '_' ? 1 / CAMERA_KEY_ZOOM_STEP : CAMERA_KEY_ZOOM_STEP
+        userZoomRef.current = clamp(userZoomRef.current * step, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM)
+        return
+      }
+      // Trimming the sheet is not a helm order, so it leaves the autopilot engaged
+      if (Object.values(trimKeys).flat().includes(key)) {
+        event.preventDefault()
+        if (!pressedKeys.current.has(key)) {
+          pressedKeys.current.add(key)
+          sendSimulationInput()
+        }
+        return
+      }
       if (Object.values(controlKeys).flat().includes(key)) {
         event.preventDefault()
-        pressedKeys.current.add(key)
+        if (!pressedKeys.current.has(key)) {
+          pressedKeys.current.add(key)
+          sendSimulationInput()
+        }
+        if (boatRef.current.autopilot) {
+          commitBoat({ ...boatRef.current, autopilot: null })
+        }
       }
     }
 
@@ -1246,6 +2139,7 @@ function App() {
       const key = event.key.toLowerCase()
       if (pressedKeys.current.has(key)) {
         pressedKeys.current.delete(key)
+        sendSimulationInput()
       }
     }
 
@@ -1256,7 +2150,7 @@ function App() {
       window.removeEventListener('keydown', handleKeyDown)
       window.removeEventListener('keyup', handleKeyUp)
     }
-  }, [])
+  }, [commitBoat, sendSimulationInput])
 
   useEffect(() => () => {
     if (copyTimeoutRef.current) {
@@ -1274,284 +2168,69 @@ function App() {
     let animationFrame
     let lastTimestamp
 
-    const updateBoat = (dt, wind) => {
-      const current = { ...boatRef.current }
-      const wasOnLand = current.landStatus?.zone === 'land'
-      let maxSpeedForHealth = getMaxSpeedForHealth(current.health)
-      let damageIncurred = false
-      const commands = {
-        forward: isPressed(pressedKeys.current, controlKeys.forward),
-        backward: isPressed(pressedKeys.current, controlKeys.backward),
-        left: isPressed(pressedKeys.current, controlKeys.left),
-        right: isPressed(pressedKeys.current, controlKeys.right),
-      }
-
-      if (commands.forward) {
-        current.sailTarget = clamp(current.sailTarget + dt * 0.7, 0, 1)
-      }
-
-      if (commands.backward) {
-        current.sailTarget = clamp(current.sailTarget - dt * 0.7, 0, 1)
-      }
-
-      const sailDiff = current.sailTarget - current.sailLevel
-      if (Math.abs(sailDiff) > 0.0001) {
-        const sailChangeRate = 1.6
-        const delta = Math.sign(sailDiff) * Math.min(Math.abs(sailDiff), sailChangeRate * dt)
-        current.sailLevel = clamp(current.sailLevel + delta, 0, 1)
-      }
-
-      const attemptingToMove = commands.forward || commands.left || commands.right
-      const movingSpeedThreshold = 6
-      const isMoving = current.speed > movingSpeedThreshold
-      const anchorBlocking = ['dropping', 'anchored', 'weighing'].includes(current.anchorState)
-
-      if (!anchorBlocking && !isMoving && !attemptingToMove) {
-        current.idleTime += dt
-      } else if (attemptingToMove || isMoving) {
-        current.idleTime = 0
-      }
-
-      if (current.anchorState === 'stowed' && current.idleTime >= 3) {
-        current.anchorState = 'dropping'
-        current.anchorProgress = 0
-      }
-
-      if (current.anchorState === 'dropping') {
-        current.anchorProgress = Math.min(1, current.anchorProgress + dt)
-        current.speed = Math.max(0, current.speed - BRAKE_DECELERATION * dt)
-        if (current.anchorProgress >= 1) {
-          current.anchorState = 'anchored'
-        }
-      } else if (current.anchorState === 'anchored') {
-        current.anchorProgress = 1
-        current.speed = 0
-        if (attemptingToMove) {
-          current.anchorState = 'weighing'
-          current.anchorProgress = 0
-        }
-      } else if (current.anchorState === 'weighing') {
-        current.anchorProgress = Math.min(1, current.anchorProgress + dt)
-        current.speed = 0
-        if (current.anchorProgress >= 1) {
-          current.anchorState = 'stowed'
-          current.anchorProgress = 0
-          current.idleTime = 0
-        }
-      }
-
-      const canAccelerate = !['dropping', 'anchored', 'weighing'].includes(current.anchorState)
-      const canSteer = !['anchored', 'weighing'].includes(current.anchorState)
-
-      let windMultiplier = 1
-      let relativeWindAngle = 0
-      let relativeWindDegrees = 0
-      let isTackingIntoWind = false
-
-      if (wind) {
-        const windStrength = clamp(wind.strength ?? 0, 0, 1)
-        relativeWindAngle = Math.abs(shortestAngleDiff(current.heading, wind.direction))
-        relativeWindDegrees = radiansToDegrees(relativeWindAngle)
-
-        if (
-          canSteer &&
-          canAccelerate &&
-          windStrength > 0.05 &&
-          relativeWindDegrees < NO_GO_ANGLE_DEGREES
-        ) {
-          isTackingIntoWind = true
-          const manualBias =
-            commands.left && !commands.right ? -1 : commands.right && !commands.left ? 1 : 0
-          if (!Number.isFinite(current.tackDirection) || current.tackDirection === 0) {
-            current.tackDirection = manualBias || 1
-          }
-          if (manualBias !== 0) {
-            current.tackDirection = manualBias
-            current.tackTimer = 0
-          }
-          current.tackTimer = (current.tackTimer ?? 0) + dt
-          const tackDuration = lerp(TACK_PERIOD_MIN, TACK_PERIOD_MAX, 1 - windStrength)
-          if (current.tackTimer >= tackDuration) {
-            current.tackTimer = 0
-            if (manualBias === 0) {
-              current.tackDirection *= -1
-            }
-          }
-
-          const tackAngle = degreesToRadians(TACK_TARGET_DEGREES)
-          const targetHeading = wind.direction + current.tackDirection * tackAngle
-          const headingDiff = shortestAngleDiff(targetHeading, current.heading)
-          const tackAdjustment = clamp(dt * TACK_TURN_RATE, 0, 1)
-          current.heading = normalizeAngle(current.heading + headingDiff * tackAdjustment)
-
-          relativeWindAngle = Math.abs(shortestAngleDiff(current.heading, wind.direction))
-          relativeWindDegrees = radiansToDegrees(relativeWindAngle)
-        } else {
-          current.tackTimer = 0
-        }
-
-        const baseMultiplier = getWindMultiplierForAngle(relativeWindDegrees)
-        windMultiplier = lerp(1, baseMultiplier, windStrength)
-        if (isTackingIntoWind) {
-          const tackFloor = 0.18 + windStrength * 0.22
-          windMultiplier = Math.max(windMultiplier, tackFloor)
-        }
-      } else {
-        current.tackTimer = 0
-      }
-
-      const effectiveMaxSpeed = maxSpeedForHealth * windMultiplier
-      const desiredSpeed = canAccelerate ? current.sailLevel * effectiveMaxSpeed : 0
-
-      if (current.speed < desiredSpeed) {
-        current.speed = Math.min(desiredSpeed, current.speed + ACCELERATION * dt)
-      } else if (current.speed > desiredSpeed) {
-        current.speed = Math.max(desiredSpeed, current.speed - BRAKE_DECELERATION * dt)
-      }
-
-      if (desiredSpeed < 6 && current.speed < 6 && !attemptingToMove) {
-        current.speed = 0
-      }
-
-      const speedRatio = effectiveMaxSpeed > 0 ? current.speed / effectiveMaxSpeed : 0
-      const turnStrength = 0.6 + Math.min(speedRatio, 1)
-
-      if (canSteer && commands.left) {
-        current.heading -= TURN_RATE * dt * turnStrength
-      }
-      if (canSteer && commands.right) {
-        current.heading += TURN_RATE * dt * turnStrength
-      }
-
-      current.heading = normalizeAngle(current.heading)
-
-      const proposedX = current.x + Math.cos(current.heading) * current.speed * dt
-      const proposedY = current.y + Math.sin(current.heading) * current.speed * dt
-
-      current.speed = Math.min(current.speed, effectiveMaxSpeed)
-
-      const proposedBoat = { x: proposedX, y: proposedY, heading: current.heading }
-      const proposedSeaState = getBoatSeaState(proposedBoat, islands)
-      if (proposedSeaState.zone === 'land') {
-        const impactSpeed = current.speed
-        if (!wasOnLand && impactSpeed > 0) {
-          const damageAmount = impactSpeed > MAX_FORWARD_SPEED * 0.5 ? 0.1 : 0.05
-          const newHealth = Math.max(MIN_HEALTH, current.health - damageAmount)
-          if (newHealth < current.health) {
-            current.health = newHealth
-            maxSpeedForHealth = getMaxSpeedForHealth(current.health)
-            damageIncurred = true
-          }
-        }
-
-        if (damageIncurred) {
-          current.sailLevel = 0
-          current.sailTarget = 0
-          current.speed = 0
-        } else {
-          current.speed = Math.min(current.speed, 38)
-        }
-
-        if (proposedSeaState.penetration > 0) {
-          const pushBack = proposedSeaState.penetration + 1
-          current.x -= proposedSeaState.normal.x * pushBack
-          current.y -= proposedSeaState.normal.y * pushBack
-        }
-      } else {
-        current.x = clamp(proposedX, 0, MAP_SIZE)
-        current.y = clamp(proposedY, 0, MAP_SIZE)
-      }
-
-      current.x = clamp(current.x, 0, MAP_SIZE)
-      current.y = clamp(current.y, 0, MAP_SIZE)
-
-      let finalSeaState = getBoatSeaState(current, islands)
-      if (finalSeaState.zone === 'land' && finalSeaState.penetration > 0) {
-        const pushBack = finalSeaState.penetration + 1
-        current.x = clamp(current.x - finalSeaState.normal.x * pushBack, 0, MAP_SIZE)
-        current.y = clamp(current.y - finalSeaState.normal.y * pushBack, 0, MAP_SIZE)
-        finalSeaState = getBoatSeaState(current, islands)
-      }
-
-      current.landStatus = finalSeaState
-
-      if (current.anchorState === 'anchored') {
-        let nearestDockId = null
-        let nearestDockDistance = Infinity
-        for (const island of islands) {
-          const settlement = island.settlement
-          if (!settlement?.dock) {
-            continue
-          }
-          const berth = settlement.dock.berthPoint
-          const worldBerth = { x: island.x + berth.x, y: island.y + berth.y }
-          const berthDistance = Math.hypot(worldBerth.x - current.x, worldBerth.y - current.y)
-          if (berthDistance < DOCKING_DISTANCE && berthDistance < nearestDockDistance) {
-            nearestDockDistance = berthDistance
-            nearestDockId = settlement.id
-          }
-        }
-        current.dockedSettlementId = nearestDockId
-      } else if (current.dockedSettlementId != null) {
-        current.dockedSettlementId = null
-      }
-
-      if (wind) {
-        current.wind = {
-          direction: wind.direction ?? 0,
-          strength: wind.strength ?? 0,
-          angleToWind: relativeWindDegrees,
-          multiplier: windMultiplier,
-          isTacking: isTackingIntoWind,
-        }
-      } else {
-        current.wind = {
-          direction: 0,
-          strength: 0,
-          angleToWind: 0,
-          multiplier: 1,
-          isTacking: false,
-        }
-      }
-
-      current.wakeTimer = (current.wakeTimer + dt * (0.8 + Math.min(current.speed / MAX_FORWARD_SPEED, 1) * 3)) % 1000
-
-      boatRef.current = current
-      setBoatState(current)
-      return current
-    }
-
     const render = (timestamp) => {
       if (lastTimestamp == null) {
         lastTimestamp = timestamp
       }
+      // The simulation runs on its own fixed clock; this dt only paces the camera and animation
       const dt = Math.min((timestamp - lastTimestamp) / 1000, 0.05)
       lastTimestamp = timestamp
 
-      const nextWind = updateWindState(windRef.current, dt, windRandomRef.current)
-      windRef.current = nextWind
-      setWindState(nextWind)
-
-      const appliedWind = isWeatherEnabled ? nextWind : null
-      const boat = updateBoat(dt, appliedWind)
-      simulationTimeRef.current += dt
-      updateWaves(wavesRef.current, dt)
-      shorelineTimeRef.current = (shorelineTimeRef.current + dt) % 1000
-      drawScene(
-        ctx,
-        { width, height },
+      const appliedWind = isWeatherEnabled ? windRef.current : null
+      const now = performance.now()
+      const boat = getInterpolatedBoat(snapshotFramesRef.current, boatRef.current, now)
+      const daylight = getDaylight(simulationTimeRef.current)
+      const visibility =
+        (1 - STORM_VISIBILITY_LOSS * (boat.wind?.storm ?? 0)) *
+        lerp(1, NIGHT_VISIBILITY_FACTOR, daylight.darkness)
+      const nextExploration = updateExploration(
+        explorationRef.current,
         boat,
         islands,
-        appliedWind,
         simulationTimeRef.current,
+        visibility,
       )
+      if (nextExploration !== explorationRef.current) {
+        explorationRef.current = nextExploration
+        setExploration(nextExploration)
+      }
+      shorelineTimeRef.current = (shorelineTimeRef.current + dt) % 1000
+      const viewport = { width, height }
+      if (!cameraRef.current) {
+        cameraRef.current = createCamera(boat)
+      }
+      updateCamera(cameraRef.current, boat, islands, userZoomRef.current, dt)
+      if (isCurrentParticlesVisible) {
+        const view = getCameraView(cameraRef.current, width, height)
+        updateCurrentParticles(currentParticlesRef.current, currentField, view, view, dt)
+      }
+      drawScene(ctx, viewport, boat, islands, {
+        camera: cameraRef.current,
+        wind: appliedWind,
+        time: simulationTimeRef.current,
+        route: routeRef.current,
+        windField,
+        storms: isWeatherEnabled ? stormsRef.current : null,
+        currentParticles: isCurrentParticlesVisible ? currentParticlesRef.current : null,
+        tideLevel: getTideLevel(tides, simulationTimeRef.current),
+        shallows,
+        waves: wavesRef.current,
+        shorelineTime: shorelineTimeRef.current,
+        renderCache: renderCacheRef.current,
+        glRenderer: glRendererRef.current,
+      })
 
       if (isMiniMapVisible) {
         const miniMapCanvasCurrent = miniMapRef.current
         if (miniMapCanvasCurrent) {
           const miniMapCtx = miniMapCanvasCurrent.getContext('2d')
           if (miniMapCtx) {
-            drawMiniMap(miniMapCtx, boat, islands)
+            drawMiniMap(miniMapCtx, boat, sightedIslandsRef.current, {
+              route: routeRef.current,
+              exploration: explorationRef.current,
+              storms: visibleStormsRef.current,
+              cache: miniMapGlobeCacheRef.current,
+            })
           }
         }
       }
@@ -1559,7 +2238,14 @@ function App() {
       if (isWorldMapVisible) {
         const worldMapCanvasCurrent = worldMapCanvasRef.current
         if (worldMapCanvasCurrent) {
-          drawWorldMap(worldMapCanvasCurrent, worldMapStateRef.current, boat, islands)
+          drawWorldMap(worldMapCanvasCurrent, worldMapStateRef.current, boat, sightedIslandsRef.current, {
+            route: routeRef.current,
+            exploration: explorationRef.current,
+            storms: visibleStormsRef.current,
+            currentField: chartCurrentFieldRef.current,
+            shallows,
+            cache: worldMapGlobeCacheRef.current,
+          })
         }
       }
 
@@ -1586,9 +2272,14 @@ function App() {
     height,
     width,
     islands,
+    shallows,
+    windField,
+    currentField,
+    tides,
     isMiniMapVisible,
     isWeatherEnabled,
     isWorldMapVisible,
+    isCurrentParticlesVisible,
   ])
 
   useEffect(() => {
@@ -1605,16 +2296,13 @@ function App() {
       const rect = canvas.getBoundingClientRect()
       const cssX = event.clientX - rect.left
       const cssY = event.clientY - rect.top
-      const dpr = window.devicePixelRatio || 1
-      const canvasX = cssX * dpr
-      const canvasY = cssY * dpr
 
       const currentBoat = boatRef.current
-      const cameraX = currentBoat.x - canvas.width / 2
-      const cameraY = currentBoat.y - canvas.height / 2
+      const camera = cameraRef.current ?? createCamera(currentBoat)
+      const view = getCameraView(camera, rect.width, rect.height)
       const worldPoint = {
-        x: cameraX + canvasX,
-        y: cameraY + canvasY,
+        x: view.x + cssX / camera.zoom,
+        y: view.y + cssY / camera.zoom,
       }
 
       const boatPolygon = getBoatHullPolygon(currentBoat)
@@ -1624,32 +2312,38 @@ function App() {
         return
       }
 
-      if (currentBoat.health >= 1) {
+      if (currentBoat.health >= FIELD_REPAIR_MAX_HEALTH) {
         repairClicksRef.current = 0
         return
       }
 
       repairClicksRef.current += 1
 
-      if (repairClicksRef.current >= 3) {
-        repairClicksRef.current -= 3
-        setBoatState((existing) => {
-          const healedHealth = Math.min(1, existing.health + 0.05)
-          if (healedHealth === existing.health) {
-            return existing
-          }
-          const updated = { ...existing, health: healedHealth }
-          boatRef.current = updated
-          return updated
-        })
+      if (repairClicksRef.current >= FIELD_REPAIR_CLICKS) {
+        repairClicksRef.current -= FIELD_REPAIR_CLICKS
+        const updated = applyFieldRepair(boatRef.current)
+        if (updated) {
+          commitBoat(updated)
+        }
       }
     }
 
+    const handleWheel = (event) => {
+      event.preventDefault()
+      userZoomRef.current = clamp(
+        userZoomRef.current * Math.exp(-event.deltaY * CAMERA_WHEEL_ZOOM_RATE),
+        CAMERA_MIN_ZOOM,
+        CAMERA_MAX_ZOOM,
+      )
+    }
+
     canvas.addEventListener('pointerdown', handlePointerDown)
+    canvas.addEventListener('wheel', handleWheel, { passive: false })
     return () => {
       canvas.removeEventListener('pointerdown', handlePointerDown)
+      canvas.removeEventListener('wheel', handleWheel)
     }
-  }, [])
+  }, [commitBoat])
 
   useEffect(() => {
     const miniMapCanvas = miniMapRef.current
@@ -1679,6 +2373,16 @@ function App() {
 
     const state = worldMapStateRef.current
 
+    const redraw = () => {
+      drawWorldMap(canvas, state, boatRef.current, sightedIslandsRef.current, {
+        route: routeRef.current,
+        exploration: explorationRef.current,
+        storms: visibleStormsRef.current,
+        currentField: chartCurrentFieldRef.current,
+        cache: worldMapGlobeCacheRef.current,
+      })
+    }
+
     const updateCanvasSize = (contentSize) => {
       const observedWidth = contentSize?.width
       const observedHeight = contentSize?.height
@@ -1722,7 +2426,7 @@ function App() {
       }
 
       clampWorldMapView(state, cssWidth, cssHeight)
-      drawWorldMap(canvas, state, boatRef.current, islands)
+      redraw()
     }
 
     const resizeObserver = new ResizeObserver((entries) => {
@@ -1735,14 +2439,28 @@ function App() {
     resizeObserver.observe(container)
     updateCanvasSize()
 
+    const getCanvasPoint = (event) => {
+      const rect = canvas.getBoundingClientRect()
+      return {
+        point: { x: event.clientX - rect.left, y: event.clientY - rect.top },
+        projection: getWorldMapProjection(rect.width, rect.height, state),
+      }
+    }
+
+
     const handlePointerDown = (event) => {
       if (event.button !== 0) {
         return
       }
+      const { point, projection } = getCanvasPoint(event)
+      const waypoint = findMapWaypointAt(routeRef.current, projection, point, 8)
+      state.draggingWaypointId = waypoint?.id ?? null
       state.isPanning = true
       state.pointerId = event.pointerId
       state.lastX = event.clientX
       state.lastY = event.clientY
+      state.downX = event.clientX
+      state.downY = event.clientY
       canvas.classList.add('is-panning')
       canvas.setPointerCapture(event.pointerId)
     }
@@ -1752,6 +2470,20 @@ function App() {
         return
       }
 
+      if (state.draggingWaypointId != null) {
+        const { point, projection } = getCanvasPoint(event)
+        const world = projection.unproject(point.x, point.y)
+        if (world) {
+          const nextRoute = routeRef.current.map((waypoint) =>
+            waypoint.id === state.draggingWaypointId ? { ...waypoint, ...world } : waypoint,
+          )
+          routeRef.current = nextRoute
+          setRoute(nextRoute)
+          redraw()
+        }
+        return
+      }
+
       const dx = event.clientX - state.lastX
       const dy = event.clientY - state.lastY
       state.lastX = event.clientX
@@ -1760,7 +2492,7 @@ function App() {
       state.centerY -= dy / state.scale
       const rect = canvas.getBoundingClientRect()
       clampWorldMapView(state, rect.width, rect.height)
-      drawWorldMap(canvas, state, boatRef.current, islands)
+      redraw()
     }
 
     const endPan = (event) => {
@@ -1770,6 +2502,28 @@ function App() {
       state.isPanning = false
       state.pointerId = null
       canvas.classList.remove('is-panning')
+      const moved = Math.hypot(event.clientX - state.downX, event.clientY - state.downY)
+      const wasDraggingWaypoint = state.draggingWaypointId != null
+      state.draggingWaypointId = null
+      if (!wasDraggingWaypoint && event.type === 'pointerup' && moved < 5) {
+        const { point, projection } = getCanvasPoint(event)
+        const picked = findMapSettlementAt(sightedIslandsRef.current, projection, point, 14)
+        if (picked) {
+          const updated = engageAutopilot(boatRef.current, picked, navigationGrid, islands)
+          if (updated) {
+            commitBoat(updated)
+          }
+        } else {
+          const world = projection.unproject(point.x, point.y)
+          if (world) {
+            routeIdRef.current += 1
+            const nextRoute = [...routeRef.current, { id: routeIdRef.current, ...world }]
+            routeRef.current = nextRoute
+            setRoute(nextRoute)
+            redraw()
+          }
+        }
+      }
       if (typeof canvas.hasPointerCapture === 'function') {
         if (canvas.hasPointerCapture(event.pointerId)) {
           canvas.releasePointerCapture(event.pointerId)
@@ -1802,7 +2556,19 @@ function App() {
       state.centerY = worldY - (offsetY - height / 2) / state.scale
 
       clampWorldMapView(state, rect.width, rect.height)
-      drawWorldMap(canvas, state, boatRef.current, islands)
+      redraw()
+    }
+
+    const handleContextMenu = (event) => {
+      event.preventDefault()
+      const { point, projection } = getCanvasPoint(event)
+      const waypoint = findMapWaypointAt(routeRef.current, projection, point, 8)
+      if (waypoint) {
+        const nextRoute = routeRef.current.filter((candidate) => candidate.id !== waypoint.id)
+        routeRef.current = nextRoute
+        setRoute(nextRoute)
+        redraw()
+      }
     }
 
     canvas.addEventListener('pointerdown', handlePointerDown)
@@ -1811,6 +2577,7 @@ function App() {
     canvas.addEventListener('pointercancel', endPan)
     canvas.addEventListener('pointerleave', endPan)
     canvas.addEventListener('wheel', handleWheel, { passive: false })
+    canvas.addEventListener('contextmenu', handleContextMenu)
 
     return () => {
       resizeObserver.disconnect()
@@ -1821,10 +2588,12 @@ function App() {
       canvas.removeEventListener('pointercancel', endPan)
       canvas.removeEventListener('pointerleave', endPan)
       canvas.removeEventListener('wheel', handleWheel)
+      canvas.removeEventListener('contextmenu', handleContextMenu)
       state.isPanning = false
       state.pointerId = null
+      state.draggingWaypointId = null
     }
-  }, [boatRef, islands, isWorldMapVisible])
+  }, [boatRef, islands, isWorldMapVisible, navigationGrid, commitBoat])
 
   const handleSeedSubmit = (event) => {
     event.preventDefault()
@@ -1870,9 +2639,110 @@ function App() {
   }
 
   const handleMenuToggle = (menuKey) => {
+    if (menuKey === 'saves') {
+      setSaveSlots(readSaveSlotSummaries())
+      setSaveStatus('')
+    }
     setActiveMenu((current) => (current === menuKey ? null : menuKey))
   }
 
+  const handleSaveGame = (slot) => {
+    try {
+      writeCurrentSave(slot.id)
+      setSaveStatus(`Saved to ${slot.label}.`)
+    } catch {
+      setSaveStatus(`Could not save to ${slot.label}: browser storage is unavailable or full.`)
+    }
+    setSaveSlots(readSaveSlotSummaries())
+  }
+
+  const handleLoadGame = (slot) => {
+    let save
+    try {
+      save = readSaveSlot(slot.id)
+    } catch (error) {
+      setSaveStatus(`Could not load ${slot.label}: ${error.message}`)
+      return
+    }
+    if (!save) {
+      setSaveStatus(`${slot.label} is empty.`)
+      return
+    }
+
+    restoreSaveGame(save)
+    setSaveStatus(`Loaded ${slot.label}.`)
+  }
+
+  const restoreSaveGame = (save) => {
+    if (save.seed === seed) {
+      applySaveGame(save)
+    } else {
+      pendingSaveRef.current = save
+      setSeed(save.seed)
+      setSeedInput(save.seed)
+      setCopyStatus('')
+    }
+  }
+
+  const handleExportVoyage = () => {
+    const save = buildCurrentSave()
+    const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `sailtrade-voyage-${save.seed}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+    setSaveStatus('Voyage exported.')
+  }
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) {
+      return
+    }
+    try {
+      setImportText(await file.text())
+      setImportErrors([])
+    } catch {
+      setImportErrors([`Could not read ${file.name}.`])
+    }
+  }
+
+  const handleImportVoyage = () => {
+    let parsed
+    try {
+      parsed = JSON.parse(importText)
+    } catch (error) {
+      setImportErrors([`The voyage is not valid JSON: ${error.message}`])
+      return
+    }
+
+    let save
+    try {
+      save = migrateSaveGame(parsed)
+    } catch (error) {
+      setImportErrors(error.fields ?? [error.message])
+      return
+    }
+
+    restoreSaveGame(save)
+    setImportErrors([])
+    setImportText('')
+    setSaveStatus('Voyage imported.')
+  }
+
+  const handleDeleteSave = (slot) => {
+    try {
+      window.localStorage?.removeItem(`${SAVE_STORAGE_PREFIX}${slot.id}`)
+      setSaveStatus(`Cleared ${slot.label}.`)
+    } catch {
+      setSaveStatus(`Could not clear ${slot.label}.`)
+    }
+    setSaveSlots(readSaveSlotSummaries())
+  }
+
   const handleWeatherEnabledChange = (event) => {
     const nextEnabled = event.target.checked
     if (nextEnabled) {
@@ -1885,35 +2755,138 @@ function App() {
   }
 
   const handleLeaveSettlement = () => {
-    setBoatState((existing) => {
-      if (
-        existing.anchorState === 'weighing' &&
-        existing.dockedSettlementId == null
-      ) {
-        return existing
-      }
-
-      const updated = {
-        ...existing,
-        anchorState: 'weighing',
-        anchorProgress: 0,
-        idleTime: 0,
-        dockedSettlementId: null,
-      }
-      boatRef.current = updated
-      return updated
+    const existing = boatRef.current
+    if (
+      existing.repairJob ||
+      (existing.anchorState === 'weighing' && existing.dockedSettlementId == null)
+    ) {
+      return
+    }
+
+    commitBoat({
+      ...existing,
+      anchorState: 'weighing',
+      anchorProgress: 0,
+      idleTime: 0,
+      dockedSettlementId: null,
+    })
+  }
+
+  const handleAutopilotChange = (event) => {
+    const settlementId = event.target.value
+    if (!settlementId) {
+      handleDisengageAutopilot()
+      return
+    }
+    const island = islands.find((candidate) => candidate.settlement?.id === settlementId)
+    const updated = engageAutopilot(boatRef.current, island, navigationGrid, islands)
+    if (updated) {
+      commitBoat(updated)
+    }
+  }
+
+  const handleDisengageAutopilot = () => {
+    if (!boatRef.current.autopilot) {
+      return
+    }
+    commitBoat({ ...boatRef.current, autopilot: null })
+  }
+
+  const handleShipyardRepair = (option) => {
+    const currentBoat = boatRef.current
+    const settlementId = currentBoat.dockedSettlementId
+    const settlement = islands.find((island) => island.settlement?.id === settlementId)?.settlement
+    const profile = getShipyardProfile(settlement)
+    if (!profile || currentBoat.repairJob || (currentBoat.purse ?? 0) < option.cost) {
+      return
+    }
+
+    commitBoat({
+      ...currentBoat,
+      purse: currentBoat.purse - option.cost,
+      repairJob: { settlementId, targetHealth: option.targetHealth, rate: profile.rate },
+    })
+    const repairedPercent = Math.round((option.targetHealth - currentBoat.health) * 100)
+    recordLedgerEntry({
+      type: 'repair',
+      settlementId,
+      quantity: repairedPercent,
+      unitPrice: repairedPercent > 0 ? Math.round(option.cost / repairedPercent) : option.cost,
+      total: -option.cost,
+      profit: -option.cost,
+    })
+  }
+
+  const recordLedgerEntry = (entry) => {
+    const nextLedger = appendLedgerEntry(ledgerRef.current, {
+      ...entry,
+      time: simulationTimeRef.current,
+    })
+    ledgerRef.current = nextLedger
+    setLedger(nextLedger)
+  }
+
+  const handleTrade = (goodId, side) => {
+    const currentBoat = boatRef.current
+    const settlementId = currentBoat.dockedSettlementId
+    const market = settlementId ? marketsRef.current[settlementId] : null
+    if (!market) {
+      return
+    }
+
+    const result = executeTrade(currentBoat, market, goodId, tradeQuantity, side)
+    if (!result) {
+      return
+    }
+
+    commitBoat(result.boat)
+    const nextMarkets = { ...marketsRef.current, [settlementId]: result.market }
+    marketsRef.current = nextMarkets
+    setMarkets(nextMarkets)
+    recordLedgerEntry({
+      type: side,
+      settlementId,
+      goodId,
+      quantity: result.quantity,
+      unitPrice: result.unitPrice,
+      total: side === 'buy' ? -result.total : result.total,
+      profit: result.profit,
     })
   }
 
   const shipStatus = useMemo(() => {
+    if (boatState.repairJob) {
+      return 'In the shipyard'
+    }
+
+    if (boatState.autopilot) {
+      return 'On autopilot'
+    }
+
     if (boatState.anchorState === 'anchored' && boatState.dockedSettlementId) {
       return 'Docked'
     }
 
+    if (boatState.anchorState === 'anchored' && boatState.mooringTimer > 0) {
+      return 'Mooring in the dark'
+    }
+
+    if (boatState.anchorState === 'anchored' && boatState.dryBerthId) {
+      return 'Waiting for the tide'
+    }
+
+    if (boatState.knockdownTimer > 0) {
+      return 'Knocked down'
+    }
+
     if (boatState.landStatus?.zone === 'land') {
       return 'Run aground'
     }
 
+    if (boatState.landStatus?.zone === 'shallows' && boatState.speed > 10) {
+      return 'Scraping the shallows'
+    }
+
     if (boatState.landStatus?.zone === 'shore' && boatState.speed > 10) {
       return 'Hugging the coast'
     }
@@ -1935,7 +2908,16 @@ function App() {
     }
 
     return 'Idle'
-  }, [boatState.anchorState, boatState.landStatus, boatState.speed])
+  }, [
+    boatState.anchorState,
+    boatState.landStatus,
+    boatState.speed,
+    boatState.repairJob,
+    boatState.autopilot,
+    boatState.mooringTimer,
+    boatState.dryBerthId,
+    boatState.knockdownTimer,
+  ])
 
   const landProximity = useMemo(() => {
     const status = boatState.landStatus
@@ -1954,12 +2936,25 @@ function App() {
           range: 'Hull pressed to dock',
         }
       }
+      if (status.structureType === 'flat') {
+        return {
+          zone: 'On the tidal flats',
+          range: 'Wait for the flood',
+        }
+      }
       return {
         zone: 'Grounded',
         range: `${Math.round(status.penetration)} m inland`,
       }
     }
 
+    if (status.zone === 'shallows') {
+      return {
+        zone: `Over a ${SHALLOWS_TYPES[status.shallowsType]?.label.toLowerCase() ?? 'shoal'}`,
+        range: 'Shallow water',
+      }
+    }
+
     if (status.structureType === 'dock') {
       const zone = status.zone === 'shore' ? 'Harbor waters' : 'Harbor approach'
       return {
@@ -2000,26 +2995,73 @@ function App() {
     [boatState.health],
   )
   const healthPercent = Math.max(Math.round((boatState.health ?? 1) * 100), Math.round(MIN_HEALTH * 100))
-  const effectiveTopSpeedKnots = Math.round(getMaxSpeedForHealth(boatState.health))
-  const damagePenaltyPercent = Math.round(damageState.penalty * 100)
+  const holdLoad = getHoldLoad(boatState.hold)
+  const holdCapacity = boatState.hold?.capacity ?? HOLD_CAPACITY_TONS
+  const holdLoadRatio = getHoldLoadRatio(boatState.hold)
+  const holdPercent = Math.round(holdLoadRatio * 100)
+  const effectiveTopSpeedKnots = Math.round(getMaxSpeedForHealth(boatState.health, holdLoadRatio))
+  const topSpeedPenaltyPercent = Math.round((1 - effectiveTopSpeedKnots / MAX_FORWARD_SPEED) * 100)
 
   const speedKnots = Math.round(boatState.speed)
-  const headingDegrees = Math.round(
-    (((boatState.heading % TWO_PI) + TWO_PI) % TWO_PI) * (180 / Math.PI),
+  const groundSpeedKnots = Math.round(boatState.groundSpeed ?? boatState.speed)
+  const daylight = getDaylight(simulationTimeRef.current)
+  const trimDegrees = Math.round(boatState.sheetAngle ?? 0)
+  const trimEfficiencyPercent = Math.round((boatState.trimEfficiency ?? 1) * 100)
+  const trimSubtitle =
+    isAutoTrimEnabled || boatState.autopilot
+      ? 'Auto-trim'
+      : getTrimAdvice(
+          boatState.sheetAngle ?? 0,
+          boatState.wind?.apparentAngle ?? boatState.wind?.angleToWind ?? 0,
+        )
+  const heelDegrees = Math.round(Math.abs(boatState.heel ?? 0))
+  let heelSubtitle = 'Sailing upright'
+  if (boatState.knockdownTimer > 0) {
+    heelSubtitle = boatState.sailLocked ? 'Knocked down · release W' : 'Knocked down'
+  } else if (heelDegrees > HEEL_EXCESS_DEGREES) {
+    heelSubtitle = 'Overpressed · reef with S'
+  } else if (heelDegrees > 8) {
+    heelSubtitle = 'Heeling'
+  }
+  const headingDegrees = Math.round(getCompassBearing(boatState.heading)) % 360
+  const regionalWindKnots = Math.round(
+    lerp(WIND_SPEED_BASE_KNOTS, WIND_SPEED_MAX_KNOTS, clamp(windState.strength ?? 0, 0, 1)),
   )
-  const windStrength = clamp(windState.strength ?? 0, 0, 1)
+  // The boat records the wind it actually felt, so the readout is local to the ship
+  const localWind = boatState.wind ?? windState
   const windSpeedKnots = Math.round(
-    lerp(WIND_SPEED_BASE_KNOTS, WIND_SPEED_MAX_KNOTS, windStrength),
+    lerp(WIND_SPEED_BASE_KNOTS, WIND_SPEED_MAX_KNOTS, clamp(localWind.strength ?? 0, 0, 1)),
   )
   const windDirectionDegrees = Math.round(
-    (((windState.direction % TWO_PI) + TWO_PI) % TWO_PI) * (180 / Math.PI),
+    (((localWind.direction % TWO_PI) + TWO_PI) % TWO_PI) * (180 / Math.PI),
+  )
+  const windDirectionLabel = getCardinalDirection(localWind.direction)
+  // Points of sail are judged by the wind felt on deck, not the true wind
+  const relativeWindAngle = boatState.wind?.apparentAngle ?? boatState.wind?.angleToWind ?? 0
+  const apparentWindKnots = Math.round(
+    lerp(
+      WIND_SPEED_BASE_KNOTS,
+      WIND_SPEED_MAX_KNOTS,
+      clamp(boatState.wind?.apparentStrength ?? localWind.strength ?? 0, 0, 1),
+    ),
   )
-  const windDirectionLabel = getCardinalDirection(windDirectionDegrees)
-  const relativeWindAngle = boatState.wind?.angleToWind ?? 0
   const relativeWindDescription = boatState.wind?.isTacking
     ? 'Tacking'
     : getRelativeWindDescription(relativeWindAngle)
-  const windStatSubtitle = `${windDirectionLabel} · ${relativeWindDescription}`
+  let localWindEffect = null
+  if ((localWind.shelter ?? 0) > 0.2) {
+    localWindEffect = 'In the lee'
+  } else if ((localWind.funnel ?? 0) > 0.2) {
+    localWindEffect = 'Funnelling'
+  }
+  const windStatSubtitle = [
+    windDirectionLabel,
+    relativeWindDescription,
+    `${apparentWindKnots} kn apparent`,
+    localWindEffect,
+  ]
+    .filter(Boolean)
+    .join(' · ')
 
   const dockedSettlement = dockedSettlementContext?.settlement
   const dockedPopulation = useMemo(() => {
@@ -2037,19 +3079,104 @@ function App() {
     [dockedSettlement],
   )
 
+  const settlementNames = useMemo(() => {
+    const names = {}
+    for (const island of islands) {
+      if (island.settlement) {
+        names[island.settlement.id] = island.settlement.name
+      }
+    }
+    return names
+  }, [islands])
+
+  const autopilotDestinations = useMemo(
+    () =>
+      sightedIslands
+        .filter((island) => island.settlement)
+        .map((island) => ({ id: island.settlement.id, name: island.settlement.name }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    [sightedIslands],
+  )
+
+  const discoveredSettlements = useMemo(
+    () =>
+      islands
+        .filter((island) => island.settlement && exploration.settlements[island.settlement.id] != null)
+        .map((island) => ({
+          id: island.settlement.id,
+          name: island.settlement.name,
+          islandName: island.name,
+          size: island.settlement.sizeLabel,
+          firstSeen: exploration.settlements[island.settlement.id],
+        }))
+        .sort((a, b) => a.firstSeen - b.firstSeen),
+    [exploration, islands],
+  )
+  const settlementTotal = useMemo(() => islands.filter((island) => island.settlement).length, [islands])
+
+  const routeLegs = useMemo(
+    () => getRouteLegs(boatState, route, isWeatherEnabled ? windState : null, windField),
+    [boatState, route, isWeatherEnabled, windState, windField],
+  )
+
+  const handleClearRoute = () => {
+    routeRef.current = []
+    setRoute([])
+  }
+
+  const ledgerSummary = useMemo(() => summarizeLedger(ledger), [ledger])
+  const recentLedgerEntries = useMemo(
+    () => ledger.entries.slice(-LEDGER_RECENT_LIMIT).reverse(),
+    [ledger],
+  )
+  const getPortName = (settlementId) => settlementNames[settlementId] ?? 'Open sea'
+
+  const shipyardProfile = getShipyardProfile(dockedSettlement)
+  const shipyardOptions = useMemo(
+    () => (dockedSettlement ? getRepairOptions(boatState.health, dockedSettlement) : []),
+    [boatState.health, dockedSettlement],
+  )
+
+  const dockedMarket = dockedSettlement ? markets[dockedSettlement.id] : null
+  const marketRows = useMemo(() => {
+    if (!dockedMarket || !dockedSettlement) {
+      return []
+    }
+    const produce = getSettlementProduce(dockedSettlement)
+    const freeSpace = (boatState.hold?.capacity ?? 0) - getHoldLoad(boatState.hold)
+    return TRADE_GOODS.map((good) => ({
+      good,
+      quote: getMarketQuote(dockedMarket, good.id),
+      held: boatState.hold?.stacks?.[good.id] ?? 0,
+      isLocal: produce.includes(good.id),
+      hasRoom: freeSpace + 1e-9 >= good.weight,
+    }))
+  }, [dockedMarket, dockedSettlement, boatState.hold])
+
+  // Tide table for the berth the ship is tied up at, or else the closest known port
+  const tidePort = dockedSettlementContext ?? getNearestSettlement(sightedIslands, boatState)
+  const tideLevel = getTideLevel(tides, simulationTimeRef.current)
+  const tideRising =
+    Math.cos((simulationTimeRef.current / TIDE_PERIOD_SECONDS) * TWO_PI + tides.phase) > 0
+  const tideTurns = getTideTurns(tides, simulationTimeRef.current)
+  const tidePortBerthLevel = tidePort ? tides.berths[tidePort.settlement.id] : undefined
+  const isTidePortBerthDry = tidePortBerthLevel != null && tideLevel < tidePortBerthLevel
+  let tidePortBerthNote = 'Deep-water berth'
+  if (tidePortBerthLevel != null) {
+    const dryingHeight = getTideHeightMeters(tidePortBerthLevel).toFixed(1)
+    tidePortBerthNote = `${isTidePortBerthDry ? 'Berth dry' : 'Berth afloat'} · dries below ${dryingHeight} m`
+  }
+
   const windForecast = useMemo(() => {
     const changeTimer = Math.max(0, Math.round(windState.changeTimer ?? 0))
     const targetStrength = clamp(windState.targetStrength ?? windState.strength ?? 0, 0, 1)
     const targetKnots = Math.round(lerp(WIND_SPEED_BASE_KNOTS, WIND_SPEED_MAX_KNOTS, targetStrength))
-    const targetDirectionDegrees = Math.round(
-      (((windState.targetDirection % TWO_PI) + TWO_PI) % TWO_PI) * (180 / Math.PI),
-    )
-    const targetDirectionLabel = getCardinalDirection(targetDirectionDegrees)
+    const targetDirectionLabel = getCardinalDirection(windState.targetDirection)
 
     let trend = 'steady'
-    if (targetKnots > windSpeedKnots + 1) {
+    if (targetKnots > regionalWindKnots + 1) {
       trend = 'building'
-    } else if (targetKnots < windSpeedKnots - 1) {
+    } else if (targetKnots < regionalWindKnots - 1) {
       trend = 'easing'
     }
 
@@ -2070,17 +3197,52 @@ function App() {
 
     const detail = `Next: ${targetDirectionLabel} · ${targetKnots} kn`
 
+    let approachingStorm = null
+    for (const cell of storms.cells) {
+      const approach = getStormApproach(cell, boatState.x, boatState.y)
+      if (!approach || approach.time > STORM_WARNING_SECONDS) {
+        continue
+      }
+      if (!approachingStorm || approach.time < approachingStorm.time) {
+        approachingStorm = { ...approach, cell }
+      }
+    }
+
+    if (approachingStorm) {
+      const { cell } = approachingStorm
+      const bearing = Math.atan2(cell.y - boatState.y, cell.x - boatState.x)
+      if (approachingStorm.time <= 0) {
+        return {
+          headline: 'Storm overhead',
+          detail: 'Shorten sail or run for a berth',
+          timing: 'now',
+          isWarning: true,
+        }
+      }
+      const seconds = Math.round(approachingStorm.time)
+      return {
+        headline: 'Storm approaching',
+        detail: `${getCardinalDirection(bearing)} · ${formatDistance(approachingStorm.distance)} off`,
+        timing: seconds >= 120 ? `${Math.round(seconds / 60)} min` : `${seconds} s`,
+        isWarning: true,
+      }
+    }
+
     return {
       headline,
       detail,
       timing,
+      isWarning: false,
     }
   }, [
+    storms,
+    boatState.x,
+    boatState.y,
     windState.changeTimer,
     windState.targetDirection,
     windState.targetStrength,
     windState.strength,
-    windSpeedKnots,
+    regionalWindKnots,
   ])
 
   const miniMapStyle = useMemo(() => {
@@ -2094,6 +3256,7 @@ function App() {
 
   return (
     <div className="app">
+      {isWebGLActive && <canvas ref={glCanvasRef} className="world-canvas" />}
       <canvas ref={canvasRef} className="world-canvas" />
       <div className="ui-layer">
         <div className={`top-menu ${activeMenu ? 'top-menu--expanded' : ''}`}>
@@ -2114,6 +3277,13 @@ function App() {
               >
                 Instructions
               </button>
+              <button
+                type="button"
+                className={`menu-toggle-button ${activeMenu === 'saves' ? 'is-active' : ''}`}
+                onClick={() => handleMenuToggle('saves')}
+              >
+                Save / Load
+              </button>
               <button
                 type="button"
                 className={`menu-toggle-button ${activeMenu === 'options' ? 'is-active' : ''}`}
@@ -2121,6 +3291,20 @@ function App() {
               >
                 Options
               </button>
+              <button
+                type="button"
+                className={`menu-toggle-button ${activeMenu === 'ledger' ? 'is-active' : ''}`}
+                onClick={() => handleMenuToggle('ledger')}
+              >
+                Ledger
+              </button>
+              <button
+                type="button"
+                className={`menu-toggle-button ${activeMenu === 'discoveries' ? 'is-active' : ''}`}
+                onClick={() => handleMenuToggle('discoveries')}
+              >
+                Discoveries
+              </button>
               {isWeatherEnabled && (
                 <button
                   type="button"
@@ -2176,6 +3360,290 @@ function App() {
                 <p className="options-description">
                   Disable to sail without wind influence or weather indicators.
                 </p>
+                <label className="options-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isCurrentParticlesVisible}
+                    onChange={(event) => setCurrentParticlesVisible(event.target.checked)}
+                  />
+                  <span className="options-toggle-label">Current Particles</span>
+                </label>
+                <p className="options-description">
+                  Show drifting flecks where the water is on the move. Currents still carry the ship
+                  when hidden.
+                </p>
+                <label className="options-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isAutoTrimEnabled}
+                    onChange={(event) => setAutoTrimEnabled(event.target.checked)}
+                  />
+                  <span className="options-toggle-label">Auto-Trim Sails</span>
+                </label>
+                <p className="options-description">
+                  Let the crew tend the sheets. Turn it off (or press <strong>T</strong>) to trim by
+                  hand with <strong>Q</strong>/<strong>E</strong> and squeeze out the last knots.
+                </p>
+                <label className="options-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isWebGLActive}
+                    disabled={!isWebGLSupported}
+                    onChange={(event) => setWebGLEnabled(event.target.checked)}
+                  />
+                  <span className="options-toggle-label">WebGL Renderer</span>
+                </label>
+                <p className="options-description">
+                  {isWebGLSupported
+                    ? 'Draw the sea, islands, wake and wind on the GPU, with shaded swell, caustics ' +
+                      'and deeper water offshore. Falls back to the standard renderer if the ' +
+                      'graphics context is lost.'
+                    : 'WebGL is unavailable in this browser, so the standard renderer is used.'}
+                </p>
+              </div>
+            </div>
+          )}
+          {activeMenu === 'ledger' && (
+            <div className="top-menu-content">
+              <div className="ledger">
+                <div className="ledger-summary">
+                  <span>
+                    Purse <strong>{boatState.purse} coins</strong>
+                  </span>
+                  <span>
+                    Net profit <strong>{formatCoins(ledgerSummary.totalProfit)}</strong>
+                  </span>
+                </div>
+                <div className="ledger-columns">
+                  <table className="ledger-table">
+                    <thead>
+                      <tr>
+                        <th>Voyage</th>
+                        <th>Route</th>
+                        <th>Trades</th>
+                        <th>Profit</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledgerSummary.voyages.slice().reverse().map((voyage) => (
+                        <tr key={voyage.id}>
+                          <td>#{voyage.id}</td>
+                          <td>
+                            {getPortName(voyage.originId)} →{' '}
+                            {voyage.destinationId ? getPortName(voyage.destinationId) : 'under way'}
+                          </td>
+                          <td>{voyage.trades}</td>
+                          <td>{formatCoins(voyage.profit)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <table className="ledger-table">
+                    <thead>
+                      <tr>
+                        <th>Route</th>
+                        <th>Voyages</th>
+                        <th>Profit</th>
+                        <th>Per voyage</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledgerSummary.routes.length === 0 && (
+                        <tr>
+                          <td colSpan={4}>No completed voyages yet.</td>
+                        </tr>
+                      )}
+                      {ledgerSummary.routes.map((route) => (
+                        <tr key={route.key}>
+                          <td>
+                            {getPortName(route.originId)} → {getPortName(route.destinationId)}
+                          </td>
+                          <td>{route.voyages}</td>
+                          <td>{formatCoins(route.profit)}</td>
+                          <td>{formatCoins(route.profit / route.voyages)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Port</th>
+                      <th>Entry</th>
+                      <th>Qty</th>
+                      <th>Unit</th>
+                      <th>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recentLedgerEntries.length === 0 && (
+                      <tr>
+                        <td colSpan={6}>No transactions recorded.</td>
+                      </tr>
+                    )}
+                    {recentLedgerEntries.map((entry) => (
+                      <tr key={entry.id}>
+                        <td>{formatSimulationTime(entry.time)}</td>
+                        <td>{getPortName(entry.settlementId)}</td>
+                        <td>
+                          {entry.goodId
+                            ? `${capitalize(entry.type)} ${getTradeGood(entry.goodId)?.label ?? entry.goodId}`
+                            : LEDGER_ENTRY_LABELS[entry.type] ?? capitalize(entry.type)}
+                        </td>
+                        <td>{entry.quantity}</td>
+                        <td>{entry.unitPrice}</td>
+                        <td>{formatCoins(entry.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          {activeMenu === 'saves' && (
+            <div className="top-menu-content">
+              <div className="ledger">
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Slot</th>
+                      <th>Seed</th>
+                      <th>Voyage time</th>
+                      <th>Purse</th>
+                      <th>Saved</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {saveSlots.map((slot) => (
+                      <tr key={slot.id}>
+                        <td>{slot.label}</td>
+                        {slot.save ? (
+                          <>
+                            <td className="save-seed">{slot.save.seed}</td>
+                            <td>{formatSimulationTime(slot.save.time ?? 0)}</td>
+                            <td>{slot.save.boat.purse ?? 0} coins</td>
+                            <td>{new Date(slot.save.savedAt).toLocaleString()}</td>
+                          </>
+                        ) : (
+                          <td colSpan={4} className={slot.error ? 'save-error' : undefined}>
+                            {slot.error ?? 'Empty'}
+                          </td>
+                        )}
+                        <td className="save-actions">
+                          {slot.id !== AUTOSAVE_SLOT_ID && (
+                            <button type="button" className="seed-button" onClick={() => handleSaveGame(slot)}>
+                              Save
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            className="seed-button"
+                            onClick={() => handleLoadGame(slot)}
+                            disabled={!slot.save && !slot.error}
+                          >
+                            Load
+                          </button>
+                          <button
+                            type="button"
+                            className="seed-button"
+                            onClick={() => handleDeleteSave(slot)}
+                            disabled={!slot.save && !slot.error}
+                          >
+                            Clear
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="seed-hint">
+                  <span>
+                    The voyage autosaves whenever you tie up and every {AUTOSAVE_INTERVAL_SECONDS} seconds at sea.
+                  </span>
+                  {saveStatus && <span className="seed-status">{saveStatus}</span>}
+                </div>
+                <div className="voyage-transfer">
+                  <textarea
+                    className="voyage-import-input"
+                    value={importText}
+                    onChange={(event) => setImportText(event.target.value)}
+                    placeholder="Paste an exported voyage here"
+                    spellCheck="false"
+                    rows={4}
+                  />
+                  <div className="seed-buttons">
+                    <button type="button" className="seed-button" onClick={handleExportVoyage}>
+                      Export Voyage
+                    </button>
+                    <button
+                      type="button"
+                      className="seed-button"
+                      onClick={handleImportVoyage}
+                      disabled={importText.trim().length === 0}
+                    >
+                      Import Voyage
+                    </button>
+                    <label className="seed-button voyage-file-button">
+                      Open File
+                      <input type="file" accept="application/json,.json" onChange={handleImportFile} />
+                    </label>
+                  </div>
+                  {importErrors.length > 0 && (
+                    <ul className="voyage-import-errors">
+                      {importErrors.map((message) => (
+                        <li key={message}>{message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+          {activeMenu === 'discoveries' && (
+            <div className="top-menu-content">
+              <div className="ledger">
+                <div className="ledger-summary">
+                  <span>
+                    Ports sighted{' '}
+                    <strong>
+                      {discoveredSettlements.length} / {settlementTotal}
+                    </strong>
+                  </span>
+                  <span>
+                    Islands charted{' '}
+                    <strong>
+                      {Object.keys(exploration.islands).length} / {islands.length}
+                    </strong>
+                  </span>
+                </div>
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>First seen</th>
+                      <th>Port</th>
+                      <th>Island</th>
+                      <th>Size</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {discoveredSettlements.length === 0 && (
+                      <tr>
+                        <td colSpan={4}>No ports sighted yet. Sail out and explore.</td>
+                      </tr>
+                    )}
+                    {discoveredSettlements.map((settlement) => (
+                      <tr key={settlement.id}>
+                        <td>{formatSimulationTime(settlement.firstSeen)}</td>
+                        <td>{settlement.name}</td>
+                        <td>{settlement.islandName}</td>
+                        <td>{settlement.size}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
             </div>
           )}
@@ -2215,11 +3683,66 @@ function App() {
             <div className="top-menu-content">
               <div className="menu-instructions">
                 <p>
-                  Catch the wind with <strong>↑</strong>/<strong>W</strong>, ease the sails with <strong>↓</strong>/<strong>S</strong>, and steer using{' '}
-                  <strong>←</strong>/<strong>→</strong> or <strong>A</strong>/<strong>D</strong>.
+                  Catch the wind with <strong>↑</strong>/<strong>W</strong>, ease the sails with <strong>↓</strong>/<strong>S</strong>, and steer using{' '}
+                  <strong>←</strong>/<strong>→</strong> or <strong>A</strong>/<strong>D</strong>.
+                </p>
+                <p>
+                  Zoom the view with the mouse wheel or <strong>+</strong>/<strong>−</strong>. The
+                  camera leads the ship as she picks up speed and closes in on harbor approaches.
+                </p>
+                <p>
+                  Trim the sail to the wind: <strong>Q</strong> sheets it in, <strong>E</strong> eases
+                  it out, and <strong>T</strong> hands the sheets back to the crew. Close-hauled the
+                  sail wants to lie nearly fore-and-aft; running, it wants to be squared away. The
+                  telltale on the sail and the Ship panel show how well it is drawing.
+                </p>
+                <p>
+                  Way on the ship draws the wind forward, so sails answer to the apparent wind felt on
+                  deck. Press hard on a reach in a blow and she heels over, slowing down; lay her over
+                  too far and she is knocked down, losing way and straining the hull. Reef with{' '}
+                  <strong>S</strong> when the wind builds.
+                </p>
+                <p>
+                  Open the <strong>Map</strong> and click a port, or pick one from the list, to hand the
+                  helm to the autopilot. Touch any sailing key to take back control.
+                </p>
+                <p>
+                  Drop anchor beside a settlement's jetty to open its market. Towns sell their local
+                  produce cheaply and pay well for goods they cannot make themselves. Every coin you
+                  earn or spend is tracked in the Ledger.
+                </p>
+                <p>
+                  Settlement shipyards mend the hull for coin; larger harbors work faster, cheaper and
+                  more thoroughly. At sea, click your ship to make an emergency patch: every fifth click
+                  burns one load of timber from the hold and restores 2% of the hull, up to a shaken vessel.
+                </p>
+                <p>
+                  Watch the forecast for storms. They drift across the islands on the prevailing wind,
+                  bringing gales, poor visibility and heavy seas that strain the hull. Riding one out at
+                  a berth keeps the ship safe.
+                </p>
+                <p>
+                  Days pass quickly at sea. After dark the lookout sees less, the harbor has to be
+                  closer before you can tie up, and the crew takes a few extra seconds to make fast.
+                </p>
+                <p>
+                  Currents set the ship off course: broad streams wander across open water and the
+                  flow races through narrow gaps between islands. The Ship panel shows speed through
+                  the water alongside speed over ground.
+                </p>
+                <p>
+                  The tide turns twice a day. At low water the foreshore dries into tidal flats that
+                  can catch the keel, and some harbors have berths too shallow to enter until the
+                  flood. The Weather panel carries a tide table for the nearest port.
+                </p>
+                <p>
+                  Paler water marks reefs, shoals and sandbars in the channels between islands. The
+                  ship can sail over them, but they slow her down and scrape the hull, and reefs cut
+                  deepest. The autopilot steers around them where it can.
                 </p>
                 <p>
-                  When the hull is battered, click directly on your ship to patch it up. Every third click restores 5% of the lost durability, up to a sound vessel.
+                  Your charts start blank. Waters you sail near are revealed, and islands and ports only
+                  appear on the maps once they have been sighted. Each world seed keeps its own charts.
                 </p>
               </div>
             </div>
@@ -2231,6 +3754,36 @@ function App() {
               <div className="world-map-toolbar">
                 <div className="world-map-title">World Chart</div>
                 <div className="world-map-actions">
+                  <span className="world-map-hint">Click a port to set course</span>
+                  <button
+                    type="button"
+                    className="world-map-close"
+                    onClick={() => setWorldMapMode((mode) => (mode === 'globe' ? 'chart' : 'globe'))}
+                  >
+                    {worldMapMode === 'globe' ? 'Chart View' : 'Globe View'}
+                  </button>
+                  {worldMapMode === 'chart' && (
+                    <button
+                      type="button"
+                      className="world-map-close"
+                      onClick={() => setChartCurrentsVisible((value) => !value)}
+                    >
+                      {isChartCurrentsVisible ? 'Hide Currents' : 'Show Currents'}
+                    </button>
+                  )}
+                  <select
+                    className="world-map-select"
+                    value={boatState.autopilot?.settlementId ?? ''}
+                    onChange={handleAutopilotChange}
+                    aria-label="Autopilot destination"
+                  >
+                    <option value="">Manual helm</option>
+                    {autopilotDestinations.map((destination) => (
+                      <option key={destination.id} value={destination.id}>
+                        {destination.name}
+                      </option>
+                    ))}
+                  </select>
                   <button
                     type="button"
                     className="world-map-close"
@@ -2243,6 +3796,42 @@ function App() {
               <div ref={worldMapWrapperRef} className="world-map-canvas-container">
                 <canvas ref={worldMapCanvasRef} className="world-map-canvas" />
               </div>
+              <div className="world-map-route">
+                <div className="world-map-route-header">
+                  <span className="world-map-hint">
+                    Click the sea to add waypoints · drag to move · right-click to delete
+                  </span>
+                  {route.length > 0 && (
+                    <button type="button" className="world-map-close" onClick={handleClearRoute}>
+                      Clear Route
+                    </button>
+                  )}
+                </div>
+                {routeLegs.length > 0 && (
+                  <table className="ledger-table world-map-route-table">
+                    <thead>
+                      <tr>
+                        <th>Leg</th>
+                        <th>Course</th>
+                        <th>Distance</th>
+                        <th>Est. time</th>
+                        <th>Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {routeLegs.map((leg, index) => (
+                        <tr key={leg.id}>
+                          <td>{index === 0 ? 'Ship → 1' : `${index} → ${index + 1}`}</td>
+                          <td>{Math.round(radiansToDegrees(normalizeAngle(leg.heading)))}°</td>
+                          <td>{formatDistance(leg.distance)}</td>
+                          <td>{formatDuration(leg.time)}</td>
+                          <td>{formatDuration(leg.totalTime)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
             </div>
           </div>
         )}
@@ -2267,6 +3856,7 @@ function App() {
                   type="button"
                   className="settlement-leave"
                   onClick={handleLeaveSettlement}
+                  disabled={Boolean(boatState.repairJob)}
                 >
                   Leave Town
                 </button>
@@ -2315,6 +3905,112 @@ function App() {
                   </p>
                 </div>
               </div>
+              {shipyardProfile && (
+                <div className="settlement-shipyard">
+                  <div className="settlement-market-toolbar">
+                    <span className="settlement-market-title">{shipyardProfile.label}</span>
+                    <span className="settlement-market-purse">
+                      Hull <strong>{damageState.label} · {healthPercent}%</strong>
+                    </span>
+                  </div>
+                  {boatState.repairJob ? (
+                    <p className="settlement-shipyard-note">
+                      Shipwrights at work — repairing to{' '}
+                      {Math.round(boatState.repairJob.targetHealth * 100)}%. The ship cannot sail until
+                      they finish.
+                    </p>
+                  ) : shipyardOptions.length > 0 ? (
+                    <div className="settlement-shipyard-options">
+                      {shipyardOptions.map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          className="settlement-market-button settlement-shipyard-button"
+                          disabled={boatState.purse < option.cost}
+                          onClick={() => handleShipyardRepair(option)}
+                        >
+                          {option.label}
+                          <span className="settlement-shipyard-cost">
+                            {option.cost} coins · {Math.ceil(option.duration)} s
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="settlement-shipyard-note">
+                      {boatState.health >= 1
+                        ? 'Your hull is sound.'
+                        : `This ${shipyardProfile.label.toLowerCase()} cannot improve on your hull; seek a larger harbor.`}
+                    </p>
+                  )}
+                </div>
+              )}
+              {dockedMarket && (
+                <div className="settlement-market">
+                  <div className="settlement-market-toolbar">
+                    <span className="settlement-market-title">Market</span>
+                    <span className="settlement-market-purse">
+                      Purse <strong>{boatState.purse} coins</strong>
+                    </span>
+                    <div className="settlement-market-quantity">
+                      {TRADE_QUANTITY_OPTIONS.map((option) => (
+                        <button
+                          key={option}
+                          type="button"
+                          className={`settlement-market-quantity-button ${tradeQuantity === option ? 'is-active' : ''}`}
+                          onClick={() => setTradeQuantity(option)}
+                        >
+                          ×{option}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <table className="settlement-market-table">
+                    <thead>
+                      <tr>
+                        <th>Good</th>
+                        <th>Stock</th>
+                        <th>Buy</th>
+                        <th>Sell</th>
+                        <th>Hold</th>
+                        <th aria-label="Trade" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {marketRows.map(({ good, quote, held, isLocal, hasRoom }) => (
+                        <tr key={good.id} className={isLocal ? 'is-local' : undefined}>
+                          <td>
+                            {good.label}
+                            <span className="settlement-market-weight">{good.weight} t</span>
+                          </td>
+                          <td>{quote.stock}</td>
+                          <td>{quote.buyPrice}</td>
+                          <td>{quote.sellPrice}</td>
+                          <td>{held}</td>
+                          <td className="settlement-market-actions">
+                            <button
+                              type="button"
+                              className="settlement-market-button"
+                              disabled={quote.stock <= 0 || boatState.purse < quote.buyPrice || !hasRoom}
+                              onClick={() => handleTrade(good.id, 'buy')}
+                            >
+                              Buy
+                            </button>
+                            <button
+                              type="button"
+                              className="settlement-market-button"
+                              disabled={held <= 0}
+                              onClick={() => handleTrade(good.id, 'sell')}
+                            >
+                              Sell
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -2324,7 +4020,7 @@ function App() {
               <div className="weather-title">Weather</div>
               <div className="weather-stats">
                 <div className="weather-stat">
-                  <span className="weather-stat-label">Wind</span>
+                  <span className="weather-stat-label">Local Wind</span>
                   <span className="weather-stat-value wind-value">
                     <span className="wind-speed">{windSpeedKnots} kn</span>
                     <span className="weather-stat-sub">{windStatSubtitle}</span>
@@ -2338,13 +4034,41 @@ function App() {
                 </div>
                 <div className="weather-stat">
                   <span className="weather-stat-label">Forecast</span>
-                  <span className="weather-stat-value">
+                  <span
+                    className={`weather-stat-value ${windForecast.isWarning ? 'weather-stat-value--warning' : ''}`}
+                  >
                     {windForecast.headline}
                     <span className="weather-stat-sub">
                       {windForecast.detail} · {windForecast.timing}
                     </span>
                   </span>
                 </div>
+                <div className="weather-stat">
+                  <span className="weather-stat-label">
+                    Tide{tidePort ? ` · ${tidePort.settlement.name}` : ''}
+                  </span>
+                  <span className="weather-stat-value">
+                    {getTideHeightMeters(tideLevel).toFixed(1)} m {tideRising ? 'rising' : 'falling'}
+                    {tidePort && (
+                      <span
+                        className={`weather-stat-sub ${isTidePortBerthDry ? 'weather-stat-sub--warning' : ''}`}
+                      >
+                        {tidePortBerthNote}
+                      </span>
+                    )}
+                  </span>
+                  <table className="tide-table">
+                    <tbody>
+                      {tideTurns.map((turn) => (
+                        <tr key={turn.time}>
+                          <td>{turn.type}</td>
+                          <td>{getDaylight(turn.time).label}</td>
+                          <td>{turn.heightMeters.toFixed(1)} m</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
               </div>
             </div>
           )}
@@ -2353,24 +4077,55 @@ function App() {
             <div className="ship-stats">
               <div className="ship-stat">
                 <span className="ship-stat-label">Speed</span>
-                <span className="ship-stat-value">{speedKnots} kn</span>
+                <span className="ship-stat-value">
+                  {speedKnots} kn
+                  <span className="ship-stat-sub">{groundSpeedKnots} kn over ground</span>
+                </span>
               </div>
               <div className="ship-stat">
                 <span className="ship-stat-label">Top Speed</span>
                 <span className="ship-stat-value">
                   {effectiveTopSpeedKnots} kn
-                  {damagePenaltyPercent > 0 && (
-                    <span className="ship-stat-sub">−{damagePenaltyPercent}%</span>
+                  {topSpeedPenaltyPercent > 0 && (
+                    <span className="ship-stat-sub">−{topSpeedPenaltyPercent}%</span>
                   )}
                 </span>
               </div>
+              <div className="ship-stat">
+                <span className="ship-stat-label">Trim</span>
+                <span className="ship-stat-value">
+                  {trimDegrees}° · {trimEfficiencyPercent}%
+                  <span className="ship-stat-sub">{trimSubtitle}</span>
+                </span>
+              </div>
+              <div className="ship-stat">
+                <span className="ship-stat-label">Heel</span>
+                <span className="ship-stat-value">
+                  {heelDegrees}°
+                  <span className="ship-stat-sub">{heelSubtitle}</span>
+                </span>
+              </div>
+              <div className="ship-stat">
+                <span className="ship-stat-label">Time</span>
+                <span className="ship-stat-value">
+                  {daylight.label}
+                  <span className="ship-stat-sub">{capitalize(daylight.phase)}</span>
+                </span>
+              </div>
               <div className="ship-stat">
                 <span className="ship-stat-label">Heading</span>
                 <span className="ship-stat-value">{headingDegrees}°</span>
               </div>
               <div className="ship-stat">
                 <span className="ship-stat-label">Status</span>
-                <span className="ship-stat-value">{shipStatus}</span>
+                <span className="ship-stat-value">
+                  {shipStatus}
+                  {boatState.autopilot && (
+                    <span className="ship-stat-sub">
+                      → {settlementNames[boatState.autopilot.settlementId]}
+                    </span>
+                  )}
+                </span>
               </div>
               <div className="ship-stat">
                 <span className="ship-stat-label">Hull</span>
@@ -2379,6 +4134,15 @@ function App() {
                   <span className="ship-stat-sub">{healthPercent}%</span>
                 </span>
               </div>
+              <div className="ship-stat">
+                <span className="ship-stat-label">Hold</span>
+                <span className="ship-stat-value">
+                  {formatTons(holdLoad)} / {holdCapacity} t
+                  <span className="ship-stat-sub">
+                    {holdLoad > 0 ? `${holdPercent}% laden` : 'In ballast'}
+                  </span>
+                </span>
+              </div>
               <div className="ship-stat">
                 <span className="ship-stat-label">Sea Zone</span>
                 <span className="ship-stat-value">{landProximity.zone}</span>
@@ -2401,34 +4165,34 @@ function App() {
   )
 }
 
-function isPressed(set, keys) {
-  return keys.some((key) => set.has(key))
+function formatCoins(value) {
+  const rounded = Math.round(value)
+  return rounded > 0 ? `+${rounded}` : `${rounded}`
 }
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value))
+function formatSimulationTime(seconds) {
+  const totalSeconds = Math.max(0, Math.floor(seconds ?? 0))
+  const minutes = Math.floor(totalSeconds / 60)
+  const remainder = totalSeconds % 60
+  return `${minutes}:${remainder.toString().padStart(2, '0')}`
 }
 
-function getBoatCollisionSamples(boat) {
-  const samples = [{ x: boat.x, y: boat.y }]
-  const cos = Math.cos(boat.heading)
-  const sin = Math.sin(boat.heading)
-
-  for (let i = 0; i < BOAT_COLLISION_OUTLINE.length; i += 1) {
-    const offset = BOAT_COLLISION_OUTLINE[i]
-    const next = BOAT_COLLISION_OUTLINE[(i + 1) % BOAT_COLLISION_OUTLINE.length]
-
-    const rotatedX = boat.x + offset.x * cos - offset.y * sin
-    const rotatedY = boat.y + offset.x * sin + offset.y * cos
-    samples.push({ x: rotatedX, y: rotatedY })
+function formatDistance(meters) {
+  if (meters >= 1000) {
+    return `${(meters / 1000).toFixed(1)} km`
+  }
+  return `${Math.round(meters)} m`
+}
 
-    const mid = { x: (offset.x + next.x) / 2, y: (offset.y + next.y) / 2 }
-    const midX = boat.x + mid.x * cos - mid.y * sin
-    const midY = boat.y + mid.x * sin + mid.y * cos
-    samples.push({ x: midX, y: midY })
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '—'
   }
+  return formatSimulationTime(seconds)
+}
 
-  return samples
+function formatTons(value) {
+  return Number.isInteger(value) ? `${value}` : value.toFixed(1)
 }
 
 function getBoatHullPolygon(boat) {
@@ -2440,286 +4204,381 @@ function getBoatHullPolygon(boat) {
   }))
 }
 
-function isPointInsidePolygon(point, polygon) {
-  let inside = false
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
-    const xi = polygon[i].x
-    const yi = polygon[i].y
-    const xj = polygon[j].x
-    const yj = polygon[j].y
-
-    const intersects =
-      yi > point.y !== yj > point.y &&
-      point.x < ((xj - xi) * (point.y - yi)) / ((yj - yi) || 1e-7) + xi
-
-    if (intersects) {
-      inside = !inside
+function getNearestSettlement(islands, point) {
+  let nearest = null
+  let nearestDistance = Infinity
+  for (const island of islands) {
+    if (!island.settlement) {
+      continue
+    }
+    const distance = Math.hypot(island.x - point.x, island.y - point.y)
+    if (distance < nearestDistance) {
+      nearestDistance = distance
+      nearest = { settlement: island.settlement, island }
     }
   }
-  return inside
+  return nearest
 }
 
-function getDistanceToPolygon(point, polygon) {
-  if (!polygon?.length) {
-    return {
-      distance: Infinity,
-      signedDistance: Infinity,
-      closestPoint: point,
+function createNavigationGrid(islands, shallows = []) {
+  const cellSize = NAVIGATION_CELL_SIZE
+  const columns = Math.ceil(MAP_SIZE / cellSize)
+  const rows = Math.ceil(MAP_SIZE / cellSize)
+  const blocked = new Uint8Array(columns * rows)
+  // Shallow cells stay passable but cost more, so routes skirt them where they can
+  const hazard = new Uint8Array(columns * rows)
+  const hazardProbe = cellSize * 0.35
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const center = { x: (column + 0.5) * cellSize, y: (row + 0.5) * cellSize }
+      const probes = [
+        center,
+        { x: center.x - hazardProbe, y: center.y - hazardProbe },
+        { x: center.x + hazardProbe, y: center.y - hazardProbe },
+        { x: center.x - hazardProbe, y: center.y + hazardProbe },
+        { x: center.x + hazardProbe, y: center.y + hazardProbe },
+      ]
+      if (probes.some((probe) => getShallowsAt(probe, shallows))) {
+        hazard[row * columns + column] = 1
+      }
+      const nearby = islands.filter(
+        (island) =>
+          Math.hypot(island.x - center.x, island.y - center.y) <
+          island.radius * 1.5 + NAVIGATION_CLEARANCE + cellSize,
+      )
+      if (!nearby.length) {
+        continue
+      }
+      const proximity = getPointLandProximity(center, nearby)
+      if (proximity.signedDistance < NAVIGATION_CLEARANCE) {
+        blocked[row * columns + column] = 1
+      }
     }
   }
 
-  let closestPoint = polygon[0]
-  let closestDistSq = Infinity
-
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
-    const a = polygon[j]
-    const b = polygon[i]
-    const dx = b.x - a.x
-    const dy = b.y - a.y
-    const lengthSq = dx * dx + dy * dy
-
-    let t = 0
-    if (lengthSq > 0) {
-      t = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq
-      t = Math.max(0, Math.min(1, t))
-    }
-
-    const closestX = a.x + dx * t
-    const closestY = a.y + dy * t
-    const deltaX = point.x - closestX
-    const deltaY = point.y - closestY
-    const distSq = deltaX * deltaX + deltaY * deltaY
+  return { cellSize, columns, rows, blocked, hazard }
+}
 
-    if (distSq < closestDistSq) {
-      closestDistSq = distSq
-      closestPoint = { x: closestX, y: closestY }
-    }
+function engageAutopilot(boat, island, grid, islands) {
+  const settlementId = island?.settlement?.id
+  if (!settlementId || boat.dockedSettlementId === settlementId) {
+    return null
+  }
+  const waypoints = planAutopilotRoute(grid, boat, island, islands)
+  if (!waypoints?.length) {
+    return null
   }
-
-  const inside = isPointInsidePolygon(point, polygon)
-  const distance = Math.sqrt(closestDistSq)
   return {
-    distance,
-    signedDistance: inside ? -distance : distance,
-    closestPoint,
+    ...boat,
+    autopilot: { settlementId, waypoints, index: 0, replanTimer: 0 },
   }
 }
 
-function getPointLandProximity(point, islands) {
-  let best = {
-    zone: 'sea',
-    priority: -1,
-    distance: Infinity,
-    signedDistance: Infinity,
-    nearestPoint: null,
-    normal: { x: 0, y: 0 },
-    islandId: null,
-    penetration: 0,
-    structureType: null,
-  }
-
+function findMapSettlementAt(islands, projection, point, maxDistance) {
+  let best = null
+  let bestDistance = maxDistance
   for (const island of islands) {
-    const localPoint = { x: point.x - island.x, y: point.y - island.y }
-    const approxDistanceFromCenter = Math.hypot(localPoint.x, localPoint.y) - island.radius
-
-    if (best.priority >= 0 && approxDistanceFromCenter > best.distance + MAX_BOAT_EXTENT) {
+    if (!island.settlement) {
       continue
     }
-
-    const polygons = [
-      { polygon: island.coastline, type: 'coastline' },
-      ...((island.structures ?? []).map((structure) => ({
-        polygon: structure.polygon,
-        type: structure.type,
-      })) ?? []),
-    ]
-
-    for (const { polygon, type } of polygons) {
-      if (!polygon?.length) {
-        continue
-      }
-
-      const { distance, signedDistance, closestPoint } = getDistanceToPolygon(localPoint, polygon)
-      if (!Number.isFinite(distance)) {
-        continue
-      }
-
-      const worldClosest = { x: closestPoint.x + island.x, y: closestPoint.y + island.y }
-      let normalX = point.x - worldClosest.x
-      let normalY = point.y - worldClosest.y
-      let length = Math.hypot(normalX, normalY)
-      if (length === 0) {
-        normalX = localPoint.x
-        normalY = localPoint.y
-        length = Math.hypot(normalX, normalY) || 1
-      }
-      const normal = { x: normalX / length, y: normalY / length }
-
-      let zone = 'sea'
-      if (signedDistance <= 0) {
-        zone = 'land'
-      } else if (signedDistance <= COLLISION_EDGE_THRESHOLD) {
-        zone = 'shore'
-      }
-
-      const priority = zone === 'land' ? 2 : zone === 'shore' ? 1 : 0
-      const absoluteDistance = Math.abs(signedDistance)
-
-      if (
-        priority > best.priority ||
-        (priority === best.priority && absoluteDistance < best.distance)
-      ) {
-        best = {
-          zone,
-          priority,
-          distance: absoluteDistance,
-          signedDistance,
-          nearestPoint: worldClosest,
-          normal,
-          islandId: island.id,
-          penetration: signedDistance < 0 ? -signedDistance : 0,
-          structureType: type || null,
-        }
-      }
+    const center = island.settlement.center
+    const p = projection.project(island.x + center.x, island.y + center.y)
+    const distance = Math.hypot(p.x - point.x, p.y - point.y)
+    if (distance <= bestDistance) {
+      best = island
+      bestDistance = distance
     }
   }
-
   return best
 }
 
-function getBoatSeaState(boat, islands) {
-  const samples = getBoatCollisionSamples(boat)
-  let nearest = {
-    zone: 'sea',
-    distance: Infinity,
-    signedDistance: Infinity,
-    nearestPoint: null,
-    normal: { x: 0, y: 0 },
-    islandId: null,
-    penetration: 0,
-    structureType: null,
-  }
-  let finalZone = 'sea'
-  let deepestPenetration = null
-
-  for (const sample of samples) {
-    const proximity = getPointLandProximity(sample, islands)
-    if (!proximity) {
-      continue
+function findMapWaypointAt(route, projection, point, maxDistance) {
+  let best = null
+  let bestDistance = maxDistance
+  for (const waypoint of route) {
+    const p = projection.project(waypoint.x, waypoint.y)
+    const distance = Math.hypot(p.x - point.x, p.y - point.y)
+    if (distance <= bestDistance) {
+      best = waypoint
+      bestDistance = distance
     }
+  }
+  return best
+}
 
-    if (proximity.zone === 'land') {
-      if (!deepestPenetration || proximity.penetration > deepestPenetration.penetration) {
-        deepestPenetration = proximity
-      }
-    } else if (proximity.zone === 'shore' && finalZone !== 'land') {
-      finalZone = 'shore'
-    }
+function estimateLegSpeed(boat, wind, heading) {
+  const topSpeed = getMaxSpeedForHealth(boat.health, getHoldLoadRatio(boat.hold))
+  if (!wind) {
+    return topSpeed
+  }
+  const strength = clamp(wind.strength ?? 0, 0, 1)
+  const angle = radiansToDegrees(Math.abs(shortestAngleDiff(heading, wind.direction)))
+  if (angle < NO_GO_ANGLE_DEGREES) {
+    // Upwind legs are sailed close-hauled; only the component along the leg counts
+    const tackMultiplier = lerp(1, getWindMultiplierForAngle(TACK_TARGET_DEGREES), strength)
+    return topSpeed * tackMultiplier * Math.cos(degreesToRadians(TACK_TARGET_DEGREES - angle))
+  }
+  return topSpeed * lerp(1, getWindMultiplierForAngle(angle), strength)
+}
 
-    if (proximity.zone === 'land') {
-      finalZone = 'land'
-    }
+function getRouteLegs(boat, route, wind, windField) {
+  const legs = []
+  let from = { x: boat.x, y: boat.y }
+  let totalDistance = 0
+  let totalTime = 0
+  for (const waypoint of route) {
+    const distance = Math.hypot(waypoint.x - from.x, waypoint.y - from.y)
+    const heading = Math.atan2(waypoint.y - from.y, waypoint.x - from.x)
+    // Conditions midway along the leg stand in for the whole leg
+    const legWind = sampleWindField(windField, wind, (from.x + waypoint.x) / 2, (from.y + waypoint.y) / 2)
+    const speed = estimateLegSpeed(boat, legWind, heading)
+    const time = speed > 0 ? distance / speed : Infinity
+    totalDistance += distance
+    totalTime += time
+    legs.push({ id: waypoint.id, distance, heading, time, totalDistance, totalTime })
+    from = waypoint
+  }
+  return legs
+}
 
-    const isCloser = proximity.distance < nearest.distance
-    if (isCloser || nearest.nearestPoint == null) {
-      nearest = { ...proximity }
+function createCamera(boat) {
+  return { x: boat.x, y: boat.y, zoom: 1 }
+}
+
+// Eases the view towards a point ahead of the ship and closes in when a berth is near
+function updateCamera(camera, boat, islands, userZoom, dt) {
+  const driftX = boat.drift?.x ?? 0
+  const driftY = boat.drift?.y ?? 0
+  const velocityX = Math.cos(boat.heading) * boat.speed + driftX
+  const velocityY = Math.sin(boat.heading) * boat.speed + driftY
+  const groundSpeed = Math.hypot(velocityX, velocityY)
+  const lookAhead = clamp(groundSpeed / MAX_FORWARD_SPEED, 0, 1) * CAMERA_LOOK_AHEAD
+  const targetX = boat.x + (groundSpeed > 1 ? (velocityX / groundSpeed) * lookAhead : 0)
+  const targetY = boat.y + (groundSpeed > 1 ? (velocityY / groundSpeed) * lookAhead : 0)
+
+  let nearHarbor = false
+  for (const island of islands) {
+    const berth = island.settlement?.dock?.berthPoint
+    if (
+      berth &&
+      Math.hypot(island.x + berth.x - boat.x, island.y + berth.y - boat.y) < DOCKING_DISTANCE
+    ) {
+      nearHarbor = true
+      break
     }
   }
+  const targetZoom = clamp(
+    userZoom * (nearHarbor ? CAMERA_HARBOR_ZOOM : 1),
+    CAMERA_MIN_ZOOM,
+    CAMERA_MAX_ZOOM * CAMERA_HARBOR_ZOOM,
+  )
+
+  const follow = 1 - Math.exp(-CAMERA_FOLLOW_RATE * dt)
+  const zoomFollow = 1 - Math.exp(-CAMERA_ZOOM_RATE * dt)
+  camera.x += (targetX - camera.x) * follow
+  camera.y += (targetY - camera.y) * follow
+  camera.zoom += (targetZoom - camera.zoom) * zoomFollow
+}
 
-  const resolved = deepestPenetration ?? nearest
+// The world-space rectangle the camera shows on a viewport of the given CSS size
+function getCameraView(camera, width, height) {
+  const viewWidth = width / camera.zoom
+  const viewHeight = height / camera.zoom
   return {
-    zone: deepestPenetration ? 'land' : finalZone,
-    distance: resolved.distance,
-    signedDistance: deepestPenetration ? -deepestPenetration.penetration : resolved.signedDistance,
-    nearestPoint: resolved.nearestPoint,
-    normal: resolved.normal,
-    islandId: resolved.islandId,
-    penetration: deepestPenetration?.penetration ?? 0,
-    structureType: resolved.structureType ?? null,
+    x: camera.x - viewWidth / 2,
+    y: camera.y - viewHeight / 2,
+    width: viewWidth,
+    height: viewHeight,
   }
 }
 
-function updateWaves(waves, dt) {
-  for (const wave of waves) {
-    wave.phase += dt * wave.speed * 0.4
-    wave.x = (wave.x + Math.cos(wave.phase) * dt * wave.speed) % MAP_SIZE
-    wave.y = (wave.y + Math.sin(wave.phase * 0.6) * dt * wave.speed) % MAP_SIZE
-
-    if (wave.x < 0) wave.x += MAP_SIZE
-    if (wave.y < 0) wave.y += MAP_SIZE
+// Runs the simulation in a worker where the browser allows one, otherwise on a timer on this
+// thread. Either way it steps on the same fixed clock and answers through onMessage
+function createSimulationClient(onMessage) {
+  if (typeof Worker !== 'undefined') {
+    try {
+      const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), {
+        type: 'module',
+      })
+      worker.onmessage = (event) => onMessage(event.data)
+      return {
+        send: (message) => worker.postMessage(message),
+        dispose: () => worker.terminate(),
+      }
+    } catch {
+      // Fall through to stepping on this thread
+    }
   }
+  const runner = createSimulationRunner(onMessage)
+  return { send: (message) => runner.handleMessage(message), dispose: () => runner.dispose() }
 }
 
-function drawScene(ctx, viewport, boat, islands, wind, time) {
-  const { width, height } = viewport
-  const camera = {
-    x: boat.x - width / 2,
-    y: boat.y - height / 2,
+// Places the ship between the last two snapshots by how far the next one is due. Drawing a step
+// behind the simulation keeps the motion smooth whatever the display's frame rate
+function getInterpolatedBoat(frames, boat, now) {
+  if (!frames || frames.latest !== boat) {
+    return boat
+  }
+  const { previous, latest } = frames
+  const t = clamp((now - frames.receivedAt) / frames.duration, 0, 1)
+  return {
+    ...latest,
+    x: lerp(previous.x, latest.x, t),
+    y: lerp(previous.y, latest.y, t),
+    heading: normalizeAngle(
+      previous.heading + shortestAngleDiff(latest.heading, previous.heading) * t,
+    ),
+    heel: lerp(previous.heel ?? 0, latest.heel ?? 0, t),
   }
-
-  paintSea(ctx, width, height)
-  drawIslands(ctx, islands, camera)
-  drawBoatWake(ctx, boat, camera)
-  if (wind) drawWindIndicators(ctx, { width, height }, wind, time)
-  drawBoat(ctx, boat, camera)
 }
 
-function buildSmoothPath(points) {
-  const path = new Path2D()
-  if (!points?.length) return path
-  const first = points[0]
-  const last = points[points.length - 1]
-  path.moveTo((first.x + last.x) / 2, (first.y + last.y) / 2)
-  for (let i = 0; i < points.length; i += 1) {
-    const current = points[i]
-    const next = points[(i + 1) % points.length]
-    path.quadraticCurveTo(current.x, current.y, (current.x + next.x) / 2, (current.y + next.y) / 2)
+function drawScene(ctx, viewport, boat, islands, scene) {
+  const {
+    wind,
+    time,
+    route,
+    windField,
+    storms,
+    currentParticles,
+    tideLevel,
+    shallows,
+    waves,
+    shorelineTime,
+    renderCache,
+    glRenderer,
+  } = scene
+  const view = scene.camera ?? createCamera(boat)
+  // Everything below is drawn in world units under the camera's zoom
+  const camera = getCameraView(view, viewport.width, viewport.height)
+  const { width, height } = camera
+
+  // With WebGL the sea, islands, wake and streaks go to the canvas underneath and this one only
+  // carries the overlays
+  const isGLDrawn = glRenderer?.draw(viewport, camera, boat, islands, scene) ?? false
+  const daylight = getDaylight(time)
+
+  ctx.save()
+  ctx.scale(view.zoom, view.zoom)
+  if (isGLDrawn) {
+    ctx.clearRect(0, 0, width, height)
+  } else {
+    paintSea(ctx, width, height, camera)
+    drawOceanSurface(ctx, { width, height }, waves, wind, camera, time)
+    drawShallows(ctx, shallows, camera, time, renderCache)
+    drawIslands(ctx, islands, camera, tideLevel, shorelineTime ?? time, renderCache)
   }
-  path.closePath()
-  return path
+  drawCourseLine(ctx, boat, route, camera)
+  if (!isGLDrawn) drawBoatWake(ctx, boat, camera)
+  if (currentParticles) drawCurrentParticles(ctx, currentParticles, camera)
+  if (wind && !isGLDrawn) drawWindIndicators(ctx, { width, height }, wind, time, camera, windField, storms)
+  drawBoat(ctx, boat, camera)
+  // The WebGL layer shades itself for the hour; multiplying the tint here would paint over it
+  drawLighting(
+    ctx,
+    { width, height },
+    boat,
+    islands,
+    camera,
+    isGLDrawn ? { ...daylight, tint: [255, 255, 255] } : daylight,
+  )
+  if (wind && boat.wind?.storm > 0) drawStormOverlay(ctx, { width, height }, boat.wind.storm, boat.wind.direction, time)
+  ctx.restore()
 }
 
-function drawIslands(ctx, islands, camera) {
-  for (const island of islands) {
-    const screenX = island.x - camera.x
-    const screenY = island.y - camera.y
+function drawShallows(ctx, shallows, camera, time = 0, cache = null) {
+  if (!shallows?.length) {
+    return
+  }
+  const { width, height } = camera
+  ctx.save()
+  ctx.lineJoin = 'round'
+  for (const feature of shallows) {
+    const screenX = feature.x - camera.x
+    const screenY = feature.y - camera.y
     if (
-      screenX < -island.radius * 2 ||
-      screenX > ctx.canvas.width + island.radius * 2 ||
-      screenY < -island.radius * 2 ||
-      screenY > ctx.canvas.height + island.radius * 2
+      screenX < -feature.radius ||
+      screenX > width + feature.radius ||
+      screenY < -feature.radius ||
+      screenY > height + feature.radius
     ) {
       continue
     }
 
+    const style = SHALLOWS_TYPES[feature.type]
+    const path = getCachedSmoothPath(cache, feature.outline)
     ctx.save()
     ctx.translate(screenX, screenY)
-    ctx.lineJoin = 'round'
-    ctx.lineCap = 'round'
-
-    const coastPath = buildSmoothPath(island.coastline)
-    const grassPath = buildSmoothPath(island.grass)
-
-    ctx.fillStyle = '#c4aa82'
-    ctx.fill(coastPath)
-
-    ctx.fillStyle = '#6e9960'
-    ctx.fill(grassPath)
-
-    ctx.strokeStyle = 'rgba(26, 53, 80, 0.35)'
-    ctx.lineWidth = 1.5
-    ctx.stroke(coastPath)
+    // A soft halo of paler water shelving up to the feature itself
+    ctx.strokeStyle = style.fill
+    ctx.globalAlpha = 0.35
+    ctx.lineWidth = 36
+    ctx.stroke(path)
+    ctx.globalAlpha = 1
+    ctx.fillStyle = style.fill
+    ctx.fill(path)
+    if (feature.type === 'reef') {
+      // Broken water over the coral heads
+      ctx.strokeStyle = 'rgba(230, 242, 238, 0.35)'
+      ctx.lineWidth = 2
+      ctx.setLineDash([6, 10])
+      ctx.lineDashOffset = -time * 12
+      ctx.stroke(path)
+      ctx.setLineDash([])
+    }
+    ctx.restore()
+  }
+  ctx.restore()
+}
 
-    if (island.settlement) {
-      const c = island.settlement.center
-      ctx.fillStyle = '#d44820'
-      ctx.beginPath()
-      ctx.arc(c.x, c.y, Math.max(4, island.radius * 0.012), 0, TWO_PI)
-      ctx.fill()
+function drawCurrentParticles(ctx, particles, camera) {
+  ctx.save()
+  ctx.strokeStyle = 'rgba(170, 215, 235, 1)'
+  ctx.lineWidth = 1.2
+  ctx.lineCap = 'round'
+  for (const particle of particles) {
+    const speed = particle.speed ?? 0
+    if (speed < 3 || !Number.isFinite(particle.x)) {
+      continue
     }
+    // Fade in and out over the particle's life so respawns don't pop
+    const lifeRatio = particle.life > 0 ? particle.age / particle.life : 1
+    const fade = Math.sin(Math.PI * clamp(lifeRatio, 0, 1))
+    ctx.globalAlpha = clamp(speed / CURRENT_CHANNEL_SPEED, 0.1, 0.6) * fade
+    const x = particle.x - camera.x
+    const y = particle.y - camera.y
+    const flow = clamp(speed * 0.4, 3, 14) / speed
+    ctx.beginPath()
+    ctx.moveTo(x, y)
+    ctx.lineTo(x - particle.vx * flow, y - particle.vy * flow)
+    ctx.stroke()
+  }
+  ctx.restore()
+}
 
-    ctx.restore()
+function drawCourseLine(ctx, boat, route, camera) {
+  if (!route?.length) {
+    return
+  }
+
+  ctx.save()
+  ctx.strokeStyle = 'rgba(232, 160, 48, 0.35)'
+  ctx.fillStyle = 'rgba(232, 160, 48, 0.5)'
+  ctx.lineWidth = 2
+  ctx.setLineDash([14, 12])
+  ctx.beginPath()
+  ctx.moveTo(boat.x - camera.x, boat.y - camera.y)
+  for (const waypoint of route) {
+    ctx.lineTo(waypoint.x - camera.x, waypoint.y - camera.y)
+  }
+  ctx.stroke()
+  ctx.setLineDash([])
+  for (const waypoint of route) {
+    ctx.beginPath()
+    ctx.arc(waypoint.x - camera.x, waypoint.y - camera.y, 6, 0, TWO_PI)
+    ctx.fill()
   }
+  ctx.restore()
 }
 
 function drawBoatWake(ctx, boat, camera) {
@@ -2784,7 +4643,25 @@ function drawBoat(ctx, boat, camera) {
     ctx.globalAlpha = 1
   }
 
+  // Heeling rolls the hull away from the wind: seen from above the deck narrows, the bottom shows
+  // to windward and the rig leans out to leeward
+  const heel = degreesToRadians(clamp(boat.heel ?? 0, -90, 90))
+  const roll = Math.cos(heel)
+  const lean = Math.sin(heel)
+  if (Math.abs(lean) > 0.05) {
+    ctx.fillStyle = `rgba(96, 58, 40, ${Math.min(Math.abs(lean) * 1.4, 0.8)})`
+    ctx.beginPath()
+    ctx.moveTo(48, 0)
+    ctx.lineTo(16, -18 * Math.sign(lean) - lean * 6)
+    ctx.lineTo(-42, -16 * Math.sign(lean) - lean * 6)
+    ctx.lineTo(-44, 0)
+    ctx.closePath()
+    ctx.fill()
+  }
+
   // Hull
+  ctx.save()
+  ctx.scale(1, roll)
   ctx.fillStyle = '#ddd0ba'
   ctx.strokeStyle = 'rgba(12, 24, 36, 0.8)'
   ctx.lineWidth = 1.5
@@ -2806,24 +4683,38 @@ function drawBoat(ctx, boat, camera) {
   ctx.moveTo(46, 0)
   ctx.lineTo(-40, 0)
   ctx.stroke()
+  ctx.restore()
 
-  // Sail
+  // Sail, swung about the mast by the trim: square across when running, near fore-and-aft when
+  // close-hauled, and always bellying out to leeward
   const sail = clamp(boat.sailLevel ?? 0, 0, 1)
   if (sail > 0.05) {
     const eased = sail * sail * (3 - 2 * sail)
     const w = 8 + eased * 16
+    const sheet = degreesToRadians(clamp(boat.sheetAngle ?? 45, 0, TRIM_MAX_DEGREES))
+    ctx.save()
+    ctx.translate(10 - w, lean * 14)
+    ctx.rotate((boat.sheetSide ?? 1) * (Math.PI / 2 - sheet))
     ctx.globalAlpha = 0.25 + eased * 0.65
     ctx.fillStyle = '#f0ece4'
     ctx.strokeStyle = 'rgba(12,24,36,0.3)'
     ctx.lineWidth = 1
     ctx.beginPath()
-    ctx.moveTo(10, 0)
-    ctx.lineTo(10 - w, -22)
-    ctx.lineTo(10 - w, 22)
+    ctx.moveTo(w, 0)
+    ctx.lineTo(0, -22)
+    ctx.lineTo(0, 22)
     ctx.closePath()
     ctx.fill()
     ctx.stroke()
+
+    // Telltale on the belly of the sail: green when drawing well, red when badly trimmed
+    const efficiency = boat.trimEfficiency ?? 1
     ctx.globalAlpha = 1
+    ctx.fillStyle = efficiency > 0.9 ? '#6ec27a' : efficiency > 0.7 ? '#e8c040' : '#d44820'
+    ctx.beginPath()
+    ctx.arc(w * 0.6, 0, 2.5, 0, TWO_PI)
+    ctx.fill()
+    ctx.restore()
   }
 
   // Bow marker
@@ -2835,74 +4726,229 @@ function drawBoat(ctx, boat, camera) {
   ctx.restore()
 }
 
-function drawWindIndicators(ctx, viewport, wind, time) {
-  if (!wind) {
-    return
+function drawWindIndicators(ctx, viewport, wind, time, camera = { x: 0, y: 0 }, windField = null, storms = null) {
+  if (!wind) {
+    return
+  }
+
+  ctx.save()
+  ctx.globalCompositeOperation = 'screen'
+  ctx.lineCap = 'round'
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)'
+  for (const streak of getWindStreaks(viewport, wind, time, camera, windField, storms)) {
+    ctx.lineWidth = streak.width
+    ctx.globalAlpha = streak.alpha
+    ctx.beginPath()
+    ctx.moveTo(streak.x1, streak.y1)
+    ctx.lineTo(streak.x2, streak.y2)
+    ctx.stroke()
+  }
+  ctx.restore()
+}
+
+// Tints the finished frame for the hour, then adds windows and the lantern on top of the gloom
+function drawLighting(ctx, viewport, boat, islands, camera, daylight) {
+  const { width, height } = viewport
+  const [r, g, b] = daylight.tint
+  if (r < 255 || g < 255 || b < 255) {
+    ctx.save()
+    ctx.globalCompositeOperation = 'multiply'
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`
+    ctx.fillRect(0, 0, width, height)
+    ctx.restore()
+  }
+
+  const darkness = daylight.darkness
+  if (darkness <= 0.02) {
+    return
+  }
+
+  ctx.save()
+  const radius = Math.hypot(width, height) / 2
+  const vignette = ctx.createRadialGradient(
+    width / 2,
+    height / 2,
+    radius * NIGHT_VISIBILITY_FACTOR * 0.5,
+    width / 2,
+    height / 2,
+    radius,
+  )
+  vignette.addColorStop(0, 'rgba(4, 8, 20, 0)')
+  vignette.addColorStop(1, `rgba(4, 8, 20, ${0.6 * darkness})`)
+  ctx.fillStyle = vignette
+  ctx.fillRect(0, 0, width, height)
+
+  ctx.globalCompositeOperation = 'lighter'
+  for (const island of islands) {
+    const buildings = island.settlement?.buildings
+    if (!buildings?.length) {
+      continue
+    }
+    const screenX = island.x - camera.x
+    const screenY = island.y - camera.y
+    if (
+      screenX < -island.radius ||
+      screenX > width + island.radius ||
+      screenY < -island.radius ||
+      screenY > height + island.radius
+    ) {
+      continue
+    }
+
+    buildings.forEach((building, index) => {
+      // Not every household keeps a lamp burning
+      if (pseudoRandom2D(index * 2.71 + island.x * 0.01, island.y * 0.01) > 0.7) {
+        return
+      }
+      const center = averagePoint(building.footprint)
+      const x = screenX + center.x
+      const y = screenY + center.y
+      const glow = ctx.createRadialGradient(x, y, 0, x, y, 16)
+      glow.addColorStop(0, `rgba(255, 196, 110, ${0.55 * darkness})`)
+      glow.addColorStop(1, 'rgba(255, 196, 110, 0)')
+      ctx.fillStyle = glow
+      ctx.fillRect(x - 16, y - 16, 32, 32)
+      ctx.fillStyle = `rgba(255, 226, 160, ${0.9 * darkness})`
+      ctx.fillRect(x - 1.5, y - 1.5, 3, 3)
+    })
+  }
+
+  const lanternX = boat.x - camera.x
+  const lanternY = boat.y - camera.y
+  const lantern = ctx.createRadialGradient(lanternX, lanternY, 0, lanternX, lanternY, 110)
+  lantern.addColorStop(0, `rgba(255, 200, 120, ${0.45 * darkness})`)
+  lantern.addColorStop(0.35, `rgba(255, 170, 90, ${0.16 * darkness})`)
+  lantern.addColorStop(1, 'rgba(255, 170, 90, 0)')
+  ctx.fillStyle = lantern
+  ctx.fillRect(lanternX - 110, lanternY - 110, 220, 220)
+  ctx.restore()
+}
+
+// Murk and driven rain that close in as the storm deepens
+function drawStormOverlay(ctx, viewport, intensity, direction, time) {
+  const { width, height } = viewport
+  const visibility = 1 - STORM_VISIBILITY_LOSS * intensity
+  ctx.save()
+  ctx.fillStyle = `rgba(28, 36, 46, ${0.35 * intensity})`
+  ctx.fillRect(0, 0, width, height)
+
+  const radius = Math.hypot(width, height) / 2
+  const gradient = ctx.createRadialGradient(
+    width / 2,
+    height / 2,
+    radius * visibility * 0.45,
+    width / 2,
+    height / 2,
+    radius,
+  )
+  gradient.addColorStop(0, 'rgba(22, 28, 36, 0)')
+  gradient.addColorStop(1, `rgba(22, 28, 36, ${0.75 * intensity})`)
+  ctx.fillStyle = gradient
+  ctx.fillRect(0, 0, width, height)
+
+  // Rain falls slanted away from where the wind blows from
+  const slantX = -Math.cos(direction) * 0.35
+  const dropLength = 18
+  const dropCount = Math.round(120 * intensity)
+  ctx.strokeStyle = 'rgba(200, 210, 225, 0.35)'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  for (let i = 0; i < dropCount; i += 1) {
+    const x = pseudoRandom2D(i * 3.17, 1.3) * width
+    const fall = (time * 600 + pseudoRandom2D(i * 7.91, 4.1) * height) % height
+    ctx.moveTo(x + slantX * fall, fall)
+    ctx.lineTo(x + slantX * (fall + dropLength), fall + dropLength)
+  }
+  ctx.stroke()
+  ctx.restore()
+}
+
+// World-to-sphere mapping: x→lon, y→lat (y flipped)
+// lon ∈ [-60°, 60°], lat ∈ [-50°, 50°] — all points visible in front hemisphere
+function worldToSphere(wx, wy) {
+  return {
+    lon: ((wx / MAP_SIZE) - 0.5) * (Math.PI * 2 / 3),
+    lat: (0.5 - (wy / MAP_SIZE)) * (Math.PI * 5 / 9),
   }
+}
 
-  const strength = clamp(wind.strength ?? 0, 0, 1)
-  if (strength <= 0.01) {
-    return
+// Orthographic projection centered at equator
+function projectGlobePoint(cx, cy, R, wx, wy) {
+  const { lon, lat } = worldToSphere(wx, wy)
+  return {
+    x: cx + R * Math.cos(lat) * Math.sin(lon),
+    y: cy - R * Math.sin(lat),
   }
+}
 
-  const { width, height } = viewport
-  const spacing = 160
-  const rowSpacing = 110
-  const dx = Math.cos(wind.direction)
-  const dy = Math.sin(wind.direction)
-  const px = -dy
-  const py = dx
-  const travelSpeed = 30 + strength * 60
-  const length = 32 + strength * 48
-  const halfLength = length / 2
-  const baseAlpha = 0.14 + strength * 0.18
-  const lineWidth = 1.1 + strength * 0.9
-  const strokeColor = 'rgba(255, 255, 255, 0.7)'
+function unprojectGlobePoint(cx, cy, R, sx, sy) {
+  const sinLat = (cy - sy) / R
+  if (Math.abs(sinLat) > 1) {
+    return null
+  }
+  const lat = Math.asin(sinLat)
+  const cosLat = Math.cos(lat)
+  const sinLon = cosLat > 0 ? (sx - cx) / (R * cosLat) : 0
+  if (Math.abs(sinLon) > 1) {
+    return null
+  }
+  const lon = Math.asin(sinLon)
+  const wx = (lon / (Math.PI * 2 / 3) + 0.5) * MAP_SIZE
+  const wy = (0.5 - lat / (Math.PI * 5 / 9)) * MAP_SIZE
+  if (wx < 0 || wx > MAP_SIZE || wy < 0 || wy > MAP_SIZE) {
+    return null
+  }
+  return { x: wx, y: wy }
+}
 
-  ctx.save()
-  ctx.globalCompositeOperation = 'screen'
-  ctx.lineWidth = lineWidth
-  ctx.lineCap = 'round'
-  ctx.strokeStyle = strokeColor
-
-  let rowIndex = 0
-  for (let y = -rowSpacing; y <= height + rowSpacing; y += rowSpacing) {
-    let colIndex = 0
-    for (let x = -spacing; x <= width + spacing; x += spacing) {
-      const baseX = x + (rowIndex % 2) * spacing * 0.5
-      const jitterSample = pseudoRandom2D(colIndex * 5.371 + 1, rowIndex * 9.137 + 5)
-      const jitter = (jitterSample - 0.5) * spacing * 0.4
-      const travelSample = pseudoRandom2D(colIndex * 8.913 + 7, rowIndex * 4.271 + 11)
-      const travel =
-        ((time * travelSpeed + travelSample * spacing) % spacing + spacing) % spacing - spacing / 2
-      const centerX = baseX - dx * travel + px * jitter * 0.6
-      const centerY = y - dy * travel + py * jitter * 0.6
-      const brightness = 0.6 + pseudoRandom2D(colIndex * 3.19 + 13, rowIndex * 7.31 + 2) * 0.4
-
-      ctx.globalAlpha = baseAlpha * brightness
-      ctx.beginPath()
-      ctx.moveTo(centerX - dx * halfLength, centerY - dy * halfLength)
-      ctx.lineTo(centerX + dx * halfLength, centerY + dy * halfLength)
-      ctx.stroke()
-      colIndex += 1
-    }
-    rowIndex += 1
+function getWorldMapGlobeFrame(width, height) {
+  return {
+    cx: width / 2,
+    cy: height / 2,
+    R: Math.min(width, height) * 0.46,
   }
+}
 
-  ctx.restore()
+function getChartProjection(state, width, height) {
+  const scale = Math.max(state.scale || 0.0001, 0.0001)
+  return {
+    project: (wx, wy) => ({
+      x: (wx - state.centerX) * scale + width / 2,
+      y: (wy - state.centerY) * scale + height / 2,
+    }),
+    unproject: (sx, sy) => ({
+      x: state.centerX + (sx - width / 2) / scale,
+      y: state.centerY + (sy - height / 2) / scale,
+    }),
+  }
 }
 
-function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
-  const { showLabels = false } = options
+function getWorldMapProjection(width, height, state) {
+  if (state?.mode === 'chart') {
+    const chart = getChartProjection(state, width, height)
+    return {
+      project: chart.project,
+      unproject: (sx, sy) => {
+        const world = chart.unproject(sx, sy)
+        if (world.x < 0 || world.x > MAP_SIZE || world.y < 0 || world.y > MAP_SIZE) {
+          return null
+        }
+        return world
+      },
+    }
+  }
+  const { cx, cy, R } = getWorldMapGlobeFrame(width, height)
+  return {
+    project: (wx, wy) => projectGlobePoint(cx, cy, R, wx, wy),
+    unproject: (sx, sy) => unprojectGlobePoint(cx, cy, R, sx, sy),
+  }
+}
 
-  // World-to-sphere mapping: x→lon, y→lat (y flipped)
-  // lon ∈ [-60°, 60°], lat ∈ [-50°, 50°] — all points visible in front hemisphere
-  const toSphere = (wx, wy) => ({
-    lon: ((wx / MAP_SIZE) - 0.5) * (Math.PI * 2 / 3),
-    lat: (0.5 - (wy / MAP_SIZE)) * (Math.PI * 5 / 9),
-  })
+// Ocean, graticule, fog and charted islands: everything on the globe that only changes when the
+// charts do
+function drawGlobeBase(ctx, cx, cy, R, islands, options = {}) {
+  const { showLabels = false, exploration = null } = options
 
-  // Orthographic projection centered at equator
   const project = (lon, lat) => ({
     x: cx + R * Math.cos(lat) * Math.sin(lon),
     y: cy - R * Math.sin(lat),
@@ -2938,6 +4984,35 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     ctx.stroke()
   }
 
+  // Unexplored waters
+  if (exploration) {
+    ctx.fillStyle = 'rgba(8, 16, 26, 0.55)'
+    ctx.beginPath()
+    for (let row = 0; row < exploration.rows; row += 1) {
+      for (let column = 0; column < exploration.columns; column += 1) {
+        if (exploration.revealed[row * exploration.columns + column]) {
+          continue
+        }
+        const x0 = column * EXPLORATION_CELL_SIZE
+        const y0 = row * EXPLORATION_CELL_SIZE
+        const x1 = x0 + EXPLORATION_CELL_SIZE
+        const y1 = y0 + EXPLORATION_CELL_SIZE
+        const corners = [
+          projectGlobePoint(cx, cy, R, x0, y0),
+          projectGlobePoint(cx, cy, R, x1, y0),
+          projectGlobePoint(cx, cy, R, x1, y1),
+          projectGlobePoint(cx, cy, R, x0, y1),
+        ]
+        ctx.moveTo(corners[0].x, corners[0].y)
+        for (let i = 1; i < corners.length; i += 1) {
+          ctx.lineTo(corners[i].x, corners[i].y)
+        }
+        ctx.closePath()
+      }
+    }
+    ctx.fill()
+  }
+
   // Islands
   for (const island of islands) {
     if (!island.coastline?.length) continue
@@ -2945,7 +5020,7 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     // Coastline
     ctx.beginPath()
     island.coastline.forEach((pt, i) => {
-      const sp = toSphere(island.x + pt.x, island.y + pt.y)
+      const sp = worldToSphere(island.x + pt.x, island.y + pt.y)
       const p = project(sp.lon, sp.lat)
       i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)
     })
@@ -2957,7 +5032,7 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     if (island.grass?.length) {
       ctx.beginPath()
       island.grass.forEach((pt, i) => {
-        const sp = toSphere(island.x + pt.x, island.y + pt.y)
+        const sp = worldToSphere(island.x + pt.x, island.y + pt.y)
         const p = project(sp.lon, sp.lat)
         i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)
       })
@@ -2969,7 +5044,7 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     // Settlement dot
     if (island.settlement) {
       const sc = island.settlement.center
-      const sp = toSphere(island.x + sc.x, island.y + sc.y)
+      const sp = worldToSphere(island.x + sc.x, island.y + sc.y)
       const p = project(sp.lon, sp.lat)
       const dotR = Math.max(2, R * 0.018)
       ctx.fillStyle = '#d44820'
@@ -2988,9 +5063,127 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     }
   }
 
+  ctx.restore()
+}
+
+// The base layer is drawn once into an offscreen canvas matching the target's pixels and copied
+// across each frame until the islands, fog, labels or frame change
+function blitGlobeBase(ctx, cache, cx, cy, R, islands, options) {
+  const { showLabels = false, exploration = null } = options
+  const transform = ctx.getTransform()
+  const { width, height } = ctx.canvas
+  const isStale =
+    !cache.canvas ||
+    cache.canvas.width !== width ||
+    cache.canvas.height !== height ||
+    cache.islands !== islands ||
+    cache.exploration !== exploration ||
+    cache.showLabels !== showLabels ||
+    cache.cx !== cx ||
+    cache.cy !== cy ||
+    cache.R !== R ||
+    cache.pixelScale !== transform.a
+
+  if (isStale) {
+    const canvas =
+      cache.canvas?.width === width && cache.canvas?.height === height
+        ? cache.canvas
+        : createLayerCanvas(width, height)
+    const layer = canvas.getContext('2d')
+    layer.setTransform(1, 0, 0, 1, 0, 0)
+    layer.clearRect(0, 0, width, height)
+    layer.setTransform(transform)
+    drawGlobeBase(layer, cx, cy, R, islands, { showLabels, exploration })
+    Object.assign(cache, { canvas, islands, exploration, showLabels, cx, cy, R, pixelScale: transform.a })
+  }
+
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.drawImage(cache.canvas, 0, 0)
+  ctx.restore()
+}
+
+function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
+  const { showLabels = false, route = [], exploration = null, storms = null, cache = null } = options
+
+  const project = (lon, lat) => ({
+    x: cx + R * Math.cos(lat) * Math.sin(lon),
+    y: cy - R * Math.sin(lat),
+  })
+
+  if (cache) {
+    blitGlobeBase(ctx, cache, cx, cy, R, islands, { showLabels, exploration })
+  } else {
+    drawGlobeBase(ctx, cx, cy, R, islands, { showLabels, exploration })
+  }
+
+  ctx.save()
+  ctx.beginPath()
+  ctx.arc(cx, cy, R, 0, TWO_PI)
+  ctx.clip()
+
+  // Storm cells
+  for (const cell of storms?.cells ?? []) {
+    const center = projectGlobePoint(cx, cy, R, cell.x, cell.y)
+    const edge = projectGlobePoint(cx, cy, R, cell.x + cell.radius, cell.y)
+    drawStormCell(ctx, center.x, center.y, Math.max(2, Math.abs(edge.x - center.x)), cell.intensity)
+  }
+
+  // Planned route
+  if (route.length) {
+    ctx.save()
+    ctx.strokeStyle = 'rgba(232, 160, 48, 0.55)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    const start = boat ? projectGlobePoint(cx, cy, R, boat.x, boat.y) : null
+    if (start) {
+      ctx.moveTo(start.x, start.y)
+    }
+    route.forEach((waypoint, index) => {
+      const p = projectGlobePoint(cx, cy, R, waypoint.x, waypoint.y)
+      index === 0 && !start ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)
+    })
+    ctx.stroke()
+
+    const markerR = Math.max(2, R * 0.014)
+    ctx.fillStyle = '#e8a030'
+    ctx.font = '10px system-ui, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    route.forEach((waypoint, index) => {
+      const p = projectGlobePoint(cx, cy, R, waypoint.x, waypoint.y)
+      ctx.beginPath()
+      ctx.arc(p.x, p.y, markerR, 0, TWO_PI)
+      ctx.fill()
+      if (showLabels) {
+        ctx.fillText(`${index + 1}`, p.x, p.y - markerR - 2)
+      }
+    })
+    ctx.restore()
+  }
+
+  // Autopilot course
+  const autopilotWaypoints = boat?.autopilot?.waypoints
+  if (autopilotWaypoints?.length) {
+    ctx.save()
+    ctx.strokeStyle = '#e8a030'
+    ctx.lineWidth = 1
+    ctx.globalAlpha = 0.6
+    ctx.setLineDash([3, 3])
+    ctx.beginPath()
+    const start = projectGlobePoint(cx, cy, R, boat.x, boat.y)
+    ctx.moveTo(start.x, start.y)
+    for (const waypoint of autopilotWaypoints.slice(boat.autopilot.index ?? 0)) {
+      const p = projectGlobePoint(cx, cy, R, waypoint.x, waypoint.y)
+      ctx.lineTo(p.x, p.y)
+    }
+    ctx.stroke()
+    ctx.restore()
+  }
+
   // Boat position
   if (boat) {
-    const sp = toSphere(boat.x, boat.y)
+    const sp = worldToSphere(boat.x, boat.y)
     const p = project(sp.lon, sp.lat)
     const markerR = Math.max(3, R * 0.025)
 
@@ -3002,7 +5195,7 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
     // Heading line
     const cos = Math.cos(boat.heading)
     const sin = Math.sin(boat.heading)
-    const spAhead = toSphere(boat.x + cos * 600, boat.y + sin * 600)
+    const spAhead = worldToSphere(boat.x + cos * 600, boat.y + sin * 600)
     const pAhead = project(spAhead.lon, spAhead.lat)
     ctx.strokeStyle = '#e8a030'
     ctx.lineWidth = 1
@@ -3024,7 +5217,7 @@ function drawGlobeMap(ctx, cx, cy, R, boat, islands, options = {}) {
   ctx.stroke()
 }
 
-function drawMiniMap(ctx, boat, islands) {
+function drawMiniMap(ctx, boat, islands, overlays = {}) {
   const dpr = window.devicePixelRatio || 1
   ctx.save()
   ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
@@ -3037,7 +5230,7 @@ function drawMiniMap(ctx, boat, islands) {
   const cy = height / 2
   const R = Math.min(cx, cy) - 2
 
-  drawGlobeMap(ctx, cx, cy, R, boat, islands, { showLabels: false })
+  drawGlobeMap(ctx, cx, cy, R, boat, islands, { ...overlays, showLabels: false })
 
   ctx.restore()
 }
@@ -3063,7 +5256,7 @@ function clampWorldMapView(state, width, height) {
   state.centerY = clamp(state.centerY ?? MAP_SIZE / 2, minY, maxY)
 }
 
-function drawWorldMap(canvas, _state, boat, islands) {
+function drawWorldMap(canvas, state, boat, islands, overlays = {}) {
   if (!canvas) {
     return
   }
@@ -3084,37 +5277,459 @@ function drawWorldMap(canvas, _state, boat, islands) {
   ctx.fillStyle = '#0c1824'
   ctx.fillRect(0, 0, width, height)
 
-  const R = Math.min(width, height) * 0.46
-  const cx = width / 2
-  const cy = height / 2
-
-  drawGlobeMap(ctx, cx, cy, R, boat, islands, { showLabels: true })
+  if (state?.mode === 'chart') {
+    drawChartMap(ctx, width, height, state, boat, islands, overlays)
+  } else {
+    const { cx, cy, R } = getWorldMapGlobeFrame(width, height)
+    drawGlobeMap(ctx, cx, cy, R, boat, islands, { ...overlays, showLabels: true })
+  }
 
   ctx.restore()
 }
 
-function paintSea(ctx, width, height) {
+function getNiceChartStep(targetWorldUnits) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(targetWorldUnits, 1))))
+  for (const multiple of [1, 2, 2.5, 5, 10]) {
+    if (magnitude * multiple >= targetWorldUnits) {
+      return magnitude * multiple
+    }
+  }
+  return magnitude * 10
+}
+
+function drawChartMap(ctx, width, height, state, boat, islands, options = {}) {
+  const {
+    route = [],
+    exploration = null,
+    storms = null,
+    currentField = null,
+    shallows = null,
+  } = options
+  const scale = Math.max(state.scale || 0.0001, 0.0001)
+  const projection = getChartProjection(state, width, height)
+  const toScreen = projection.project
+  const topLeft = projection.unproject(0, 0)
+  const bottomRight = projection.unproject(width, height)
+
+  // Sea inside the chart bounds
+  const origin = toScreen(0, 0)
+  const extent = MAP_SIZE * scale
   ctx.fillStyle = '#1a3550'
-  ctx.fillRect(0, 0, width, height)
+  ctx.fillRect(origin.x, origin.y, extent, extent)
+
+  // Shallows are charted once the water over them has been explored
+  if (shallows?.length) {
+    ctx.save()
+    ctx.translate(width / 2 - state.centerX * scale, height / 2 - state.centerY * scale)
+    ctx.scale(scale, scale)
+    for (const feature of shallows) {
+      if (exploration && !isExplorationRevealed(exploration, feature.x, feature.y)) {
+        continue
+      }
+      ctx.save()
+      ctx.translate(feature.x, feature.y)
+      ctx.fillStyle = SHALLOWS_TYPES[feature.type].fill
+      ctx.fill(buildSmoothPath(feature.outline))
+      ctx.restore()
+    }
+    ctx.restore()
+  }
+
+  // Unexplored waters, merged into horizontal runs of hidden cells
+  if (exploration) {
+    const cellPixels = EXPLORATION_CELL_SIZE * scale
+    ctx.fillStyle = 'rgba(8, 16, 26, 0.6)'
+    for (let row = 0; row < exploration.rows; row += 1) {
+      let runStart = -1
+      for (let column = 0; column <= exploration.columns; column += 1) {
+        const hidden = column < exploration.columns && !exploration.revealed[row * exploration.columns + column]
+        if (hidden && runStart < 0) {
+          runStart = column
+        } else if (!hidden && runStart >= 0) {
+          const start = toScreen(runStart * EXPLORATION_CELL_SIZE, row * EXPLORATION_CELL_SIZE)
+          ctx.fillRect(start.x, start.y, (column - runStart) * cellPixels + 0.5, cellPixels + 0.5)
+          runStart = -1
+        }
+      }
+    }
+  }
+
+  // Grid with distance labels along the top and left edges
+  const gridStep = getNiceChartStep(110 / scale)
+  ctx.save()
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.07)'
+  ctx.fillStyle = 'rgba(200, 187, 168, 0.55)'
+  ctx.lineWidth = 1
+  ctx.font = '9px system-ui, sans-serif'
+  const firstX = Math.max(0, Math.ceil(topLeft.x / gridStep) * gridStep)
+  const firstY = Math.max(0, Math.ceil(topLeft.y / gridStep) * gridStep)
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'top'
+  for (let wx = firstX; wx <= Math.min(MAP_SIZE, bottomRight.x); wx += gridStep) {
+    const { x } = toScreen(wx, 0)
+    ctx.beginPath()
+    ctx.moveTo(x, Math.max(0, origin.y))
+    ctx.lineTo(x, Math.min(height, origin.y + extent))
+    ctx.stroke()
+    ctx.fillText(formatDistance(wx), x + 2, Math.max(0, origin.y) + 2)
+  }
+  for (let wy = firstY; wy <= Math.min(MAP_SIZE, bottomRight.y); wy += gridStep) {
+    const { y } = toScreen(0, wy)
+    ctx.beginPath()
+    ctx.moveTo(Math.max(0, origin.x), y)
+    ctx.lineTo(Math.min(width, origin.x + extent), y)
+    ctx.stroke()
+    if (wy > 0) {
+      ctx.fillText(formatDistance(wy), Math.max(0, origin.x) + 2, y + 2)
+    }
+  }
+  ctx.restore()
+
+  // Islands drawn in world units under a scaled transform
+  ctx.save()
+  ctx.translate(width / 2 - state.centerX * scale, height / 2 - state.centerY * scale)
+  ctx.scale(scale, scale)
+  ctx.lineJoin = 'round'
+  for (const island of islands) {
+    if (
+      island.x + island.radius * 1.5 < topLeft.x ||
+      island.x - island.radius * 1.5 > bottomRight.x ||
+      island.y + island.radius * 1.5 < topLeft.y ||
+      island.y - island.radius * 1.5 > bottomRight.y
+    ) {
+      continue
+    }
+
+    ctx.save()
+    ctx.translate(island.x, island.y)
+    const coastPath = buildSmoothPath(island.coastline)
+    ctx.fillStyle = '#c4aa82'
+    ctx.fill(coastPath)
+    ctx.fillStyle = '#6e9960'
+    ctx.fill(buildSmoothPath(island.grass))
+    ctx.fillStyle = '#557f4c'
+    ctx.fill(buildSmoothPath(island.canopy))
+    ctx.strokeStyle = 'rgba(12, 24, 36, 0.6)'
+    ctx.lineWidth = 1.2 / scale
+    ctx.stroke(coastPath)
+
+    for (const structure of island.structures ?? []) {
+      if (structure.type !== 'dock' || !structure.polygon?.length) {
+        continue
+      }
+      ctx.beginPath()
+      structure.polygon.forEach((point, index) => {
+        index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)
+      })
+      ctx.closePath()
+      ctx.fillStyle = '#8b6a43'
+      ctx.fill()
+    }
+    ctx.restore()
+  }
+  ctx.restore()
+
+  // Labels and icons at a constant screen size
+  ctx.save()
+  for (const island of islands) {
+    const center = toScreen(island.x, island.y)
+    const screenRadius = island.radius * scale
+    if (
+      center.x + screenRadius < 0 ||
+      center.x - screenRadius > width ||
+      center.y + screenRadius < 0 ||
+      center.y - screenRadius > height
+    ) {
+      continue
+    }
+
+    if (screenRadius > 14) {
+      ctx.font = `italic ${Math.round(clamp(screenRadius * 0.18, 10, 16))}px system-ui, sans-serif`
+      ctx.fillStyle = 'rgba(12, 24, 36, 0.75)'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(island.name, center.x, center.y)
+    }
+
+    const settlement = island.settlement
+    if (settlement) {
+      const sc = toScreen(island.x + settlement.center.x, island.y + settlement.center.y)
+      ctx.fillStyle = '#d44820'
+      ctx.strokeStyle = '#0c1824'
+      ctx.lineWidth = 1
+      ctx.fillRect(sc.x - 4, sc.y - 4, 8, 8)
+      ctx.strokeRect(sc.x - 4, sc.y - 4, 8, 8)
+
+      const berth = toScreen(island.x + settlement.dock.berthPoint.x, island.y + settlement.dock.berthPoint.y)
+      ctx.beginPath()
+      ctx.arc(berth.x, berth.y, 3, 0, TWO_PI)
+      ctx.strokeStyle = '#e8a030'
+      ctx.stroke()
+
+      ctx.font = '11px system-ui, sans-serif'
+      ctx.fillStyle = '#c8bba8'
+      ctx.textAlign = 'left'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(settlement.name, sc.x + 8, sc.y)
+    }
+  }
+  ctx.restore()
+
+  if (currentField) {
+    drawChartCurrents(ctx, width, height, projection, currentField)
+  }
+
+  for (const cell of storms?.cells ?? []) {
+    const center = toScreen(cell.x, cell.y)
+    drawStormCell(ctx, center.x, center.y, cell.radius * scale, cell.intensity)
+  }
+
+  drawChartRoute(ctx, toScreen, boat, route)
+
+  if (boat) {
+    const p = toScreen(boat.x, boat.y)
+    ctx.save()
+    ctx.translate(p.x, p.y)
+    ctx.rotate(boat.heading)
+    ctx.fillStyle = '#e8a030'
+    ctx.beginPath()
+    ctx.moveTo(8, 0)
+    ctx.lineTo(-6, 5)
+    ctx.lineTo(-6, -5)
+    ctx.closePath()
+    ctx.fill()
+    ctx.restore()
+  }
+
+  // Scale bar
+  const barWorld = getNiceChartStep(120 / scale)
+  const barPixels = barWorld * scale
+  const barX = 12
+  const barY = height - 16
+  ctx.save()
+  ctx.strokeStyle = '#c8bba8'
+  ctx.fillStyle = '#c8bba8'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  ctx.moveTo(barX, barY - 4)
+  ctx.lineTo(barX, barY)
+  ctx.lineTo(barX + barPixels, barY)
+  ctx.lineTo(barX + barPixels, barY - 4)
+  ctx.stroke()
+  ctx.font = '10px system-ui, sans-serif'
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'bottom'
+  ctx.fillText(formatDistance(barWorld), barX + 4, barY - 3)
+  ctx.restore()
+}
+
+function drawChartCurrents(ctx, width, height, projection, field) {
+  const spacing = 36
+  ctx.save()
+  ctx.strokeStyle = 'rgba(120, 200, 230, 0.75)'
+  ctx.lineWidth = 1
+  ctx.lineCap = 'round'
+  for (let sy = spacing / 2; sy < height; sy += spacing) {
+    for (let sx = spacing / 2; sx < width; sx += spacing) {
+      const world = projection.unproject(sx, sy)
+      if (world.x < 0 || world.y < 0 || world.x > MAP_SIZE || world.y > MAP_SIZE) {
+        continue
+      }
+      const flow = sampleCurrent(field, world.x, world.y)
+      const speed = Math.hypot(flow.x, flow.y)
+      if (speed < 4) {
+        continue
+      }
+      const length = clamp(speed / CURRENT_CHANNEL_SPEED, 0.2, 1) * spacing * 0.7
+      const dx = (flow.x / speed) * length
+      const dy = (flow.y / speed) * length
+      const tipX = sx + dx / 2
+      const tipY = sy + dy / 2
+      const angle = Math.atan2(dy, dx)
+      ctx.globalAlpha = clamp(speed / CURRENT_STREAM_SPEED_MAX, 0.3, 1)
+      ctx.beginPath()
+      ctx.moveTo(sx - dx / 2, sy - dy / 2)
+      ctx.lineTo(tipX, tipY)
+      ctx.moveTo(tipX - Math.cos(angle - 0.5) * 4, tipY - Math.sin(angle - 0.5) * 4)
+      ctx.lineTo(tipX, tipY)
+      ctx.lineTo(tipX - Math.cos(angle + 0.5) * 4, tipY - Math.sin(angle + 0.5) * 4)
+      ctx.stroke()
+    }
+  }
+  ctx.restore()
+}
 
+function drawStormCell(ctx, x, y, radius, intensity) {
   ctx.save()
-  ctx.strokeStyle = 'rgba(255, 255, 255, 0.04)'
+  const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius)
+  gradient.addColorStop(0, `rgba(120, 130, 150, ${0.55 * intensity})`)
+  gradient.addColorStop(1, 'rgba(120, 130, 150, 0)')
+  ctx.fillStyle = gradient
+  ctx.beginPath()
+  ctx.arc(x, y, radius, 0, TWO_PI)
+  ctx.fill()
+  ctx.strokeStyle = `rgba(212, 72, 32, ${0.25 + 0.5 * intensity})`
   ctx.lineWidth = 1
-  const gridSize = 120
-  for (let x = 0; x < width; x += gridSize) {
+  ctx.setLineDash([4, 3])
+  ctx.stroke()
+  ctx.restore()
+}
+
+function drawChartRoute(ctx, toScreen, boat, route) {
+  const autopilotWaypoints = boat?.autopilot?.waypoints
+  ctx.save()
+  if (autopilotWaypoints?.length) {
+    ctx.strokeStyle = 'rgba(232, 160, 48, 0.6)'
+    ctx.lineWidth = 1
+    ctx.setLineDash([3, 3])
     ctx.beginPath()
-    ctx.moveTo(x, 0)
-    ctx.lineTo(x, height)
+    const start = toScreen(boat.x, boat.y)
+    ctx.moveTo(start.x, start.y)
+    for (const waypoint of autopilotWaypoints.slice(boat.autopilot.index ?? 0)) {
+      const p = toScreen(waypoint.x, waypoint.y)
+      ctx.lineTo(p.x, p.y)
+    }
     ctx.stroke()
+    ctx.setLineDash([])
   }
-  for (let y = 0; y < height; y += gridSize) {
+
+  if (route.length) {
+    ctx.strokeStyle = 'rgba(232, 160, 48, 0.55)'
+    ctx.lineWidth = 1.5
     ctx.beginPath()
-    ctx.moveTo(0, y)
-    ctx.lineTo(width, y)
+    const start = toScreen(boat.x, boat.y)
+    ctx.moveTo(start.x, start.y)
+    for (const waypoint of route) {
+      const p = toScreen(waypoint.x, waypoint.y)
+      ctx.lineTo(p.x, p.y)
+    }
     ctx.stroke()
+
+    ctx.fillStyle = '#e8a030'
+    ctx.font = '10px system-ui, sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    route.forEach((waypoint, index) => {
+      const p = toScreen(waypoint.x, waypoint.y)
+      ctx.beginPath()
+      ctx.arc(p.x, p.y, 4, 0, TWO_PI)
+      ctx.fill()
+      ctx.fillText(`${index + 1}`, p.x, p.y - 6)
+    })
+  }
+  ctx.restore()
+}
+
+function paintSea(ctx, width, height, camera = { x: 0, y: 0 }) {
+  ctx.fillStyle = '#1a3550'
+  ctx.fillRect(0, 0, width, height)
+
+  // Broad patches of lighter and darker water, anchored to the world so they pass under the ship
+  ctx.save()
+  const firstColumn = Math.floor(camera.x / SEA_PATCH_SIZE) - 1
+  const firstRow = Math.floor(camera.y / SEA_PATCH_SIZE) - 1
+  const lastColumn = Math.ceil((camera.x + width) / SEA_PATCH_SIZE) + 1
+  const lastRow = Math.ceil((camera.y + height) / SEA_PATCH_SIZE) + 1
+  for (let row = firstRow; row <= lastRow; row += 1) {
+    for (let column = firstColumn; column <= lastColumn; column += 1) {
+      const x = (column + pseudoRandom2D(column, row)) * SEA_PATCH_SIZE - camera.x
+      const y = (row + pseudoRandom2D(row + 17, column)) * SEA_PATCH_SIZE - camera.y
+      const radius = SEA_PATCH_SIZE * (0.5 + pseudoRandom2D(column + 5, row + 9) * 0.5)
+      const isLight = pseudoRandom2D(column + 31, row + 3) > 0.5
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius)
+      gradient.addColorStop(0, isLight ? 'rgba(52, 98, 132, 0.28)' : 'rgba(10, 28, 46, 0.3)')
+      gradient.addColorStop(1, 'rgba(26, 53, 80, 0)')
+      ctx.fillStyle = gradient
+      ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2)
+    }
   }
   ctx.restore()
 }
 
+// The seeded swells repeat on a tile so every stretch of sea carries a few of them. Each swell draws
+// as a short train of crests rolling downwind, breaking into whitecaps as the wind rises
+function drawOceanSurface(ctx, viewport, waves, wind, camera, time) {
+  if (!waves?.length) {
+    return
+  }
+  const { width, height } = viewport
+  const strength = clamp(wind?.strength ?? 0.3, 0, 1)
+  // Swells roll away from where the wind comes from
+  const travel = (wind?.direction ?? 0) + Math.PI
+  const travelX = Math.cos(travel)
+  const travelY = Math.sin(travel)
+  const crestX = -travelY
+  const crestY = travelX
+  const whitecapChance = clamp(
+    (strength - WHITECAP_WIND_THRESHOLD) / (1 - WHITECAP_WIND_THRESHOLD),
+    0,
+    1,
+  )
+  const firstTileX = Math.floor(camera.x / SWELL_TILE_SIZE)
+  const firstTileY = Math.floor(camera.y / SWELL_TILE_SIZE)
+  const lastTileX = Math.floor((camera.x + width) / SWELL_TILE_SIZE)
+  const lastTileY = Math.floor((camera.y + height) / SWELL_TILE_SIZE)
+
+  ctx.save()
+  ctx.lineCap = 'round'
+  for (let tileY = firstTileY; tileY <= lastTileY; tileY += 1) {
+    for (let tileX = firstTileX; tileX <= lastTileX; tileX += 1) {
+      for (let index = 0; index < waves.length; index += 1) {
+        const wave = waves[index]
+        const x = tileX * SWELL_TILE_SIZE + (wave.x % SWELL_TILE_SIZE) - camera.x
+        const y = tileY * SWELL_TILE_SIZE + (wave.y % SWELL_TILE_SIZE) - camera.y
+        const reach = wave.length * SWELL_CREST_COUNT
+        if (x < -reach || x > width + reach || y < -reach || y > height + reach) {
+          continue
+        }
+
+        const halfWidth = wave.amplitude * (2.2 + strength * 1.6)
+        const bow = wave.amplitude * 0.45
+        for (let crest = 0; crest < SWELL_CREST_COUNT; crest += 1) {
+          // Crests march downwind and fade at both ends of the train
+          const stagger = pseudoRandom2D(index, 7) + crest / SWELL_CREST_COUNT
+          const progress = (((time * wave.speed) / reach + stagger) % 1 + 1) % 1
+          const offset = (progress - 0.5) * reach
+          const fade = Math.sin(progress * Math.PI)
+          const cx = x + travelX * offset
+          const cy = y + travelY * offset
+          ctx.globalAlpha = (0.05 + strength * 0.08) * fade
+          ctx.strokeStyle = '#bcd8ea'
+          ctx.lineWidth = 1.5 + wave.amplitude * 0.05
+          ctx.beginPath()
+          ctx.moveTo(cx - crestX * halfWidth, cy - crestY * halfWidth)
+          ctx.quadraticCurveTo(
+            cx + travelX * bow,
+            cy + travelY * bow,
+            cx + crestX * halfWidth,
+            cy + crestY * halfWidth,
+          )
+          ctx.stroke()
+
+          const capSample = pseudoRandom2D(index * 1.7 + crest, tileX * 3.1 + tileY)
+          if (capSample < whitecapChance && fade > 0.5) {
+            const flicker = 0.5 + 0.5 * Math.sin(time * 3 + capSample * 40)
+            ctx.globalAlpha = 0.55 * fade * flicker
+            ctx.strokeStyle = '#ffffff'
+            ctx.lineWidth = 2 + strength * 1.5
+            const capLength = halfWidth * (0.25 + capSample * 0.4)
+            const capStart = (capSample - 0.5) * halfWidth
+            ctx.beginPath()
+            ctx.moveTo(
+              cx + travelX * bow * 0.5 + crestX * capStart,
+              cy + travelY * bow * 0.5 + crestY * capStart,
+            )
+            ctx.lineTo(
+              cx + travelX * bow * 0.5 + crestX * (capStart + capLength),
+              cy + travelY * bow * 0.5 + crestY * (capStart + capLength),
+            )
+            ctx.stroke()
+          }
+        }
+      }
+    }
+  }
+  ctx.restore()
+}
 
 export default App
@@ -0,0 +1,825 @@
+// Island generation: coastlines, terrain, settlements and docks, all drawn from a seeded random
+// source. Shared by the game and the renderer benchmark, so it must stay free of DOM and React
+import {
+  BOAT_COLLISION_OUTLINE,
+  MAP_SIZE,
+  TWO_PI,
+  normalizeAngle,
+  shortestAngleDiff,
+} from './simulation.js'
+
+export const ISLAND_COUNT = 16
+const MIN_SETTLEMENT_COUNT = 5
+
+const MIN_ISLAND_GAP = 900
+export const MAP_EDGE_CLEARANCE = 900
+
+const BOAT_LENGTH =
+  Math.max(...BOAT_COLLISION_OUTLINE.map((point) => point.x)) -
+  Math.min(...BOAT_COLLISION_OUTLINE.map((point) => point.x))
+const BOAT_WIDTH =
+  Math.max(...BOAT_COLLISION_OUTLINE.map((point) => point.y)) -
+  Math.min(...BOAT_COLLISION_OUTLINE.map((point) => point.y))
+const HOUSE_MAX_DIMENSION = BOAT_LENGTH / 3
+
+const NAME_SYLLABLE_PREFIXES = [
+  'Ash',
+  'Beck',
+  'Black',
+  'Bracken',
+  'Bright',
+  'Cinder',
+  'Cliff',
+  'Crown',
+  'Drift',
+  'Eagle',
+  'Fair',
+  'Fog',
+  'Fox',
+  'Gale',
+  'Glen',
+  'Harbor',
+  'High',
+  'Iron',
+  'King',
+  'Lark',
+  'Maple',
+  'Oak',
+  'Port',
+  'Raven',
+  'Red',
+  'Salt',
+  'Sea',
+  'Silver',
+  'Storm',
+  'Summer',
+  'Whit',
+  'Wind',
+  'Winter',
+]
+
+const NAME_SYLLABLE_SUFFIXES = [
+  'bay',
+  'bourne',
+  'cliff',
+  'cove',
+  'ford',
+  'gate',
+  'haven',
+  'holm',
+  'mere',
+  'mist',
+  'moor',
+  'point',
+  'port',
+  'reach',
+  'rest',
+  'rock',
+  'shade',
+  'shore',
+  'stead',
+  'ton',
+  'view',
+  'watch',
+  'wick',
+]
+
+const NAME_SECOND_WORDS = [
+  'Cove',
+  'Harbor',
+  'Haven',
+  'Isle',
+  'Island',
+  'Key',
+  'Lagoon',
+  'Point',
+  'Reach',
+  'Sound',
+  'Spire',
+  'Watch',
+]
+
+const NAME_DESCRIPTORS = ['Isle', 'Island', 'Atoll', 'Cay']
+
+const SETTLEMENT_SIZE_OPTIONS = [
+  {
+    id: 'village',
+    label: 'Seaside Village',
+    minRadius: 320,
+    populationRange: [260, 640],
+    buildingRange: [10, 16],
+    dockLengthMultiplier: 0.52,
+  },
+  {
+    id: 'harbor-town',
+    label: 'Harbor Town',
+    minRadius: 560,
+    populationRange: [720, 1480],
+    buildingRange: [18, 28],
+    dockLengthMultiplier: 0.6,
+  },
+  {
+    id: 'port-town',
+    label: 'Port Town',
+    minRadius: 700,
+    populationRange: [1600, 3200],
+    buildingRange: [30, 44],
+    dockLengthMultiplier: 0.68,
+  },
+]
+
+const SETTLEMENT_NAME_SUFFIXES = [
+  'Harbor',
+  'Landing',
+  'Quay',
+  'Wharf',
+  'Bay',
+  'Haven',
+  'Port',
+  'Harbour',
+]
+
+const SETTLEMENT_MARKET_THEMES = ['Spice', 'Timber', 'Fish', 'Sails', 'Charts', 'Trade']
+const SETTLEMENT_DECOR_TYPES = ['crate', 'barrel', 'cart', 'stack', 'firepit', 'drying-rack']
+
+function gaussianFalloff(diff, width) {
+  const ratio = diff / width
+  return Math.exp(-(ratio * ratio))
+}
+
+function generateCoastlineShape(radius, random = Math.random) {
+  const segments = 46 + Math.floor(random() * 20)
+  const mainPhase = random() * TWO_PI
+  const secondaryPhase = random() * TWO_PI
+  const detailPhase = random() * TWO_PI
+  const microPhase = random() * TWO_PI
+
+  const mainAmplitude = 0.18 + random() * 0.08
+  const secondaryAmplitude = 0.12 + random() * 0.06
+  const detailAmplitude = 0.08 + random() * 0.04
+  const microAmplitude = 0.05 + random() * 0.03
+  const jitterStrength = 0.08 + random() * 0.06
+
+  const headlands = Array.from({ length: 3 }, () => ({
+    angle: random() * TWO_PI,
+    width: 0.6 + random() * 0.6,
+    strength: 0.16 + random() * 0.26,
+  }))
+
+  const coves = Array.from({ length: 2 }, () => ({
+    angle: random() * TWO_PI,
+    width: 0.8 + random() * 0.9,
+    strength: 0.12 + random() * 0.22,
+  }))
+
+  const points = []
+
+  for (let i = 0; i < segments; i += 1) {
+    const angle = (i / segments) * TWO_PI
+    let multiplier = 1
+
+    multiplier += Math.sin(angle * 1.1 + mainPhase) * mainAmplitude
+    multiplier += Math.sin(angle * 2.4 + secondaryPhase) * secondaryAmplitude
+    multiplier += Math.sin(angle * 4.8 + detailPhase) * detailAmplitude
+    multiplier += Math.sin(angle * 7.3 + microPhase) * microAmplitude
+
+    for (const headland of headlands) {
+      const diff = shortestAngleDiff(angle, headland.angle)
+      multiplier += gaussianFalloff(diff, headland.width) * headland.strength
+    }
+
+    for (const cove of coves) {
+      const diff = shortestAngleDiff(angle, cove.angle)
+      multiplier -= gaussianFalloff(diff, cove.width) * cove.strength
+    }
+
+    multiplier += (random() - 0.5) * jitterStrength
+
+    const clampedMultiplier = Math.max(0.48, Math.min(1.48, multiplier))
+    const r = radius * clampedMultiplier
+    points.push({
+      angle,
+      radius: r,
+      x: Math.cos(angle) * r,
+      y: Math.sin(angle) * r,
+    })
+  }
+
+  return points
+}
+
+function createInnerRing(points, scale, jitter, random = Math.random) {
+  return points.map((point) => {
+    const jitterAmount = 1 + (random() - 0.5) * jitter
+    const r = Math.min(point.radius * 0.995, point.radius * scale * jitterAmount)
+    return {
+      angle: point.angle,
+      radius: r,
+      x: Math.cos(point.angle) * r,
+      y: Math.sin(point.angle) * r,
+    }
+  })
+}
+
+function generateCliffs(random = Math.random) {
+  const cliffs = []
+  const cliffGroups = random() < 0.3 ? 0 : 1 + Math.floor(random() * 2)
+  for (let i = 0; i < cliffGroups; i += 1) {
+    const startAngle = random() * TWO_PI
+    const width = 0.32 + random() * 0.55
+    cliffs.push({
+      startAngle,
+      endAngle: startAngle + width,
+      layers: 2 + Math.floor(random() * 3),
+    })
+  }
+  return cliffs
+}
+
+function generateStreams(coastline, radius, random = Math.random) {
+  const streams = []
+  let streamCount = 0
+  const roll = random()
+  if (roll < 0.25) {
+    streamCount = 2
+  } else if (roll < 0.65) {
+    streamCount = 1
+  }
+
+  for (let i = 0; i < streamCount; i += 1) {
+    const outlet = coastline[Math.floor(random() * coastline.length)]
+    const exit = {
+      x: outlet.x * 0.92,
+      y: outlet.y * 0.92,
+    }
+
+    const sourceAngle = normalizeAngle(outlet.angle + Math.PI + (random() - 0.5) * 0.7)
+    const sourceRadius = radius * (0.1 + random() * 0.22)
+    const start = {
+      x: Math.cos(sourceAngle) * sourceRadius,
+      y: Math.sin(sourceAngle) * sourceRadius,
+    }
+
+    const deltaX = exit.x - start.x
+    const deltaY = exit.y - start.y
+    const perpendicular = { x: -deltaY, y: deltaX }
+    const length = Math.hypot(perpendicular.x, perpendicular.y) || 1
+    const bend = radius * (0.05 + random() * 0.08)
+    const bendDir = (random() > 0.5 ? 1 : -1)
+    const offsetX = (perpendicular.x / length) * bend * bendDir
+    const offsetY = (perpendicular.y / length) * bend * bendDir
+
+    const control1 = {
+      x: start.x + deltaX * 0.3 + offsetX,
+      y: start.y + deltaY * 0.3 + offsetY,
+    }
+    const control2 = {
+      x: start.x + deltaX * 0.7 + offsetX * 0.6,
+      y: start.y + deltaY * 0.7 + offsetY * 0.6,
+    }
+
+    const width = 4 + random() * 3
+    streams.push({ start, control1, control2, end: exit, width })
+  }
+
+  return streams
+}
+
+function generateMeadowHighlights(grassPoints, radius, random = Math.random) {
+  const highlightCount = 3 + Math.floor(random() * 4)
+  const highlights = []
+
+  for (let i = 0; i < highlightCount; i += 1) {
+    const anchor = grassPoints[Math.floor(random() * grassPoints.length)]
+    const size = radius * (0.12 + random() * 0.16)
+    highlights.push({ x: anchor.x, y: anchor.y, radius: size })
+  }
+
+  return highlights
+}
+
+export function capitalize(word) {
+  if (!word) {
+    return ''
+  }
+  return word.charAt(0).toUpperCase() + word.slice(1)
+}
+
+function generateIslandName(random = Math.random, usedNames = new Set()) {
+  let attempt = 0
+  while (attempt < 40) {
+    attempt += 1
+
+    const pattern = random()
+    let candidate = ''
+
+    if (pattern < 0.34) {
+      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
+      const suffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
+      const descriptor = NAME_DESCRIPTORS[Math.floor(random() * NAME_DESCRIPTORS.length)]
+      candidate = `${capitalize(prefix + suffix)} ${descriptor}`
+    } else if (pattern < 0.68) {
+      const first = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
+      const second = NAME_SECOND_WORDS[Math.floor(random() * NAME_SECOND_WORDS.length)]
+      candidate = `${capitalize(first)} ${second}`
+    } else {
+      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
+      const suffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
+      candidate = capitalize(prefix + suffix)
+    }
+
+    if (!usedNames.has(candidate)) {
+      usedNames.add(candidate)
+      return candidate
+    }
+  }
+
+  const fallback = `Isle ${usedNames.size + 1}`
+  usedNames.add(fallback)
+  return fallback
+}
+
+function generateSettlementName(random, usedNames, islandName) {
+  let attempt = 0
+  const baseName = islandName?.split(' ')[0]
+
+  while (attempt < 60) {
+    attempt += 1
+    const pattern = random()
+    const suffix = SETTLEMENT_NAME_SUFFIXES[Math.floor(random() * SETTLEMENT_NAME_SUFFIXES.length)]
+    let candidate
+
+    if (pattern < 0.45 && baseName) {
+      candidate = `${baseName} ${suffix}`
+    } else if (pattern < 0.78) {
+      const prefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
+      candidate = `${capitalize(prefix)} ${suffix}`
+    } else {
+      const compositePrefix = NAME_SYLLABLE_PREFIXES[Math.floor(random() * NAME_SYLLABLE_PREFIXES.length)]
+      const compositeSuffix = NAME_SYLLABLE_SUFFIXES[Math.floor(random() * NAME_SYLLABLE_SUFFIXES.length)]
+      candidate = `Port ${capitalize(compositePrefix + compositeSuffix)}`
+    }
+
+    if (pattern > 0.88) {
+      const theme = SETTLEMENT_MARKET_THEMES[Math.floor(random() * SETTLEMENT_MARKET_THEMES.length)]
+      candidate = `${candidate} ${theme}`
+    }
+
+    if (!usedNames.has(candidate)) {
+      usedNames.add(candidate)
+      return candidate
+    }
+  }
+
+  const fallback = `Harbor ${usedNames.size + 1}`
+  usedNames.add(fallback)
+  return fallback
+}
+
+function findPointClosestToAngle(points, angle) {
+  if (!points?.length) {
+    return { angle, radius: 0, x: Math.cos(angle), y: Math.sin(angle) }
+  }
+
+  let best = points[0]
+  let smallest = Math.abs(shortestAngleDiff(angle, best.angle))
+  for (let i = 1; i < points.length; i += 1) {
+    const point = points[i]
+    const diff = Math.abs(shortestAngleDiff(angle, point.angle))
+    if (diff < smallest) {
+      smallest = diff
+      best = point
+    }
+  }
+  return best
+}
+
+export function averagePoint(points) {
+  if (!points?.length) {
+    return { x: 0, y: 0 }
+  }
+
+  const sum = points.reduce(
+    (acc, point) => {
+      acc.x += point.x
+      acc.y += point.y
+      return acc
+    },
+    { x: 0, y: 0 },
+  )
+
+  return { x: sum.x / points.length, y: sum.y / points.length }
+}
+
+function createDockStructure(angle, coastlinePoint, radius, sizeProfile, random) {
+  const direction = { x: Math.cos(angle), y: Math.sin(angle) }
+  const length = BOAT_LENGTH * 3
+  const width = BOAT_WIDTH
+  const retract = Math.min(radius * 0.08, 60)
+  const landwardBase = {
+    x: coastlinePoint.x - direction.x * retract,
+    y: coastlinePoint.y - direction.y * retract,
+  }
+  const outerEnd = {
+    x: landwardBase.x + direction.x * length,
+    y: landwardBase.y + direction.y * length,
+  }
+  const halfWidth = width / 2
+  const perpendicular = { x: -direction.y, y: direction.x }
+  const polygon = [
+    {
+      x: landwardBase.x + perpendicular.x * halfWidth,
+      y: landwardBase.y + perpendicular.y * halfWidth,
+    },
+    {
+      x: landwardBase.x - perpendicular.x * halfWidth,
+      y: landwardBase.y - perpendicular.y * halfWidth,
+    },
+    {
+      x: outerEnd.x - perpendicular.x * halfWidth,
+      y: outerEnd.y - perpendicular.y * halfWidth,
+    },
+    {
+      x: outerEnd.x + perpendicular.x * halfWidth,
+      y: outerEnd.y + perpendicular.y * halfWidth,
+    },
+  ]
+
+  const berthFactor = 0.55 + (random?.() ?? Math.random()) * 0.1
+  const approachMultiplier = 1.2 + (random?.() ?? Math.random()) * 0.3
+  const berthPoint = {
+    x: landwardBase.x + direction.x * (length * berthFactor),
+    y: landwardBase.y + direction.y * (length * berthFactor),
+  }
+
+  const approachPoint = {
+    x: outerEnd.x + direction.x * (BOAT_LENGTH * approachMultiplier),
+    y: outerEnd.y + direction.y * (BOAT_LENGTH * approachMultiplier),
+  }
+
+  return {
+    polygon,
+    direction,
+    landwardBase,
+    berthPoint,
+    approachPoint,
+    width,
+    length,
+  }
+}
+
+function generateSettlementForIsland(island, random, usedNames, options = {}) {
+  const { force = false } = options
+  const candidates = SETTLEMENT_SIZE_OPTIONS.filter((option) => island.radius >= option.minRadius)
+  if (!candidates.length) {
+    return null
+  }
+
+  if (!force) {
+    const spawnChance = Math.min(0.82, 0.45 + (island.radius - candidates[0].minRadius) / 1400)
+    if (random() > spawnChance) {
+      return null
+    }
+  }
+
+  const choice = candidates[Math.floor(random() * candidates.length)]
+  const placementAngle = random() * TWO_PI
+  const coastlinePoint = findPointClosestToAngle(island.coastline, placementAngle)
+  const dock = createDockStructure(placementAngle, coastlinePoint, island.radius, choice, random)
+
+  const settlementRadius = coastlinePoint.radius * 0.48
+  const center = {
+    x: Math.cos(placementAngle) * settlementRadius,
+    y: Math.sin(placementAngle) * settlementRadius,
+  }
+
+  const plazaRadius = Math.max(34, 36 + island.radius * 0.05)
+  const roadEnd = {
+    x: dock.landwardBase.x + dock.direction.x * 12,
+    y: dock.landwardBase.y + dock.direction.y * 12,
+  }
+
+  const buildingCountRange = choice.buildingRange
+  const buildingCount = buildingCountRange[0] + Math.floor(random() * (buildingCountRange[1] - buildingCountRange[0] + 1))
+  const streetWidth = Math.max(12, HOUSE_MAX_DIMENSION * 0.35)
+  const columnStreetWidth = Math.max(10, streetWidth * 0.6)
+  const columnSpacing = HOUSE_MAX_DIMENSION * 0.95 + columnStreetWidth
+  const maxPerRow = 4 + (choice.id === 'port-town' ? 3 : choice.id === 'harbor-town' ? 2 : 1)
+
+  const rowPlans = []
+  let allocated = 0
+  while (allocated < buildingCount) {
+    const remaining = buildingCount - allocated
+    const rowCapacity = Math.min(maxPerRow, remaining)
+    const rowPlan = []
+    for (let column = 0; column < rowCapacity; column += 1) {
+      const depth = HOUSE_MAX_DIMENSION * (0.42 + random() * 0.32)
+      const width = HOUSE_MAX_DIMENSION * (0.46 + random() * 0.28)
+      const roofHeight = 16 + random() * 10 + rowPlans.length * 4
+      rowPlan.push({ depth, width, roofHeight, hueShift: random() })
+    }
+    rowPlans.push(rowPlan)
+    allocated += rowCapacity
+  }
+
+  const direction = dock.direction
+  const perpendicular = { x: -direction.y, y: direction.x }
+  const buildings = []
+  const rows = []
+  const streets = []
+  let offsetAlongDirection = 0
+
+  for (let rowIndex = 0; rowIndex < rowPlans.length; rowIndex += 1) {
+    const rowPlan = rowPlans[rowIndex]
+    if (!rowPlan.length) {
+      continue
+    }
+
+    const rowDepth = Math.max(...rowPlan.map((plan) => plan.depth))
+    const anchorBase = {
+      x: center.x - direction.x * offsetAlongDirection,
+      y: center.y - direction.y * offsetAlongDirection,
+    }
+
+    const rowBuildings = []
+    for (let column = 0; column < rowPlan.length; column += 1) {
+      const plan = rowPlan[column]
+      const offsetFromCenter = (column - (rowPlan.length - 1) / 2) * columnSpacing
+      const frontCenter = {
+        x: anchorBase.x + perpendicular.x * offsetFromCenter,
+        y: anchorBase.y + perpendicular.y * offsetFromCenter,
+      }
+      const halfWidth = plan.width / 2
+      const forward = { x: -direction.x * plan.depth, y: -direction.y * plan.depth }
+      const left = { x: perpendicular.x * halfWidth, y: perpendicular.y * halfWidth }
+      const right = { x: -perpendicular.x * halfWidth, y: -perpendicular.y * halfWidth }
+
+      const frontLeft = { x: frontCenter.x + left.x, y: frontCenter.y + left.y }
+      const frontRight = { x: frontCenter.x + right.x, y: frontCenter.y + right.y }
+      const backLeft = { x: frontLeft.x + forward.x, y: frontLeft.y + forward.y }
+      const backRight = { x: frontRight.x + forward.x, y: frontRight.y + forward.y }
+
+      const building = {
+        footprint: [frontLeft, frontRight, backRight, backLeft],
+        roofHeight: plan.roofHeight,
+        hueShift: plan.hueShift,
+        row: rowIndex,
+        column,
+      }
+
+      buildings.push(building)
+      rowBuildings.push(building)
+    }
+
+    rows[rowIndex] = rowBuildings
+    offsetAlongDirection += rowDepth + streetWidth
+  }
+
+  const streetColor = random() < 0.5 ? 'rgba(120, 108, 96, 0.78)' : 'rgba(102, 94, 84, 0.78)'
+  const streetBorder = 'rgba(52, 41, 31, 0.28)'
+
+  for (const rowBuildings of rows) {
+    if (!rowBuildings?.length) {
+      continue
+    }
+    for (let i = 0; i < rowBuildings.length - 1; i += 1) {
+      const left = rowBuildings[i]
+      const right = rowBuildings[i + 1]
+      streets.push({
+        polygon: [left.footprint[1], right.footprint[0], right.footprint[3], left.footprint[2]],
+      })
+    }
+  }
+
+  for (let rowIndex = 0; rowIndex < rows.length - 1; rowIndex += 1) {
+    const current = rows[rowIndex]
+    const next = rows[rowIndex + 1]
+    if (!current?.length || !next?.length) {
+      continue
+    }
+    streets.push({
+      polygon: [
+        averagePoint(current.map((building) => building.footprint[3])),
+        averagePoint(current.map((building) => building.footprint[2])),
+        averagePoint(next.map((building) => building.footprint[1])),
+        averagePoint(next.map((building) => building.footprint[0])),
+      ],
+    })
+  }
+
+  if (rows[0]?.length) {
+    const firstRow = rows[0]
+    const frontLeftAvg = averagePoint(firstRow.map((building) => building.footprint[0]))
+    const frontRightAvg = averagePoint(firstRow.map((building) => building.footprint[1]))
+    const connectorHalfWidth = streetWidth * 0.8
+    streets.push({
+      polygon: [
+        frontLeftAvg,
+        frontRightAvg,
+        {
+          x: roadEnd.x - perpendicular.x * connectorHalfWidth,
+          y: roadEnd.y - perpendicular.y * connectorHalfWidth,
+        },
+        {
+          x: roadEnd.x + perpendicular.x * connectorHalfWidth,
+          y: roadEnd.y + perpendicular.y * connectorHalfWidth,
+        },
+      ],
+    })
+  }
+
+  const decor = []
+  const detailCount = Math.min(30, Math.round(buildingCount * (0.5 + random() * 0.6)))
+  for (let i = 0; i < detailCount; i += 1) {
+    const building = buildings[Math.floor(random() * buildings.length)]
+    if (!building) {
+      continue
+    }
+
+    const [frontLeft, frontRight, backRight, backLeft] = building.footprint
+    const edgeMid = random() < 0.5 ? averagePoint([frontLeft, frontRight]) : averagePoint([backLeft, backRight])
+    const side = random() < 0.5 ? 1 : -1
+    const depthDirection = random() < 0.5 ? -1 : 1
+    const offsetAlongStreet = streetWidth * (0.35 + random() * 0.7)
+    const offsetDepth = streetWidth * (0.1 + random() * 0.5)
+
+    decor.push({
+      type: SETTLEMENT_DECOR_TYPES[Math.floor(random() * SETTLEMENT_DECOR_TYPES.length)],
+      x: edgeMid.x + perpendicular.x * side * offsetAlongStreet + direction.x * depthDirection * offsetDepth,
+      y: edgeMid.y + perpendicular.y * side * offsetAlongStreet + direction.y * depthDirection * offsetDepth,
+      rotation: random() * TWO_PI,
+      size: 6 + random() * 8,
+    })
+  }
+
+  const people = []
+  const visitorCount = 4 + Math.floor(random() * 4) + Math.floor(buildingCount / 8)
+  for (let i = 0; i < visitorCount; i += 1) {
+    const theta = random() * TWO_PI
+    const distance = plazaRadius * 0.25 + random() * plazaRadius * 0.5
+    people.push({
+      x: center.x + Math.cos(theta) * distance,
+      y: center.y + Math.sin(theta) * distance,
+      radius: 5 + random() * 3.5,
+      tint: random(),
+    })
+  }
+
+  const populationMin = choice.populationRange[0]
+  const populationMax = choice.populationRange[1]
+  const population = Math.round(
+    populationMin + random() * (populationMax - populationMin),
+  )
+
+  const marketTheme = SETTLEMENT_MARKET_THEMES[Math.floor(random() * SETTLEMENT_MARKET_THEMES.length)]
+
+  const name = generateSettlementName(random, usedNames, island.name)
+
+  return {
+    id: `${island.id}-settlement`,
+    name,
+    sizeId: choice.id,
+    sizeLabel: choice.label,
+    population,
+    dock,
+    center,
+    plazaRadius,
+    road: { start: center, end: roadEnd, width: streetWidth },
+    buildings,
+    streets,
+    streetColor,
+    streetBorder,
+    decor,
+    people,
+    marketTheme,
+  }
+}
+
+export function generateIslands(count, random = Math.random) {
+  const islands = []
+  const usedNames = new Set()
+  const usedSettlementNames = new Set()
+  let attempts = 0
+  while (islands.length < count && attempts < count * 90) {
+    attempts += 1
+    let radius
+    const sizeRoll = random()
+    if (sizeRoll < 0.55) {
+      radius = 200 + random() * 320
+    } else if (sizeRoll < 0.85) {
+      radius = 520 + random() * 220
+    } else {
+      radius = 740 + random() * 320
+    }
+
+    const x = random() * MAP_SIZE
+    const y = random() * MAP_SIZE
+    const borderDistance = Math.min(x, MAP_SIZE - x, y, MAP_SIZE - y)
+    if (borderDistance < radius + MAP_EDGE_CLEARANCE) {
+      continue
+    }
+
+    if (
+      islands.some((existing) => {
+        const dx = existing.x - x
+        const dy = existing.y - y
+        return Math.hypot(dx, dy) < existing.radius + radius + MIN_ISLAND_GAP
+      })
+    ) {
+      continue
+    }
+
+    const coastline = generateCoastlineShape(radius, random)
+    const beach = createInnerRing(coastline, 0.955, 0.015, random)
+    const grass = createInnerRing(coastline, 0.8, 0.12, random)
+    const canopy = createInnerRing(coastline, 0.58, 0.18, random)
+
+    const palette = pickPalette(random)
+    const name = generateIslandName(random, usedNames)
+    const islandId = `island-${islands.length}`
+    const island = {
+      id: islandId,
+      x,
+      y,
+      radius,
+      points: coastline.map(({ x: px, y: py }) => ({ x: px, y: py })),
+      coastline,
+      beach,
+      grass,
+      canopy,
+      palette,
+      textureSeed: random() * 1000000,
+      waveAnimation: {
+        offset: random() * 400,
+        speed: 0.6 + random() * 0.8,
+        dash: 12 + random() * 10,
+        glow: 0.22 + random() * 0.25,
+      },
+      cliffs: generateCliffs(random),
+      treeClusters: [],
+      streams: generateStreams(coastline, radius, random),
+      highlights: generateMeadowHighlights(grass, radius, random),
+      name,
+      structures: [],
+      settlement: null,
+    }
+
+    const settlement = generateSettlementForIsland(island, random, usedSettlementNames)
+    if (settlement) {
+      island.settlement = settlement
+      island.structures.push({ type: 'dock', polygon: settlement.dock.polygon })
+    }
+
+    islands.push(island)
+  }
+
+  let settlementCount = islands.filter((island) => island.settlement).length
+  if (settlementCount < MIN_SETTLEMENT_COUNT) {
+    const availableIslands = islands
+      .filter((island) => !island.settlement)
+      .sort((a, b) => b.radius - a.radius)
+    for (const island of availableIslands) {
+      if (settlementCount >= MIN_SETTLEMENT_COUNT) {
+        break
+      }
+      const forcedSettlement = generateSettlementForIsland(island, random, usedSettlementNames, { force: true })
+      if (forcedSettlement) {
+        island.settlement = forcedSettlement
+        island.structures.push({ type: 'dock', polygon: forcedSettlement.dock.polygon })
+        settlementCount += 1
+      }
+    }
+  }
+
+  return islands
+}
+
+function pickPalette(random = Math.random) {
+  const palettes = [
+    {
+      shore: '#f4d9a0',
+      beach: '#f7e5b8',
+      grass: '#63b365',
+      canopy: '#2f7e4f',
+      cliffs: '#8b5528',
+      highlight: '#fffae5',
+    },
+    {
+      shore: '#f5c874',
+      beach: '#ffe7a9',
+      grass: '#55c27c',
+      canopy: '#1d7a5a',
+      cliffs: '#a16c3c',
+      highlight: '#fff2d0',
+    },
+    {
+      shore: '#f1c082',
+      beach: '#fddd9a',
+      grass: '#6ccf8a',
+      canopy: '#337a44',
+      cliffs: '#82492a',
+      highlight: '#ffe9c0',
+    },
+  ]
+  return palettes[Math.floor(random() * palettes.length)]
+}
@@ -0,0 +1,189 @@
+// Drawing the islands onto a 2D canvas, from outlines built into paths once per seed.
+// Shared by the game and the renderer benchmark, so it only touches the canvas it is handed
+import { TWO_PI, getTideFlatWidth } from './simulation.js'
+
+// Beyond the coastline's bounds, room for the surf and the drying flats when culling islands
+const ISLAND_VIEW_MARGIN = 80
+
+export function buildSmoothPath(points) {
+  const path = new Path2D()
+  if (!points?.length) return path
+  const first = points[0]
+  const last = points[points.length - 1]
+  path.moveTo((first.x + last.x) / 2, (first.y + last.y) / 2)
+  for (let i = 0; i < points.length; i += 1) {
+    const current = points[i]
+    const next = points[(i + 1) % points.length]
+    path.quadraticCurveTo(current.x, current.y, (current.x + next.x) / 2, (current.y + next.y) / 2)
+  }
+  path.closePath()
+  return path
+}
+
+export function createRenderCache() {
+  return { shapes: new WeakMap(), paths: new WeakMap() }
+}
+
+export function createLayerCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height)
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// Outlines never change once generated, so their curves are built once per point list
+export function getCachedSmoothPath(cache, points) {
+  if (!cache) {
+    return buildSmoothPath(points)
+  }
+  let path = cache.paths.get(points)
+  if (!path) {
+    path = buildSmoothPath(points)
+    cache.paths.set(points, path)
+  }
+  return path
+}
+
+// Everything about an island's outline that never changes once generated, built on first draw
+function getIslandShape(cache, island) {
+  let shape = cache?.shapes.get(island)
+  if (shape) {
+    return shape
+  }
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  const points = [
+    ...island.coastline,
+    ...(island.structures ?? []).flatMap((structure) => structure.polygon ?? []),
+  ]
+  for (const point of points) {
+    minX = Math.min(minX, point.x)
+    minY = Math.min(minY, point.y)
+    maxX = Math.max(maxX, point.x)
+    maxY = Math.max(maxY, point.y)
+  }
+  const docks = new Path2D()
+  for (const structure of island.structures ?? []) {
+    if (structure.type !== 'dock' || !structure.polygon?.length) {
+      continue
+    }
+    structure.polygon.forEach((point, index) => {
+      index === 0 ? docks.moveTo(point.x, point.y) : docks.lineTo(point.x, point.y)
+    })
+    docks.closePath()
+  }
+  shape = {
+    bounds: { minX, minY, maxX, maxY },
+    coast: getCachedSmoothPath(cache, island.coastline),
+    grass: getCachedSmoothPath(cache, island.grass),
+    canopy: island.canopy?.length ? getCachedSmoothPath(cache, island.canopy) : null,
+    docks,
+  }
+  cache?.shapes.set(island, shape)
+  return shape
+}
+
+// The land itself: everything on an island that doesn't move between frames
+function drawIslandArtwork(ctx, island, shape) {
+  ctx.lineJoin = 'round'
+  ctx.lineCap = 'round'
+
+  ctx.fillStyle = '#c4aa82'
+  ctx.fill(shape.coast)
+
+  ctx.fillStyle = '#6e9960'
+  ctx.fill(shape.grass)
+
+  if (shape.canopy) {
+    ctx.fillStyle = '#557f4c'
+    ctx.fill(shape.canopy)
+  }
+
+  ctx.strokeStyle = 'rgba(26, 53, 80, 0.35)'
+  ctx.lineWidth = 1.5
+  ctx.stroke(shape.coast)
+
+  ctx.fillStyle = '#8b6a43'
+  ctx.fill(shape.docks)
+
+  if (island.settlement) {
+    const c = island.settlement.center
+    ctx.fillStyle = '#d44820'
+    ctx.beginPath()
+    ctx.arc(c.x, c.y, Math.max(4, island.radius * 0.012), 0, TWO_PI)
+    ctx.fill()
+  }
+}
+
+// Without a render cache every island's paths are rebuilt from its outlines each frame, which is
+// what the benchmark compares the cache against
+export function drawIslands(ctx, islands, camera, tideLevel = 0, shorelineTime = 0, cache = null) {
+  const flatWidth = getTideFlatWidth(tideLevel)
+  for (const island of islands) {
+    const screenX = island.x - camera.x
+    const screenY = island.y - camera.y
+    if (
+      screenX < -island.radius * 2 ||
+      screenX > camera.width + island.radius * 2 ||
+      screenY < -island.radius * 2 ||
+      screenY > camera.height + island.radius * 2
+    ) {
+      continue
+    }
+    // The radius test is only a coarse bound; islands whose outline stays off screen are skipped too
+    const shape = getIslandShape(cache, island)
+    const { minX, minY, maxX, maxY } = shape.bounds
+    if (
+      screenX + maxX < -ISLAND_VIEW_MARGIN ||
+      screenX + minX > camera.width + ISLAND_VIEW_MARGIN ||
+      screenY + maxY < -ISLAND_VIEW_MARGIN ||
+      screenY + minY > camera.height + ISLAND_VIEW_MARGIN
+    ) {
+      continue
+    }
+
+    ctx.save()
+    ctx.translate(screenX, screenY)
+    ctx.lineJoin = 'round'
+    ctx.lineCap = 'round'
+
+    // Foam is stroked before the land is filled, so only its seaward half shows
+    drawCoastalFoam(ctx, island, shape.coast, shorelineTime, flatWidth)
+
+    if (flatWidth > 0.5) {
+      ctx.strokeStyle = '#7f7b64'
+      ctx.lineWidth = flatWidth * 2
+      ctx.stroke(shape.coast)
+    }
+
+    drawIslandArtwork(ctx, island, shape)
+
+    ctx.restore()
+  }
+}
+
+// Surf working along each coast, paced by the island's own wave animation settings
+function drawCoastalFoam(ctx, island, coastPath, time, flatWidth = 0) {
+  const { offset, speed, dash, glow } = island.waveAnimation ?? {}
+  if (!Number.isFinite(speed)) {
+    return
+  }
+  const pulse = 0.5 + 0.5 * Math.sin(time * speed * 1.6 + offset)
+  ctx.save()
+  ctx.strokeStyle = '#e8f2f6'
+  ctx.globalAlpha = glow * (0.35 + pulse * 0.35)
+  ctx.lineWidth = 10 + pulse * 10 + flatWidth * 2
+  ctx.stroke(coastPath)
+
+  ctx.globalAlpha = glow * 1.8
+  ctx.lineWidth = 2.5 + flatWidth * 2
+  ctx.setLineDash([dash, dash * 1.6])
+  ctx.lineDashOffset = -(offset + time * speed * 24)
+  ctx.stroke(coastPath)
+  ctx.restore()
+}
@@ -0,0 +1,68 @@
+// The sea's texture and wind streaks, laid out the same way by the 2D and WebGL renderers
+import { applyStormToWind, clamp, sampleStorms, sampleWindField } from './simulation.js'
+
+export const SEA_PATCH_SIZE = 700
+export const WHITECAP_WIND_THRESHOLD = 0.35
+
+export function pseudoRandom2D(x, y) {
+  const value = Math.sin(x * 127.1 + y * 311.7) * 43758.5453
+  return value - Math.floor(value)
+}
+
+// Streaks laid out on a staggered grid in screen space, each sampling the local wind so they bend
+// around storms and gusts. Coordinates are relative to the camera's top-left corner
+export function getWindStreaks(viewport, wind, time, camera = { x: 0, y: 0 }, windField = null, storms = null) {
+  const { width, height } = viewport
+  const spacing = 160
+  const rowSpacing = 110
+  const streaks = []
+
+  let rowIndex = 0
+  for (let y = -rowSpacing; y <= height + rowSpacing; y += rowSpacing) {
+    let colIndex = 0
+    for (let x = -spacing; x <= width + spacing; x += spacing) {
+      const baseX = x + (rowIndex % 2) * spacing * 0.5
+      const worldX = baseX + camera.x
+      const worldY = y + camera.y
+      const local = applyStormToWind(
+        sampleWindField(windField, wind, worldX, worldY, time),
+        sampleStorms(storms, worldX, worldY),
+        worldX,
+        worldY,
+      )
+      const strength = clamp(local.strength ?? 0, 0, 1)
+      if (strength <= 0.01) {
+        colIndex += 1
+        continue
+      }
+      const dx = Math.cos(local.direction)
+      const dy = Math.sin(local.direction)
+      const px = -dy
+      const py = dx
+      const travelSpeed = 30 + strength * 60
+      const halfLength = (32 + strength * 48) / 2
+      const baseAlpha = 0.14 + strength * 0.18
+      const jitterSample = pseudoRandom2D(colIndex * 5.371 + 1, rowIndex * 9.137 + 5)
+      const jitter = (jitterSample - 0.5) * spacing * 0.4
+      const travelSample = pseudoRandom2D(colIndex * 8.913 + 7, rowIndex * 4.271 + 11)
+      const travel =
+        ((time * travelSpeed + travelSample * spacing) % spacing + spacing) % spacing - spacing / 2
+      const centerX = baseX - dx * travel + px * jitter * 0.6
+      const centerY = y - dy * travel + py * jitter * 0.6
+      const brightness = 0.6 + pseudoRandom2D(colIndex * 3.19 + 13, rowIndex * 7.31 + 2) * 0.4
+
+      streaks.push({
+        x1: centerX - dx * halfLength,
+        y1: centerY - dy * halfLength,
+        x2: centerX + dx * halfLength,
+        y2: centerY + dy * halfLength,
+        width: 1.1 + strength * 0.9,
+        alpha: baseAlpha * brightness,
+      })
+      colIndex += 1
+    }
+    rowIndex += 1
+  }
+
+  return streaks
+}
@@ -0,0 +1,1817 @@
+// Everything that advances the world between frames: wind, storms, the ship and the swell. It is
+// shared by the simulation worker and the main thread, so it must stay free of DOM and React
+export const MAP_SIZE = 12000
+
+export const DOCKING_DISTANCE = 420
+export const TWO_PI = Math.PI * 2
+export const MAX_FORWARD_SPEED = 260 // world units per second
+const ACCELERATION = 140
+const BRAKE_DECELERATION = 220
+const TURN_RATE = 1.8
+export const MIN_HEALTH = 0.05
+
+const LOAD_SPEED_PENALTY = 0.3
+const LOAD_ACCELERATION_PENALTY = 0.45
+const LOAD_TURN_PENALTY = 0.35
+
+export const WIND_MIN_STRENGTH = 0.25
+export const WIND_MAX_STRENGTH = 1
+const WIND_DIRECTION_VARIANCE = Math.PI / 3
+export const WIND_CHANGE_MIN = 48
+export const WIND_CHANGE_MAX = 92
+const WIND_ADJUST_RATE = 0.12
+export const NO_GO_ANGLE_DEGREES = 20
+export const TACK_TARGET_DEGREES = 35
+const TACK_TURN_RATE = 1.6
+const TACK_PERIOD_MIN = 5.5
+const TACK_PERIOD_MAX = 8.5
+const TRIM_MIN_DEGREES = 5
+export const TRIM_MAX_DEGREES = 90
+const TRIM_RATE = 45
+const TRIM_TOLERANCE_DEGREES = 40
+const TRIM_MIN_EFFICIENCY = 0.35
+// Auto-trim plays safe: it eases a touch past ideal and follows wind shifts slowly
+const AUTO_TRIM_EASE_DEGREES = 8
+const AUTO_TRIM_RATE = 20
+// Degrees of sheet the auto-trim eases for every degree she heels past comfortable
+const AUTO_TRIM_HEEL_EASE = 3
+const APPARENT_WIND_BOAT_SHARE = 0.3
+const HEEL_MAX_DEGREES = 50
+const HEEL_RESPONSE = 1.4
+export const HEEL_EXCESS_DEGREES = 25
+const HEEL_KNOCKDOWN_DEGREES = 45
+const HEEL_SPEED_PENALTY = 0.35
+const HEEL_KNOCKDOWN_DAMAGE = 0.06
+const HEEL_KNOCKDOWN_SECONDS = 4
+// Sheet eased this far past the auto-trim setting luffs the sail and spills all its side force
+const HEEL_SPILL_DEGREES = 40
+
+const WIND_FIELD_DIRECTION_VARIANCE = Math.PI / 7
+const WIND_FIELD_STRENGTH_VARIANCE = 0.22
+
+const WIND_SHADOW_LENGTH = 5
+const WIND_SHADOW_STRENGTH = 0.65
+
+const WIND_FUNNEL_BOOST = 0.45
+const WIND_FUNNEL_STEER = 0.5
+const STORM_MAX_CELLS = 3
+export const STORM_SPAWN_MIN = 120
+const STORM_SPAWN_MAX = 260
+const STORM_LIFETIME_MIN = 320
+const STORM_LIFETIME_MAX = 640
+const STORM_RADIUS_MIN = 700
+const STORM_RADIUS_MAX = 1500
+const STORM_DRIFT_MIN = 12
+const STORM_DRIFT_MAX = 28
+const STORM_SWIRL = Math.PI / 4
+const STORM_HULL_DAMAGE_RATE = 0.0025
+const STORM_DAMAGE_THRESHOLD = 0.3
+
+const DAY_LENGTH_SECONDS = 960
+const DAY_START_HOUR = 8
+const NIGHT_TINT = [62, 78, 138]
+const DAYLIGHT_KEYFRAMES = [
+  { hour: 0, darkness: 1, tint: NIGHT_TINT },
+  { hour: 4.5, darkness: 1, tint: NIGHT_TINT },
+  { hour: 6, darkness: 0.4, tint: [236, 178, 170] },
+  { hour: 7.5, darkness: 0, tint: [255, 255, 255] },
+  { hour: 17.5, darkness: 0, tint: [255, 255, 255] },
+  { hour: 19, darkness: 0.4, tint: [255, 166, 112] },
+  { hour: 20.5, darkness: 1, tint: NIGHT_TINT },
+  { hour: 24, darkness: 1, tint: NIGHT_TINT },
+]
+
+const NIGHT_DOCKING_RANGE_FACTOR = 0.8
+const NIGHT_MOORING_SECONDS = 6
+
+export const TIDE_PERIOD_SECONDS = DAY_LENGTH_SECONDS / 2
+
+const TIDE_FLAT_WIDTH = 55
+const TIDE_SHOAL_WIDTH = 70
+
+const SHALLOWS_NAVIGATION_COST = 6
+// drag caps top speed while over the feature; scrape is hull lost per second at full speed
+export const SHALLOWS_TYPES = {
+  reef: { label: 'Reef', drag: 0.55, scrape: 0.04, fill: 'rgba(72, 150, 148, 0.55)' },
+  shoal: { label: 'Shoal', drag: 0.7, scrape: 0.01, fill: 'rgba(66, 118, 150, 0.55)' },
+  sandbar: { label: 'Sandbar', drag: 0.4, scrape: 0.005, fill: 'rgba(150, 148, 118, 0.5)' },
+}
+
+const AUTOPILOT_REPLAN_SECONDS = 4
+const AUTOPILOT_WAYPOINT_RADIUS = 160
+const AUTOPILOT_ARRIVAL_RADIUS = 120
+const AUTOPILOT_SLOWDOWN_DISTANCE = 520
+const AUTOPILOT_TACK_HYSTERESIS_DEGREES = 8
+const AUTOPILOT_HEADING_TOLERANCE = 0.04
+// Canvas carried while standing out from a berth to the dock's approach point, once her bow is
+// within this many degrees of it; until then she swings round with barely any way on
+const AUTOPILOT_DEPARTURE_SAIL = 0.3
+const AUTOPILOT_DEPARTURE_SWING_SAIL = 0.1
+const AUTOPILOT_DEPARTURE_TURN_DEGREES = 30
+
+export const DAMAGE_STATES = [
+  { label: 'Sound', minHealth: 0.999, penalty: 0 },
+  { label: 'Lightly Riddled', minHealth: 0.9, penalty: 0.1 },
+  { label: 'Shaken', minHealth: 0.75, penalty: 0.25 },
+  { label: 'Much Shattered', minHealth: 0.55, penalty: 0.45 },
+  { label: 'Crippled', minHealth: 0.3, penalty: 0.7 },
+  { label: 'A Wreck', minHealth: 0.15, penalty: 0.85 },
+  { label: 'Foundering', minHealth: MIN_HEALTH, penalty: 0.95 },
+]
+
+export const controlKeys = {
+  forward: ['w', 'arrowup'],
+  backward: ['s', 'arrowdown'],
+  left: ['a', 'arrowleft'],
+  right: ['d', 'arrowright'],
+}
+
+export const trimKeys = {
+  sheetIn: ['q'],
+  easeOut: ['e'],
+}
+
+export const BOAT_COLLISION_OUTLINE = [
+  { x: 58, y: 0 },
+  { x: 44, y: 18 },
+  { x: 44, y: -18 },
+  { x: 20, y: 26 },
+  { x: 20, y: -26 },
+  { x: -8, y: 30 },
+  { x: -8, y: -30 },
+  { x: -38, y: 18 },
+  { x: -38, y: -18 },
+  { x: -52, y: 0 },
+]
+
+const MAX_BOAT_EXTENT = BOAT_COLLISION_OUTLINE.reduce(
+  (max, point) => Math.max(max, Math.hypot(point.x, point.y)),
+  0,
+)
+
+const COLLISION_EDGE_THRESHOLD = 10
+export const SIMULATION_STEP_SECONDS = 1 / 60
+const SIMULATION_MAX_CATCH_UP_STEPS = 8
+// How far ahead of the last reported tick inputs and patches are stamped, to cover the trip over
+export const SIMULATION_INPUT_LEAD_STEPS = 3
+
+const COLLISION_DAMAGE_MIN_SPEED = 20
+const COLLISION_RECOIL_DAMPING = 2.5
+// restitution is how much closing speed comes back as a bounce, friction how much sliding way
+// the contact scrubs off, damage the hull lost to a full-speed square hit
+const COLLISION_SURFACES = {
+  coastline: { restitution: 0.15, friction: 0.55, damage: 0.12 },
+  dock: { restitution: 0.5, friction: 0.2, damage: 0.18 },
+  flat: { restitution: 0.05, friction: 0.75, damage: 0.03 },
+}
+
+export const TRADE_GOODS = [
+  { id: 'fish', label: 'Salted Fish', basePrice: 8, weight: 1 },
+  { id: 'grain', label: 'Grain', basePrice: 10, weight: 1 },
+  { id: 'timber', label: 'Timber', basePrice: 16, weight: 2 },
+  { id: 'sailcloth', label: 'Sailcloth', basePrice: 28, weight: 0.5 },
+  { id: 'spice', label: 'Spices', basePrice: 46, weight: 0.25 },
+  { id: 'charts', label: 'Sea Charts', basePrice: 64, weight: 0.05 },
+]
+
+function cyrb128(str) {
+  let h1 = 1779033703
+  let h2 = 3144134277
+  let h3 = 1013904242
+  let h4 = 2773480762
+
+  for (let i = 0; i < str.length; i += 1) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 597399067) >>> 0
+    h2 = Math.imul(h2 ^ ch, 2869860233) >>> 0
+    h3 = Math.imul(h3 ^ ch, 951274213) >>> 0
+    h4 = Math.imul(h4 ^ ch, 2716044179) >>> 0
+  }
+
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067) >>> 0
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233) >>> 0
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213) >>> 0
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179) >>> 0
+
+  return [h1, h2, h3, h4]
+}
+
+function sfc32(a, b, c, d) {
+  return function random() {
+    a >>>= 0
+    b >>>= 0
+    c >>>= 0
+    d >>>= 0
+    const t = (a + b) | 0
+    a = b ^ (b >>> 9)
+    b = (c + (c << 3)) | 0
+    c = ((c << 21) | (c >>> 11)) >>> 0
+    c = (c + t) | 0
+    d = (d + 1) | 0
+    const result = (t + d) | 0
+    return (result >>> 0) / 4294967296
+  }
+}
+
+export function createSeededRng(seedValue, position = 0) {
+  const normalizedSeed = seedValue?.toString().trim() ?? ''
+  const [a, b, c, d] = cyrb128(normalizedSeed)
+  const random = sfc32(a, b, c, d)
+  // Warm up the generator to disperse initial values
+  for (let i = 0; i < 12; i += 1) {
+    random()
+  }
+  let drawn = 0
+  const next = () => {
+    drawn += 1
+    return random()
+  }
+  // Values drawn so far, so a generator can be rebuilt at the same point in its sequence
+  next.getPosition = () => drawn
+  for (let i = 0; i < position; i += 1) {
+    next()
+  }
+  return next
+}
+
+export function getDamageStateForHealth(health) {
+  const normalized = Math.max(MIN_HEALTH, Math.min(1, health ?? 1))
+  for (const state of DAMAGE_STATES) {
+    if (normalized >= state.minHealth) {
+      return state
+    }
+  }
+  return DAMAGE_STATES[DAMAGE_STATES.length - 1]
+}
+
+export function getMaxSpeedForHealth(health, loadRatio = 0) {
+  const state = getDamageStateForHealth(health)
+  return MAX_FORWARD_SPEED * (1 - state.penalty) * (1 - clamp(loadRatio, 0, 1) * LOAD_SPEED_PENALTY)
+}
+
+export function getHoldLoad(hold) {
+  let load = 0
+  for (const [goodId, quantity] of Object.entries(hold?.stacks ?? {})) {
+    load += (getTradeGood(goodId)?.weight ?? 0) * quantity
+  }
+  return load
+}
+
+export function getHoldLoadRatio(hold) {
+  if (!hold?.capacity) {
+    return 0
+  }
+  return clamp(getHoldLoad(hold) / hold.capacity, 0, 1)
+}
+
+function updateWindState(wind, dt, random = Math.random) {
+  const next = {
+    direction: wind?.direction ?? 0,
+    strength: wind?.strength ?? WIND_MIN_STRENGTH,
+    targetDirection: wind?.targetDirection ?? wind?.direction ?? 0,
+    targetStrength: wind?.targetStrength ?? wind?.strength ?? WIND_MIN_STRENGTH,
+    changeTimer: wind?.changeTimer ?? 0,
+  }
+
+  next.changeTimer -= dt
+  if (next.changeTimer <= 0) {
+    const directionOffset = (random() - 0.5) * 2 * WIND_DIRECTION_VARIANCE
+    next.targetDirection = normalizeAngle(next.direction + directionOffset)
+    const strengthDelta = (random() - 0.5) * 0.45
+    next.targetStrength = clamp(
+      next.targetStrength + strengthDelta,
+      WIND_MIN_STRENGTH,
+      WIND_MAX_STRENGTH,
+    )
+    const interval = WIND_CHANGE_MIN + random() * (WIND_CHANGE_MAX - WIND_CHANGE_MIN)
+    next.changeTimer = interval
+  }
+
+  const directionDiff = shortestAngleDiff(next.targetDirection, next.direction)
+  next.direction = normalizeAngle(next.direction + directionDiff * dt * WIND_ADJUST_RATE)
+  const strengthDiff = next.targetStrength - next.strength
+  next.strength += strengthDiff * dt * WIND_ADJUST_RATE
+  next.strength = clamp(next.strength, WIND_MIN_STRENGTH, WIND_MAX_STRENGTH)
+
+  return next
+}
+
+export function sampleCurrent(field, x, y) {
+  let vx = 0
+  let vy = 0
+  if (!field) {
+    return { x: vx, y: vy }
+  }
+
+  for (const stream of field.streams) {
+    const dirX = Math.cos(stream.angle)
+    const dirY = Math.sin(stream.angle)
+    const along = (x - MAP_SIZE / 2) * dirX + (y - MAP_SIZE / 2) * dirY
+    const across = (x - MAP_SIZE / 2) * -dirY + (y - MAP_SIZE / 2) * dirX
+    const wave = (along / stream.wavelength) * TWO_PI + stream.phase
+    const centerline = stream.offset + stream.meander * Math.sin(wave)
+    const weight = Math.exp(-(((across - centerline) / stream.width) ** 2))
+    if (weight < 0.01) {
+      continue
+    }
+    // Follow the meander so the stream bends with its centreline
+    const slope = ((stream.meander * TWO_PI) / stream.wavelength) * Math.cos(wave)
+    const norm = Math.hypot(1, slope)
+    const flowX = (dirX - dirY * slope) / norm
+    const flowY = (dirY + dirX * slope) / norm
+    vx += flowX * stream.speed * weight
+    vy += flowY * stream.speed * weight
+  }
+
+  for (const channel of field.channels) {
+    const rx = x - channel.x
+    const ry = y - channel.y
+    const across = rx * channel.ux + ry * channel.uy
+    const along = rx * -channel.uy + ry * channel.ux
+    if (Math.abs(across) >= channel.halfWidth || Math.abs(along) >= channel.halfLength) {
+      continue
+    }
+    const weight = (1 - (across / channel.halfWidth) ** 2) * (1 - Math.abs(along) / channel.halfLength)
+    vx += channel.flowX * channel.speed * weight
+    vy += channel.flowY * channel.speed * weight
+  }
+
+  return { x: vx, y: vy }
+}
+
+export function getDaylight(time) {
+  const hours = (DAY_START_HOUR + (time / DAY_LENGTH_SECONDS) * 24) % 24
+  let index = 0
+  while (index < DAYLIGHT_KEYFRAMES.length - 2 && hours >= DAYLIGHT_KEYFRAMES[index + 1].hour) {
+    index += 1
+  }
+  const from = DAYLIGHT_KEYFRAMES[index]
+  const to = DAYLIGHT_KEYFRAMES[index + 1]
+  const t = clamp((hours - from.hour) / (to.hour - from.hour), 0, 1)
+
+  let phase = 'night'
+  if (hours >= 4.5 && hours < 7.5) {
+    phase = 'dawn'
+  } else if (hours >= 7.5 && hours < 17.5) {
+    phase = 'day'
+  } else if (hours >= 17.5 && hours < 20.5) {
+    phase = 'dusk'
+  }
+
+  const wholeHours = Math.floor(hours)
+  const minutes = Math.floor((hours - wholeHours) * 60)
+  return {
+    hours,
+    phase,
+    label: `${String(wholeHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+    darkness: lerp(from.darkness, to.darkness, t),
+    tint: from.tint.map((channel, i) => Math.round(lerp(channel, to.tint[i], t))),
+  }
+}
+
+export function getTideLevel(tides, time) {
+  return Math.sin((time / TIDE_PERIOD_SECONDS) * Math.PI * 2 + (tides?.phase ?? 0))
+}
+
+// How far past the waterline the foreshore dries out at the current level
+export function getTideFlatWidth(level) {
+  return TIDE_FLAT_WIDTH * Math.max(0, -level)
+}
+
+function isBerthAfloat(tides, settlementId, level) {
+  const minimumLevel = tides?.berths?.[settlementId]
+  return minimumLevel == null || level >= minimumLevel
+}
+
+function getStormIntensity(cell) {
+  const progress = cell.age / cell.lifetime
+  if (progress < 0.25) {
+    return progress / 0.25
+  }
+  if (progress > 0.65) {
+    return Math.max(0, (1 - progress) / 0.35)
+  }
+  return 1
+}
+
+// Storms form at random over the map, ride the regional wind, swell and blow themselves out
+function updateStorms(storms, dt, random = Math.random, wind = null) {
+  const cells = []
+  for (const cell of storms.cells) {
+    const age = cell.age + dt
+    const x = cell.x + cell.vx * dt
+    const y = cell.y + cell.vy * dt
+    const margin = cell.maxRadius
+    const offMap = x < -margin || y < -margin || x > MAP_SIZE + margin || y > MAP_SIZE + margin
+    if (age >= cell.lifetime || offMap) {
+      continue
+    }
+    const grown = { ...cell, age, x, y }
+    grown.intensity = getStormIntensity(grown) * cell.peak
+    grown.radius = cell.maxRadius * (0.45 + 0.55 * getStormIntensity(grown))
+    cells.push(grown)
+  }
+
+  let { spawnTimer, nextId } = storms
+  spawnTimer -= dt
+  if (spawnTimer <= 0) {
+    spawnTimer = STORM_SPAWN_MIN + random() * (STORM_SPAWN_MAX - STORM_SPAWN_MIN)
+    if (cells.length < STORM_MAX_CELLS) {
+      const heading = (wind ? wind.direction + Math.PI : random() * TWO_PI) + (random() - 0.5) * 0.8
+      const speed = STORM_DRIFT_MIN + random() * (STORM_DRIFT_MAX - STORM_DRIFT_MIN)
+      const maxRadius = STORM_RADIUS_MIN + random() * (STORM_RADIUS_MAX - STORM_RADIUS_MIN)
+      const lifetime = STORM_LIFETIME_MIN + random() * (STORM_LIFETIME_MAX - STORM_LIFETIME_MIN)
+      const vx = Math.cos(heading) * speed
+      const vy = Math.sin(heading) * speed
+      // Start upstream of a random point so the storm spends its life crossing the islands
+      cells.push({
+        id: nextId,
+        x: clamp(random() * MAP_SIZE - vx * lifetime * 0.4, 0, MAP_SIZE),
+        y: clamp(random() * MAP_SIZE - vy * lifetime * 0.4, 0, MAP_SIZE),
+        vx,
+        vy,
+        maxRadius,
+        radius: maxRadius * 0.45,
+        peak: 0.7 + random() * 0.3,
+        intensity: 0,
+        age: 0,
+        lifetime,
+        spin: random() < 0.5 ? -1 : 1,
+      })
+      nextId += 1
+    }
+  }
+
+  return { cells, nextId, spawnTimer }
+}
+
+export function sampleStorms(storms, x, y) {
+  let strongest = null
+  let intensity = 0
+  for (const cell of storms?.cells ?? []) {
+    const distance = Math.hypot(x - cell.x, y - cell.y)
+    if (distance >= cell.radius) {
+      continue
+    }
+    const local = cell.intensity * (1 - (distance / cell.radius) ** 2)
+    if (local > intensity) {
+      intensity = local
+      strongest = cell
+    }
+  }
+  return { intensity, cell: strongest }
+}
+
+export function applyStormToWind(wind, storm, x, y) {
+  if (!wind || !storm?.cell || storm.intensity <= 0) {
+    return wind ? { ...wind, storm: 0 } : wind
+  }
+  // Winds curl around the storm's eye
+  const cell = storm.cell
+  const inward = Math.atan2(cell.y - y, cell.x - x)
+  const swirlDirection = inward + cell.spin * (Math.PI / 2 + STORM_SWIRL)
+  const direction = normalizeAngle(
+    wind.direction + shortestAngleDiff(swirlDirection, wind.direction) * storm.intensity,
+  )
+  return {
+    ...wind,
+    direction,
+    strength: clamp(lerp(wind.strength ?? 0, 1, storm.intensity), 0, 1),
+    storm: storm.intensity,
+  }
+}
+
+// Local wind at a world position: regional swirls, lee shadows and gap acceleration
+export function sampleWindField(field, wind, x, y, time = 0) {
+  if (!wind) {
+    return null
+  }
+  if (!field) {
+    return { ...wind, shelter: 0, funnel: 0 }
+  }
+
+  let direction = wind.direction ?? 0
+  let strengthFactor = 1
+  for (const swell of field.swells) {
+    const along = x * Math.cos(swell.angle) + y * Math.sin(swell.angle)
+    const phase = (along / swell.wavelength) * TWO_PI + swell.phase + time * swell.drift
+    direction += (Math.sin(phase) * WIND_FIELD_DIRECTION_VARIANCE) / field.swells.length
+    strengthFactor += (Math.cos(phase * 0.7) * WIND_FIELD_STRENGTH_VARIANCE) / field.swells.length
+  }
+
+  // Wind direction is where the wind comes from, so the lee lies opposite it
+  const downwindX = -Math.cos(direction)
+  const downwindY = -Math.sin(direction)
+  let shelter = 0
+  for (const island of field.shelters) {
+    const rx = x - island.x
+    const ry = y - island.y
+    const along = rx * downwindX + ry * downwindY
+    const reach = island.radius * WIND_SHADOW_LENGTH
+    if (along <= 0 || along >= reach) {
+      continue
+    }
+    const across = Math.abs(rx * -downwindY + ry * downwindX)
+    const width = island.radius * (1 + (along / reach) * 0.5)
+    if (across >= width) {
+      continue
+    }
+    const shade = (1 - along / reach) * (1 - (across / width) ** 2)
+    shelter = Math.max(shelter, shade)
+  }
+
+  let funnel = 0
+  let steer = 0
+  for (const channel of field.channels) {
+    const rx = x - channel.x
+    const ry = y - channel.y
+    const across = rx * channel.ux + ry * channel.uy
+    const along = rx * -channel.uy + ry * channel.ux
+    if (Math.abs(across) >= channel.halfWidth || Math.abs(along) >= channel.halfLength) {
+      continue
+    }
+    const alignment = Math.cos(direction - channel.axis)
+    const weight =
+      (1 - (across / channel.halfWidth) ** 2) *
+      (1 - Math.abs(along) / channel.halfLength) *
+      Math.abs(alignment) *
+      channel.narrowness
+    if (weight > funnel) {
+      funnel = weight
+      const channelDirection = alignment >= 0 ? channel.axis : channel.axis + Math.PI
+      steer = shortestAngleDiff(channelDirection, direction) * weight * WIND_FUNNEL_STEER
+    }
+  }
+
+  strengthFactor *= (1 - WIND_SHADOW_STRENGTH * shelter) * (1 + WIND_FUNNEL_BOOST * funnel)
+  return {
+    ...wind,
+    direction: normalizeAngle(direction + steer),
+    strength: clamp((wind.strength ?? 0) * strengthFactor, 0, 1),
+    shelter,
+    funnel,
+  }
+}
+
+// Keyed by apparent wind angle, which sits further forward than the true wind once under way
+const WIND_ANGLE_PROFILE = [
+  { angle: 0, multiplier: 0 },
+  { angle: 15, multiplier: 0 },
+  { angle: 28, multiplier: 0.56 },
+  { angle: 50, multiplier: 0.86 },
+  { angle: 80, multiplier: 1.05 },
+  { angle: 115, multiplier: 1.18 },
+  { angle: 150, multiplier: 1.22 },
+  { angle: 180, multiplier: 1.35 },
+]
+
+export function getWindMultiplierForAngle(angleDegrees) {
+  const clampedAngle = clamp(angleDegrees, 0, 180)
+  for (let i = 0; i < WIND_ANGLE_PROFILE.length - 1; i += 1) {
+    const current = WIND_ANGLE_PROFILE[i]
+    const next = WIND_ANGLE_PROFILE[i + 1]
+    if (clampedAngle >= current.angle && clampedAngle <= next.angle) {
+      const range = next.angle - current.angle || 1
+      const t = (clampedAngle - current.angle) / range
+      return lerp(current.multiplier, next.multiplier, t)
+    }
+  }
+  const last = WIND_ANGLE_PROFILE[WIND_ANGLE_PROFILE.length - 1]
+  return last.multiplier
+}
+
+// Wind felt on deck: the true wind plus the headwind made by the ship's own way
+function getApparentWind(wind, heading, speed) {
+  const strength = clamp(wind?.strength ?? 0, 0, 1)
+  const boatWind = (Math.max(0, speed) / MAX_FORWARD_SPEED) * APPARENT_WIND_BOAT_SHARE
+  // Both vectors point to where the wind comes from
+  const fromX = Math.cos(wind?.direction ?? 0) * strength + Math.cos(heading) * boatWind
+  const fromY = Math.sin(wind?.direction ?? 0) * strength + Math.sin(heading) * boatWind
+  const direction = normalizeAngle(Math.atan2(fromY, fromX))
+  return {
+    direction,
+    strength: Math.hypot(fromX, fromY),
+    angle: radiansToDegrees(Math.abs(shortestAngleDiff(heading, direction))),
+  }
+}
+
+function getHeelingForce(apparentStrength, apparentAngle) {
+  return (apparentStrength ?? 0) * Math.abs(Math.sin(degreesToRadians(apparentAngle ?? 0)))
+}
+
+// Most canvas that keeps the heel comfortable in the wind last felt on deck
+function getSafeSailLevel(boatWind) {
+  const force = getHeelingForce(boatWind?.apparentStrength, boatWind?.apparentAngle)
+  return force > 0 ? clamp(HEEL_EXCESS_DEGREES / (force * HEEL_MAX_DEGREES), 0.2, 1) : 1
+}
+
+// Boom angle off the centreline that best suits the wind, roughly half the wind angle
+export function getIdealSheetAngle(windAngleDegrees) {
+  return clamp(windAngleDegrees / 2, TRIM_MIN_DEGREES, TRIM_MAX_DEGREES)
+}
+
+function getTrimEfficiency(sheetAngle, windAngleDegrees) {
+  const error = Math.abs(sheetAngle - getIdealSheetAngle(windAngleDegrees)) / TRIM_TOLERANCE_DEGREES
+  return Math.max(TRIM_MIN_EFFICIENCY, 1 - error * error)
+}
+
+export function normalizeAngle(angle) {
+  return ((angle % TWO_PI) + TWO_PI) % TWO_PI
+}
+
+export function shortestAngleDiff(a, b) {
+  const wrapped = normalizeAngle(a - b + Math.PI)
+  return wrapped - Math.PI
+}
+
+export function degreesToRadians(degrees) {
+  return (degrees * Math.PI) / 180
+}
+
+export function radiansToDegrees(radians) {
+  return (radians * 180) / Math.PI
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t
+}
+
+export function getShallowsAt(point, shallows) {
+  for (const feature of shallows ?? []) {
+    if (Math.hypot(point.x - feature.x, point.y - feature.y) > feature.radius) {
+      continue
+    }
+    if (isPointInsidePolygon({ x: point.x - feature.x, y: point.y - feature.y }, feature.outline)) {
+      return feature
+    }
+  }
+  return null
+}
+
+export function getTradeGood(goodId) {
+  return TRADE_GOODS.find((good) => good.id === goodId) ?? null
+}
+
+function isPressed(set, keys) {
+  return keys.some((key) => set.has(key))
+}
+
+export function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
+
+function getBoatCollisionSamples(boat) {
+  const samples = [{ x: boat.x, y: boat.y }]
+  const cos = Math.cos(boat.heading)
+  const sin = Math.sin(boat.heading)
+
+  for (let i = 0; i < BOAT_COLLISION_OUTLINE.length; i += 1) {
+    const offset = BOAT_COLLISION_OUTLINE[i]
+    const next = BOAT_COLLISION_OUTLINE[(i + 1) % BOAT_COLLISION_OUTLINE.length]
+
+    const rotatedX = boat.x + offset.x * cos - offset.y * sin
+    const rotatedY = boat.y + offset.x * sin + offset.y * cos
+    samples.push({ x: rotatedX, y: rotatedY })
+
+    const mid = { x: (offset.x + next.x) / 2, y: (offset.y + next.y) / 2 }
+    const midX = boat.x + mid.x * cos - mid.y * sin
+    const midY = boat.y + mid.x * sin + mid.y * cos
+    samples.push({ x: midX, y: midY })
+  }
+
+  return samples
+}
+
+export function isPointInsidePolygon(point, polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const xi = polygon[i].x
+    const yi = polygon[i].y
+    const xj = polygon[j].x
+    const yj = polygon[j].y
+
+    const intersects =
+      yi > point.y !== yj > point.y &&
+      point.x < ((xj - xi) * (point.y - yi)) / ((yj - yi) || 1e-7) + xi
+
+    if (intersects) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+function getDistanceToPolygon(point, polygon) {
+  if (!polygon?.length) {
+    return {
+      distance: Infinity,
+      signedDistance: Infinity,
+      closestPoint: point,
+    }
+  }
+
+  let closestPoint = polygon[0]
+  let closestDistSq = Infinity
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[j]
+    const b = polygon[i]
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const lengthSq = dx * dx + dy * dy
+
+    let t = 0
+    if (lengthSq > 0) {
+      t = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq
+      t = Math.max(0, Math.min(1, t))
+    }
+
+    const closestX = a.x + dx * t
+    const closestY = a.y + dy * t
+    const deltaX = point.x - closestX
+    const deltaY = point.y - closestY
+    const distSq = deltaX * deltaX + deltaY * deltaY
+
+    if (distSq < closestDistSq) {
+      closestDistSq = distSq
+      closestPoint = { x: closestX, y: closestY }
+    }
+  }
+
+  const inside = isPointInsidePolygon(point, polygon)
+  const distance = Math.sqrt(closestDistSq)
+  return {
+    distance,
+    signedDistance: inside ? -distance : distance,
+    closestPoint,
+  }
+}
+
+export function getPointLandProximity(point, islands, tideLevel = 0) {
+  // Low water dries out the foreshore and pushes the shallows further from the coast
+  const flatWidth = getTideFlatWidth(tideLevel)
+  const shoalWidth = COLLISION_EDGE_THRESHOLD + TIDE_SHOAL_WIDTH * Math.max(0, -tideLevel)
+  let best = {
+    zone: 'sea',
+    priority: -1,
+    distance: Infinity,
+    signedDistance: Infinity,
+    nearestPoint: null,
+    normal: { x: 0, y: 0 },
+    islandId: null,
+    penetration: 0,
+    structureType: null,
+  }
+
+  for (const island of islands) {
+    const localPoint = { x: point.x - island.x, y: point.y - island.y }
+    const approxDistanceFromCenter = Math.hypot(localPoint.x, localPoint.y) - island.radius
+
+    if (best.priority >= 0 && approxDistanceFromCenter > best.distance + MAX_BOAT_EXTENT) {
+      continue
+    }
+
+    const polygons = [
+      { polygon: island.coastline, type: 'coastline' },
+      ...((island.structures ?? []).map((structure) => ({
+        polygon: structure.polygon,
+        type: structure.type,
+      })) ?? []),
+    ]
+
+    for (const { polygon, type } of polygons) {
+      if (!polygon?.length) {
+        continue
+      }
+
+      const {
+        distance,
+        signedDistance: waterlineDistance,
+        closestPoint,
+      } = getDistanceToPolygon(localPoint, polygon)
+      if (!Number.isFinite(distance)) {
+        continue
+      }
+      const isCoast = type === 'coastline'
+      const signedDistance = isCoast ? waterlineDistance - flatWidth : waterlineDistance
+
+      // The surface normal always points away from the land, out towards open water
+      const worldClosest = { x: closestPoint.x + island.x, y: closestPoint.y + island.y }
+      const side = waterlineDistance < 0 ? -1 : 1
+      let normalX = (point.x - worldClosest.x) * side
+      let normalY = (point.y - worldClosest.y) * side
+      let length = Math.hypot(normalX, normalY)
+      if (length === 0) {
+        normalX = localPoint.x
+        normalY = localPoint.y
+        length = Math.hypot(normalX, normalY) || 1
+      }
+      const normal = { x: normalX / length, y: normalY / length }
+
+      let zone = 'sea'
+      if (signedDistance <= 0) {
+        zone = 'land'
+      } else if (signedDistance <= (isCoast ? shoalWidth : COLLISION_EDGE_THRESHOLD)) {
+        zone = 'shore'
+      }
+
+      const priority = zone === 'land' ? 2 : zone === 'shore' ? 1 : 0
+      const isExposedFlat = isCoast && zone === 'land' && waterlineDistance > 0
+      const absoluteDistance = Math.abs(signedDistance)
+
+      if (
+        priority > best.priority ||
+        (priority === best.priority && absoluteDistance < best.distance)
+      ) {
+        best = {
+          zone,
+          priority,
+          distance: absoluteDistance,
+          signedDistance,
+          nearestPoint: worldClosest,
+          normal,
+          islandId: island.id,
+          penetration: signedDistance < 0 ? -signedDistance : 0,
+          structureType: isExposedFlat ? 'flat' : type || null,
+        }
+      }
+    }
+  }
+
+  return best
+}
+
+function getBoatSeaState(boat, islands, tideLevel = 0, shallows = []) {
+  const samples = getBoatCollisionSamples(boat)
+  let nearest = {
+    zone: 'sea',
+    distance: Infinity,
+    signedDistance: Infinity,
+    nearestPoint: null,
+    normal: { x: 0, y: 0 },
+    islandId: null,
+    penetration: 0,
+    structureType: null,
+  }
+  let finalZone = 'sea'
+  let deepestPenetration = null
+
+  for (const sample of samples) {
+    const proximity = getPointLandProximity(sample, islands, tideLevel)
+    if (!proximity) {
+      continue
+    }
+
+    if (proximity.zone === 'land') {
+      if (!deepestPenetration || proximity.penetration > deepestPenetration.penetration) {
+        deepestPenetration = proximity
+      }
+    } else if (proximity.zone === 'shore' && finalZone !== 'land') {
+      finalZone = 'shore'
+    }
+
+    if (proximity.zone === 'land') {
+      finalZone = 'land'
+    }
+
+    const isCloser = proximity.distance < nearest.distance
+    if (isCloser || nearest.nearestPoint == null) {
+      nearest = { ...proximity }
+    }
+  }
+
+  // Shallow ground only matters while the hull is still afloat
+  let shallowsFeature = null
+  if (!deepestPenetration) {
+    for (const sample of samples) {
+      shallowsFeature = getShallowsAt(sample, shallows)
+      if (shallowsFeature) {
+        finalZone = 'shallows'
+        break
+      }
+    }
+  }
+
+  const resolved = deepestPenetration ?? nearest
+  return {
+    zone: deepestPenetration ? 'land' : finalZone,
+    distance: resolved.distance,
+    signedDistance: deepestPenetration ? -deepestPenetration.penetration : resolved.signedDistance,
+    nearestPoint: resolved.nearestPoint,
+    normal: resolved.normal,
+    islandId: resolved.islandId,
+    penetration: deepestPenetration?.penetration ?? 0,
+    structureType: resolved.structureType ?? null,
+    shallowsType: shallowsFeature?.type ?? null,
+  }
+}
+
+function getNavigationCell(grid, point) {
+  return {
+    column: clamp(Math.floor(point.x / grid.cellSize), 0, grid.columns - 1),
+    row: clamp(Math.floor(point.y / grid.cellSize), 0, grid.rows - 1),
+  }
+}
+
+function isNavigationCellOpen(grid, column, row) {
+  if (column < 0 || row < 0 || column >= grid.columns || row >= grid.rows) {
+    return false
+  }
+  return grid.blocked[row * grid.columns + column] === 0
+}
+
+function findNearestOpenCell(grid, cell) {
+  if (isNavigationCellOpen(grid, cell.column, cell.row)) {
+    return cell
+  }
+  const maxRadius = Math.max(grid.columns, grid.rows)
+  for (let radius = 1; radius < maxRadius; radius += 1) {
+    let best = null
+    let bestDistance = Infinity
+    for (let dy = -radius; dy <= radius; dy += 1) {
+      for (let dx = -radius; dx <= radius; dx += 1) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) {
+          continue
+        }
+        const column = cell.column + dx
+        const row = cell.row + dy
+        const distance = dx * dx + dy * dy
+        if (distance < bestDistance && isNavigationCellOpen(grid, column, row)) {
+          best = { column, row }
+          bestDistance = distance
+        }
+      }
+    }
+    if (best) {
+      return best
+    }
+  }
+  return null
+}
+
+function hasNavigationLineOfSight(grid, from, to) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y)
+  const steps = Math.max(1, Math.ceil(distance / (grid.cellSize * 0.5)))
+  for (let i = 1; i < steps; i += 1) {
+    const t = i / steps
+    const cell = getNavigationCell(grid, {
+      x: lerp(from.x, to.x, t),
+      y: lerp(from.y, to.y, t),
+    })
+    if (
+      !isNavigationCellOpen(grid, cell.column, cell.row) ||
+      grid.hazard?.[cell.row * grid.columns + cell.column]
+    ) {
+      return false
+    }
+  }
+  return true
+}
+
+function findNavigationPath(grid, start, goal) {
+  const startCell = findNearestOpenCell(grid, getNavigationCell(grid, start))
+  const goalCell = findNearestOpenCell(grid, getNavigationCell(grid, goal))
+  if (!startCell || !goalCell) {
+    return null
+  }
+
+  const { columns } = grid
+  const startIndex = startCell.row * columns + startCell.column
+  const goalIndex = goalCell.row * columns + goalCell.column
+  const cost = new Float32Array(grid.columns * grid.rows).fill(Infinity)
+  const cameFrom = new Int32Array(grid.columns * grid.rows).fill(-1)
+  const closed = new Uint8Array(grid.columns * grid.rows)
+  const heuristic = (index) => {
+    const dx = Math.abs((index % columns) - goalCell.column)
+    const dy = Math.abs(Math.floor(index / columns) - goalCell.row)
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)
+  }
+
+  // Binary min-heap of [priority, index] pairs
+  const heap = []
+  const push = (priority, index) => {
+    heap.push([priority, index])
+    let i = heap.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (heap[parent][0] <= heap[i][0]) break
+      ;[heap[parent], heap[i]] = [heap[i], heap[parent]]
+      i = parent
+    }
+  }
+  const pop = () => {
+    const top = heap[0]
+    const last = heap.pop()
+    if (heap.length) {
+      heap[0] = last
+      let i = 0
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right
+        if (smallest === i) break
+        ;[heap[smallest], heap[i]] = [heap[i], heap[smallest]]
+        i = smallest
+      }
+    }
+    return top
+  }
+
+  cost[startIndex] = 0
+  push(heuristic(startIndex), startIndex)
+
+  while (heap.length) {
+    const [, index] = pop()
+    if (closed[index]) {
+      continue
+    }
+    if (index === goalIndex) {
+      break
+    }
+    closed[index] = 1
+    const column = index % columns
+    const row = Math.floor(index / columns)
+
+    for (let dy = -1; dy <= 1; dy += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        if (dx === 0 && dy === 0) {
+          continue
+        }
+        const nextColumn = column + dx
+        const nextRow = row + dy
+        if (!isNavigationCellOpen(grid, nextColumn, nextRow)) {
+          continue
+        }
+        // Do not cut diagonally between two blocked cells
+        if (dx !== 0 && dy !== 0 && (!isNavigationCellOpen(grid, column + dx, row) || !isNavigationCellOpen(grid, column, row + dy))) {
+          continue
+        }
+        const nextIndex = nextRow * columns + nextColumn
+        const stepCost =
+          (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) *
+          (grid.hazard?.[nextIndex] ? SHALLOWS_NAVIGATION_COST : 1)
+        const nextCost = cost[index] + stepCost
+        if (nextCost < cost[nextIndex]) {
+          cost[nextIndex] = nextCost
+          cameFrom[nextIndex] = index
+          push(nextCost + heuristic(nextIndex), nextIndex)
+        }
+      }
+    }
+  }
+
+  if (startIndex !== goalIndex && cameFrom[goalIndex] === -1) {
+    return null
+  }
+
+  const cells = []
+  for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+    cells.push({
+      x: ((index % columns) + 0.5) * grid.cellSize,
+      y: (Math.floor(index / columns) + 0.5) * grid.cellSize,
+    })
+    if (index === startIndex) {
+      break
+    }
+  }
+  cells.reverse()
+
+  const path = [{ x: start.x, y: start.y }, ...cells, { x: goal.x, y: goal.y }]
+  const smoothed = [path[0]]
+  let anchorIndex = 0
+  while (anchorIndex < path.length - 1) {
+    let furthest = anchorIndex + 1
+    for (let i = path.length - 1; i > anchorIndex + 1; i -= 1) {
+      if (hasNavigationLineOfSight(grid, path[anchorIndex], path[i])) {
+        furthest = i
+        break
+      }
+    }
+    smoothed.push(path[furthest])
+    anchorIndex = furthest
+  }
+  return smoothed
+}
+
+function getSettlementApproach(island) {
+  const dock = island.settlement?.dock
+  if (!dock) {
+    return null
+  }
+  return {
+    approach: { x: island.x + dock.approachPoint.x, y: island.y + dock.approachPoint.y },
+    berth: { x: island.x + dock.berthPoint.x, y: island.y + dock.berthPoint.y },
+  }
+}
+
+// A ship lying alongside sits inside the clearance the grid keeps round land, so the nearest open
+// cell can lie across the dock itself. Until she is out level with the dock's approach point she
+// stands out towards it instead, far enough to her own side that her hull clears the pilings
+function getAutopilotDeparture(grid, boat, islands) {
+  const cell = getNavigationCell(grid, boat)
+  if (isNavigationCellOpen(grid, cell.column, cell.row)) {
+    return null
+  }
+  let berthIsland = null
+  let nearestDistance = DOCKING_DISTANCE
+  for (const island of islands) {
+    const target = getSettlementApproach(island)
+    if (!target) {
+      continue
+    }
+    const distance = Math.hypot(target.berth.x - boat.x, target.berth.y - boat.y)
+    if (distance < nearestDistance) {
+      berthIsland = island
+      nearestDistance = distance
+    }
+  }
+  if (!berthIsland) {
+    return null
+  }
+  const { approach } = getSettlementApproach(berthIsland)
+  const { direction, width } = berthIsland.settlement.dock
+  const ahead = (boat.x - approach.x) * direction.x + (boat.y - approach.y) * direction.y
+  if (ahead >= 0) {
+    return null
+  }
+  const offset = (boat.y - approach.y) * direction.x - (boat.x - approach.x) * direction.y
+  const side = offset < 0 ? -1 : 1
+  const clearance = side * Math.max(Math.abs(offset), width * 1.5)
+  return {
+    x: approach.x - direction.y * clearance,
+    y: approach.y + direction.x * clearance,
+    side,
+    // Square off the dock on her own side, where she swings her bow first if it faces the land
+    abeam: Math.atan2(direction.x * side, -direction.y * side),
+  }
+}
+
+export function planAutopilotRoute(grid, boat, island, islands = []) {
+  const target = getSettlementApproach(island)
+  if (!grid || !target) {
+    return null
+  }
+  const departure = getAutopilotDeparture(grid, boat, islands)
+  const path = findNavigationPath(grid, departure ?? boat, target.approach)
+  if (!path) {
+    return null
+  }
+  return departure ? [{ x: departure.x, y: departure.y }, ...path.slice(1)] : path.slice(1)
+}
+
+function updateAutopilot(boat, wind, dt, grid, islands, dockingRange = DOCKING_DISTANCE) {
+  const autopilot = { ...boat.autopilot, replanTimer: (boat.autopilot.replanTimer ?? 0) + dt }
+  const island = islands.find((candidate) => candidate.settlement?.id === autopilot.settlementId)
+  const target = island ? getSettlementApproach(island) : null
+  if (!target) {
+    return { autopilot: null }
+  }
+
+  if (autopilot.replanTimer >= AUTOPILOT_REPLAN_SECONDS) {
+    autopilot.replanTimer = 0
+    const waypoints = planAutopilotRoute(grid, boat, island, islands)
+    if (waypoints?.length) {
+      autopilot.waypoints = waypoints
+      autopilot.index = 0
+    }
+  }
+
+  const waypoints = autopilot.waypoints ?? []
+  if (!waypoints.length) {
+    return { autopilot: null }
+  }
+
+  let index = Math.min(autopilot.index ?? 0, waypoints.length - 1)
+  while (
+    index < waypoints.length - 1 &&
+    Math.hypot(waypoints[index].x - boat.x, waypoints[index].y - boat.y) < AUTOPILOT_WAYPOINT_RADIUS
+  ) {
+    index += 1
+  }
+  autopilot.index = index
+
+  const waypoint = waypoints[index]
+  const finalWaypoint = waypoints[waypoints.length - 1]
+  const distanceToFinal = Math.hypot(finalWaypoint.x - boat.x, finalWaypoint.y - boat.y)
+  const distanceToBerth = Math.hypot(target.berth.x - boat.x, target.berth.y - boat.y)
+  if (
+    index === waypoints.length - 1 &&
+    distanceToFinal < AUTOPILOT_ARRIVAL_RADIUS &&
+    distanceToBerth < dockingRange
+  ) {
+    return { autopilot: null, arrived: true }
+  }
+
+  // Still inside the clearance round her berth: stand out to the approach point under short canvas
+  const departure = getAutopilotDeparture(grid, boat, islands)
+  const mark = departure ?? waypoint
+  let desiredHeading = Math.atan2(mark.y - boat.y, mark.x - boat.x)
+  let tackDirection = boat.tackDirection || 1
+  let isTacking = false
+
+  if (wind && (wind.strength ?? 0) > 0.05) {
+    const offset = shortestAngleDiff(desiredHeading, wind.direction)
+    if (Math.abs(offset) < degreesToRadians(NO_GO_ANGLE_DEGREES)) {
+      // Beat upwind on the tack nearest the course, going about once the mark crosses the bow
+      isTacking = true
+      if (departure) {
+        // Beating out of harbor, she keeps to the tack that leans away from the dock
+        tackDirection = departure.side
+      } else if (offset * tackDirection < -degreesToRadians(AUTOPILOT_TACK_HYSTERESIS_DEGREES)) {
+        tackDirection *= -1
+      }
+      desiredHeading = wind.direction + tackDirection * degreesToRadians(TACK_TARGET_DEGREES)
+    }
+  }
+
+  let headingDiff = shortestAngleDiff(desiredHeading, boat.heading)
+  let sailTarget = distanceToFinal < AUTOPILOT_SLOWDOWN_DISTANCE ? 0.35 : 0.9
+  if (departure) {
+    if (Math.abs(headingDiff) > Math.PI / 2) {
+      headingDiff = shortestAngleDiff(departure.abeam, boat.heading)
+    }
+    // While she swings she only gathers way with her bow pointing off what she lies against
+    const normal = boat.landStatus?.normal ?? { x: 0, y: 0 }
+    const bowClearance = Math.cos(boat.heading) * normal.x + Math.sin(boat.heading) * normal.y
+    if (Math.abs(headingDiff) < degreesToRadians(AUTOPILOT_DEPARTURE_TURN_DEGREES)) {
+      sailTarget = AUTOPILOT_DEPARTURE_SAIL
+    } else {
+      sailTarget = bowClearance > 0.3 ? AUTOPILOT_DEPARTURE_SWING_SAIL : 0
+    }
+  }
+  return {
+    autopilot,
+    tackDirection,
+    isTacking,
+    left: headingDiff < -AUTOPILOT_HEADING_TOLERANCE,
+    right: headingDiff > AUTOPILOT_HEADING_TOLERANCE,
+    sailTarget,
+  }
+}
+
+function updateWaves(waves, dt) {
+  for (const wave of waves) {
+    wave.phase += dt * wave.speed * 0.4
+    wave.x = (wave.x + Math.cos(wave.phase) * dt * wave.speed) % MAP_SIZE
+    wave.y = (wave.y + Math.sin(wave.phase * 0.6) * dt * wave.speed) % MAP_SIZE
+
+    if (wave.x < 0) wave.x += MAP_SIZE
+    if (wave.y < 0) wave.y += MAP_SIZE
+  }
+}
+
+// Advances the ship by one step. context carries the simulation time, the storms, the keys held
+// down, the auto-trim setting and the world the ship sails through
+function stepBoat(boat, dt, regionalWind, context) {
+  const { time, storms, keys, isAutoTrimEnabled, world } = context
+  const { islands, shallows, navigationGrid, windField, currentField, tides } = world
+  const current = { ...boat }
+  const storm = regionalWind ? sampleStorms(storms, current.x, current.y) : null
+  const wind = applyStormToWind(
+    sampleWindField(windField, regionalWind, current.x, current.y, time),
+    storm,
+    current.x,
+    current.y,
+  )
+  const loadRatio = getHoldLoadRatio(current.hold)
+  let maxSpeedForHealth = getMaxSpeedForHealth(current.health, loadRatio)
+  const commands = {
+    forward: isPressed(keys, controlKeys.forward),
+    backward: isPressed(keys, controlKeys.backward),
+    left: isPressed(keys, controlKeys.left),
+    right: isPressed(keys, controlKeys.right),
+  }
+
+  // After a knockdown the crew will not set sail again until the helm lets go of the sail key
+  if (current.sailLocked) {
+    if (commands.forward) {
+      commands.forward = false
+    } else {
+      current.sailLocked = false
+    }
+  }
+
+  let autopilotTacking = false
+  if (current.autopilot) {
+    const dockingRange =
+      DOCKING_DISTANCE * lerp(1, NIGHT_DOCKING_RANGE_FACTOR, getDaylight(time).darkness)
+    const pilot = updateAutopilot(current, wind, dt, navigationGrid, islands, dockingRange)
+    current.autopilot = pilot.autopilot
+    if (pilot.arrived) {
+      current.sailTarget = 0
+      if (current.anchorState === 'stowed') {
+        current.anchorState = 'dropping'
+        current.anchorProgress = 0
+      }
+    } else if (pilot.autopilot) {
+      // The autopilot reefs rather than let her lie over too far
+      current.sailTarget = Math.min(pilot.sailTarget, getSafeSailLevel(current.wind))
+      current.tackDirection = pilot.tackDirection
+      autopilotTacking = pilot.isTacking
+      commands.left = pilot.left
+      commands.right = pilot.right
+    }
+  }
+
+  if (commands.forward) {
+    current.sailTarget = clamp(current.sailTarget + dt * 0.7, 0, 1)
+  }
+
+  if (commands.backward) {
+    current.sailTarget = clamp(current.sailTarget - dt * 0.7, 0, 1)
+  }
+
+  const sailDiff = current.sailTarget - current.sailLevel
+  if (Math.abs(sailDiff) > 0.0001) {
+    const sailChangeRate = 1.6
+    const delta = Math.sign(sailDiff) * Math.min(Math.abs(sailDiff), sailChangeRate * dt)
+    current.sailLevel = clamp(current.sailLevel + delta, 0, 1)
+  }
+
+  const attemptingToMove =
+    commands.forward || commands.left || commands.right || Boolean(current.autopilot)
+  const movingSpeedThreshold = 6
+  const isMoving = current.speed > movingSpeedThreshold
+  const anchorBlocking = ['dropping', 'anchored', 'weighing'].includes(current.anchorState)
+
+  if (!anchorBlocking && !isMoving && !attemptingToMove) {
+    current.idleTime += dt
+  } else if (attemptingToMove || isMoving) {
+    current.idleTime = 0
+  }
+
+  if (current.anchorState === 'stowed' && current.idleTime >= 3) {
+    current.anchorState = 'dropping'
+    current.anchorProgress = 0
+  }
+
+  if (current.anchorState === 'dropping') {
+    current.anchorProgress = Math.min(1, current.anchorProgress + dt)
+    current.speed = Math.max(0, current.speed - BRAKE_DECELERATION * dt)
+    if (current.anchorProgress >= 1) {
+      current.anchorState = 'anchored'
+    }
+  } else if (current.anchorState === 'anchored') {
+    current.anchorProgress = 1
+    current.speed = 0
+    if (attemptingToMove && !current.repairJob) {
+      current.anchorState = 'weighing'
+      current.anchorProgress = 0
+    }
+  } else if (current.anchorState === 'weighing') {
+    current.anchorProgress = Math.min(1, current.anchorProgress + dt)
+    current.speed = 0
+    if (current.anchorProgress >= 1) {
+      current.anchorState = 'stowed'
+      current.anchorProgress = 0
+      current.idleTime = 0
+    }
+  }
+
+  const canAccelerate = !['dropping', 'anchored', 'weighing'].includes(current.anchorState)
+  const canSteer = !['anchored', 'weighing'].includes(current.anchorState)
+
+  let windMultiplier = 1
+  let relativeWindAngle = 0
+  let relativeWindDegrees = 0
+  let isTackingIntoWind = false
+  let apparent = null
+
+  if (wind) {
+    const windStrength = clamp(wind.strength ?? 0, 0, 1)
+    relativeWindAngle = Math.abs(shortestAngleDiff(current.heading, wind.direction))
+    relativeWindDegrees = radiansToDegrees(relativeWindAngle)
+
+    if (
+      canSteer &&
+      canAccelerate &&
+      windStrength > 0.05 &&
+      relativeWindDegrees < NO_GO_ANGLE_DEGREES
+    ) {
+      isTackingIntoWind = true
+      const manualBias =
+        commands.left && !commands.right ? -1 : commands.right && !commands.left ? 1 : 0
+      if (!Number.isFinite(current.tackDirection) || current.tackDirection === 0) {
+        current.tackDirection = manualBias || 1
+      }
+      if (manualBias !== 0) {
+        current.tackDirection = manualBias
+        current.tackTimer = 0
+      }
+      current.tackTimer = (current.tackTimer ?? 0) + dt
+      const tackDuration = lerp(TACK_PERIOD_MIN, TACK_PERIOD_MAX, 1 - windStrength)
+      if (current.tackTimer >= tackDuration) {
+        current.tackTimer = 0
+        if (manualBias === 0) {
+          current.tackDirection *= -1
+        }
+      }
+
+      const tackAngle = degreesToRadians(TACK_TARGET_DEGREES)
+      const targetHeading = wind.direction + current.tackDirection * tackAngle
+      const headingDiff = shortestAngleDiff(targetHeading, current.heading)
+      const tackAdjustment = clamp(dt * TACK_TURN_RATE, 0, 1)
+      current.heading = normalizeAngle(current.heading + headingDiff * tackAdjustment)
+
+      relativeWindAngle = Math.abs(shortestAngleDiff(current.heading, wind.direction))
+      relativeWindDegrees = radiansToDegrees(relativeWindAngle)
+    } else {
+      current.tackTimer = 0
+    }
+
+    apparent = getApparentWind(wind, current.heading, current.speed)
+
+    // The boom always swings out to leeward, whichever side that is
+    current.sheetSide = shortestAngleDiff(apparent.direction, current.heading) > 0 ? -1 : 1
+    const idealSheet = getIdealSheetAngle(apparent.angle)
+    if (isAutoTrimEnabled || current.autopilot) {
+      const heelEase =
+        Math.max(0, Math.abs(current.heel) - HEEL_EXCESS_DEGREES) * AUTO_TRIM_HEEL_EASE
+      const autoTarget = Math.min(idealSheet + AUTO_TRIM_EASE_DEGREES + heelEase, TRIM_MAX_DEGREES)
+      const trimDiff = autoTarget - current.sheetAngle
+      const trimStep = Math.min(Math.abs(trimDiff), AUTO_TRIM_RATE * dt)
+      current.sheetAngle += Math.sign(trimDiff) * trimStep
+    } else {
+      if (isPressed(keys, trimKeys.sheetIn)) {
+        current.sheetAngle -= TRIM_RATE * dt
+      }
+      if (isPressed(keys, trimKeys.easeOut)) {
+        current.sheetAngle += TRIM_RATE * dt
+      }
+    }
+    current.sheetAngle = clamp(current.sheetAngle, TRIM_MIN_DEGREES, TRIM_MAX_DEGREES)
+    current.trimEfficiency = getTrimEfficiency(current.sheetAngle, apparent.angle)
+
+    const baseMultiplier = getWindMultiplierForAngle(apparent.angle) * current.trimEfficiency
+    windMultiplier = lerp(1, baseMultiplier, windStrength)
+    if (isTackingIntoWind) {
+      const tackFloor = 0.18 + windStrength * 0.22
+      windMultiplier = Math.max(windMultiplier, tackFloor)
+    }
+
+    // Heel builds with the side force of the apparent wind on whatever canvas is set, less what an
+    // eased sheet spills
+    const heelingForce = canAccelerate ? getHeelingForce(apparent.strength, apparent.angle) : 0
+    const spill = clamp(
+      (current.sheetAngle - idealSheet - AUTO_TRIM_EASE_DEGREES) / HEEL_SPILL_DEGREES,
+      0,
+      1,
+    )
+    const heelTarget =
+      current.sheetSide * heelingForce * current.sailLevel * (1 - spill) * HEEL_MAX_DEGREES
+    current.heel += (heelTarget - current.heel) * clamp(dt * HEEL_RESPONSE, 0, 1)
+    const heelAmount = Math.abs(current.heel)
+    if (heelAmount >= HEEL_KNOCKDOWN_DEGREES) {
+      // Laid flat: the crew lets everything fly and the hull takes a beating
+      current.health = Math.max(MIN_HEALTH, current.health - HEEL_KNOCKDOWN_DAMAGE)
+      maxSpeedForHealth = getMaxSpeedForHealth(current.health, loadRatio)
+      current.sailLevel = 0
+      current.sailTarget = 0
+      current.speed *= 0.4
+      current.knockdownTimer = HEEL_KNOCKDOWN_SECONDS
+      current.sailLocked = true
+    } else if (heelAmount > HEEL_EXCESS_DEGREES) {
+      const overpressed =
+        (heelAmount - HEEL_EXCESS_DEGREES) / (HEEL_KNOCKDOWN_DEGREES - HEEL_EXCESS_DEGREES)
+      windMultiplier *= 1 - overpressed * HEEL_SPEED_PENALTY
+    }
+  } else {
+    current.tackTimer = 0
+    current.heel += (0 - current.heel) * clamp(dt * HEEL_RESPONSE, 0, 1)
+  }
+  current.knockdownTimer = Math.max(0, (current.knockdownTimer ?? 0) - dt)
+
+  // Shallow water drags at the keel, judged from where the hull sat last frame
+  const shallowsDrag =
+    current.landStatus?.zone === 'shallows'
+      ? SHALLOWS_TYPES[current.landStatus.shallowsType]?.drag ?? 1
+      : 1
+  const effectiveMaxSpeed = maxSpeedForHealth * windMultiplier * shallowsDrag
+  const acceleration = ACCELERATION * (1 - loadRatio * LOAD_ACCELERATION_PENALTY)
+  const turnRate = TURN_RATE * (1 - loadRatio * LOAD_TURN_PENALTY)
+  const desiredSpeed = canAccelerate ? current.sailLevel * effectiveMaxSpeed : 0
+
+  if (current.speed < desiredSpeed) {
+    current.speed = Math.min(desiredSpeed, current.speed + acceleration * dt)
+  } else if (current.speed > desiredSpeed) {
+    current.speed = Math.max(desiredSpeed, current.speed - BRAKE_DECELERATION * dt)
+  }
+
+  if (desiredSpeed < 6 && current.speed < 6 && !attemptingToMove) {
+    current.speed = 0
+  }
+
+  const speedRatio = effectiveMaxSpeed > 0 ? current.speed / effectiveMaxSpeed : 0
+  const turnStrength = 0.6 + Math.min(speedRatio, 1)
+
+  if (canSteer && commands.left) {
+    current.heading -= turnRate * dt * turnStrength
+  }
+  if (canSteer && commands.right) {
+    current.heading += turnRate * dt * turnStrength
+  }
+
+  current.heading = normalizeAngle(current.heading)
+
+  // The set of the current carries the hull unless the anchor is holding it
+  const anchorHolding = ['anchored', 'weighing'].includes(current.anchorState)
+  const drift = anchorHolding ? { x: 0, y: 0 } : sampleCurrent(currentField, current.x, current.y)
+  // Recoil from the last collision fades away as the water takes it up
+  const recoilFade = Math.exp(-COLLISION_RECOIL_DAMPING * dt)
+  const recoil = anchorHolding
+    ? { x: 0, y: 0 }
+    : { x: (current.recoil?.x ?? 0) * recoilFade, y: (current.recoil?.y ?? 0) * recoilFade }
+  current.recoil = Math.hypot(recoil.x, recoil.y) > 0.5 ? recoil : { x: 0, y: 0 }
+  const groundVelocityX = Math.cos(current.heading) * current.speed + drift.x + current.recoil.x
+  const groundVelocityY = Math.sin(current.heading) * current.speed + drift.y + current.recoil.y
+  current.groundSpeed = Math.hypot(groundVelocityX, groundVelocityY)
+  current.drift = drift
+  const proposedX = current.x + groundVelocityX * dt
+  const proposedY = current.y + groundVelocityY * dt
+
+  current.speed = Math.min(current.speed, effectiveMaxSpeed)
+
+  const proposedBoat = { x: proposedX, y: proposedY, heading: current.heading }
+  const tideLevel = getTideLevel(tides, time)
+  const proposedSeaState = getBoatSeaState(proposedBoat, islands, tideLevel, shallows)
+  if (proposedSeaState.zone === 'land') {
+    const surface =
+      COLLISION_SURFACES[proposedSeaState.structureType] ?? COLLISION_SURFACES.coastline
+    const { normal } = proposedSeaState
+    // Split the ship's way into the part driving into the surface and the part along it
+    const closingSpeed = -(groundVelocityX * normal.x + groundVelocityY * normal.y)
+    if (closingSpeed > 0) {
+      const slideX = groundVelocityX + normal.x * closingSpeed
+      const slideY = groundVelocityY + normal.y * closingSpeed
+      const slideSpeed = Math.hypot(slideX, slideY)
+      const incidence = closingSpeed / Math.max(current.groundSpeed, closingSpeed)
+
+      if (closingSpeed > COLLISION_DAMAGE_MIN_SPEED) {
+        const severity =
+          (closingSpeed - COLLISION_DAMAGE_MIN_SPEED) /
+          (MAX_FORWARD_SPEED - COLLISION_DAMAGE_MIN_SPEED)
+        current.health = Math.max(
+          MIN_HEALTH,
+          current.health - surface.damage * clamp(severity, 0, 1),
+        )
+        maxSpeedForHealth = getMaxSpeedForHealth(current.health, loadRatio)
+      }
+
+      // A glancing blow swings the bow along the surface and keeps some way on
+      if (slideSpeed > 1) {
+        const slideHeading = Math.atan2(slideY, slideX)
+        const swing = shortestAngleDiff(slideHeading, current.heading) * (1 - incidence)
+        current.heading = normalizeAngle(current.heading + swing)
+      }
+      current.speed = Math.min(current.speed, slideSpeed * (1 - surface.friction))
+
+      // A square hit knocks her back off, hard from timber pilings and barely from sand
+      current.recoil = {
+        x: normal.x * closingSpeed * surface.restitution,
+        y: normal.y * closingSpeed * surface.restitution,
+      }
+    }
+
+    if (proposedSeaState.penetration > 0) {
+      const pushBack = proposedSeaState.penetration + 1
+      current.x += normal.x * pushBack
+      current.y += normal.y * pushBack
+    }
+  } else {
+    current.x = clamp(proposedX, 0, MAP_SIZE)
+    current.y = clamp(proposedY, 0, MAP_SIZE)
+  }
+
+  current.x = clamp(current.x, 0, MAP_SIZE)
+  current.y = clamp(current.y, 0, MAP_SIZE)
+
+  let finalSeaState = getBoatSeaState(current, islands, tideLevel, shallows)
+  if (finalSeaState.zone === 'land' && finalSeaState.penetration > 0) {
+    const pushBack = finalSeaState.penetration + 1
+    current.x = clamp(current.x + finalSeaState.normal.x * pushBack, 0, MAP_SIZE)
+    current.y = clamp(current.y + finalSeaState.normal.y * pushBack, 0, MAP_SIZE)
+    finalSeaState = getBoatSeaState(current, islands, tideLevel, shallows)
+  }
+
+  current.landStatus = finalSeaState
+
+  if (finalSeaState.zone === 'shallows' && current.speed > 6) {
+    const scrapeRate = SHALLOWS_TYPES[finalSeaState.shallowsType]?.scrape ?? 0
+    const scrapeSpeed = Math.min(current.speed / MAX_FORWARD_SPEED, 1)
+    current.health = Math.max(MIN_HEALTH, current.health - scrapeRate * scrapeSpeed * dt)
+  }
+
+  const daylight = getDaylight(time)
+  const dockingRange = DOCKING_DISTANCE * lerp(1, NIGHT_DOCKING_RANGE_FACTOR, daylight.darkness)
+  current.dryBerthId = null
+  if (current.anchorState === 'anchored') {
+    let nearestDockId = null
+    let nearestDockDistance = Infinity
+    for (const island of islands) {
+      const settlement = island.settlement
+      if (!settlement?.dock) {
+        continue
+      }
+      const berth = settlement.dock.berthPoint
+      const worldBerth = { x: island.x + berth.x, y: island.y + berth.y }
+      const berthDistance = Math.hypot(worldBerth.x - current.x, worldBerth.y - current.y)
+      if (berthDistance < dockingRange && berthDistance < nearestDockDistance) {
+        nearestDockDistance = berthDistance
+        nearestDockId = settlement.id
+      }
+    }
+    // A ship already made fast sits out the ebb, but a dry berth cannot be entered
+    if (
+      nearestDockId != null &&
+      current.dockedSettlementId !== nearestDockId &&
+      !isBerthAfloat(tides, nearestDockId, tideLevel)
+    ) {
+      current.dryBerthId = nearestDockId
+      nearestDockId = null
+    }
+    // Making fast in the dark takes the crew a while longer
+    if (nearestDockId == null) {
+      current.mooringTimer = 0
+      current.dockedSettlementId = null
+    } else if (current.dockedSettlementId !== nearestDockId) {
+      current.mooringTimer = (current.mooringTimer ?? 0) + dt
+      if (current.mooringTimer >= NIGHT_MOORING_SECONDS * daylight.darkness) {
+        current.mooringTimer = 0
+        current.dockedSettlementId = nearestDockId
+      }
+    }
+  } else {
+    current.mooringTimer = 0
+    if (current.dockedSettlementId != null) {
+      current.dockedSettlementId = null
+    }
+  }
+
+  if (current.repairJob) {
+    const job = current.repairJob
+    if (current.dockedSettlementId === job.settlementId) {
+      current.health = Math.min(job.targetHealth, current.health + job.rate * dt)
+      if (current.health >= job.targetHealth - 1e-6) {
+        current.repairJob = null
+      }
+    } else {
+      current.repairJob = null
+    }
+  }
+
+  // Heavy seas work the hull loose unless the ship is sheltering at a berth
+  if (storm && storm.intensity > STORM_DAMAGE_THRESHOLD && current.dockedSettlementId == null) {
+    const strain = (storm.intensity - STORM_DAMAGE_THRESHOLD) / (1 - STORM_DAMAGE_THRESHOLD)
+    current.health = Math.max(MIN_HEALTH, current.health - STORM_HULL_DAMAGE_RATE * strain * dt)
+  }
+
+  if (wind) {
+    current.wind = {
+      direction: wind.direction ?? 0,
+      strength: wind.strength ?? 0,
+      angleToWind: relativeWindDegrees,
+      apparentAngle: apparent?.angle ?? relativeWindDegrees,
+      apparentStrength: apparent?.strength ?? wind.strength ?? 0,
+      multiplier: windMultiplier,
+      isTacking: isTackingIntoWind || autopilotTacking,
+      shelter: wind.shelter ?? 0,
+      funnel: wind.funnel ?? 0,
+      storm: wind.storm ?? 0,
+    }
+  } else {
+    current.wind = {
+      direction: 0,
+      strength: 0,
+      angleToWind: 0,
+      multiplier: 1,
+      isTacking: false,
+    }
+  }
+
+  current.wakeTimer = (current.wakeTimer + dt * (0.8 + Math.min(current.speed / MAX_FORWARD_SPEED, 1) * 3)) % 1000
+
+  return current
+}
+
+// The worker rebuilds the wind and storm generators from the seed at the positions it is handed
+function createSimulationState(initial) {
+  const { seed, windRngPosition, stormRngPosition } = initial
+  return {
+    tick: 0,
+    boat: initial.boat,
+    wind: initial.wind,
+    storms: initial.storms,
+    time: initial.time,
+    waves: initial.waves,
+    windRandom: createSeededRng(`${seed}-wind`, windRngPosition),
+    stormRandom: createSeededRng(`${seed}-storms`, stormRngPosition),
+  }
+}
+
+// One fixed step of the wind, storms, ship and swell. Deterministic: the same state, world and
+// inputs always produce the same next state
+function stepSimulation(state, world, input) {
+  const dt = SIMULATION_STEP_SECONDS
+  state.wind = updateWindState(state.wind, dt, state.windRandom)
+  state.storms = updateStorms(state.storms, dt, state.stormRandom, state.wind)
+  state.boat = stepBoat(state.boat, dt, input.isWeatherEnabled ? state.wind : null, {
+    time: state.time,
+    storms: state.storms,
+    keys: input.keys,
+    isAutoTrimEnabled: input.isAutoTrimEnabled,
+    world,
+  })
+  state.time += dt
+  updateWaves(state.waves, dt)
+  state.tick += 1
+}
+
+function getSimulationSnapshot(state) {
+  return {
+    tick: state.tick,
+    time: state.time,
+    boat: state.boat,
+    wind: state.wind,
+    storms: state.storms,
+    waves: state.waves,
+    windRngPosition: state.windRandom.getPosition(),
+    stormRngPosition: state.stormRandom.getPosition(),
+  }
+}
+
+// Steps the simulation on a fixed clock, catching up in whole steps after a stall, and hands each
+// batch's snapshot to post. It takes 'world', 'reset', 'patch' and 'input' messages; the revision
+// on resets and patches comes back on every snapshot so stale ones can be told apart.
+// Patches and inputs carry the tick they belong to and are held until the simulation reaches it,
+// so the same seed and stamped input stream always play out the same way. One that arrives after
+// its tick has passed applies on the next step
+export function createSimulationRunner(post) {
+  let world = null
+  let state = null
+  let input = { keys: new Set(), isWeatherEnabled: true, isAutoTrimEnabled: true }
+  let pending = []
+  let revision = 0
+  let accumulator = 0
+  let lastTime = performance.now()
+
+  const applyPending = () => {
+    while (pending.length > 0 && pending[0].tick <= state.tick) {
+      const message = pending.shift()
+      if (message.type === 'patch') {
+        state.boat = { ...state.boat, ...message.patch }
+        revision = message.revision
+      } else {
+        input = { ...message.input, keys: new Set(message.input.keys) }
+      }
+    }
+  }
+
+  const advance = () => {
+    const now = performance.now()
+    accumulator += (now - lastTime) / 1000
+    lastTime = now
+    if (!world || !state) {
+      accumulator = 0
+      return
+    }
+    let steps = 0
+    while (accumulator >= SIMULATION_STEP_SECONDS && steps < SIMULATION_MAX_CATCH_UP_STEPS) {
+      applyPending()
+      stepSimulation(state, world, input)
+      accumulator -= SIMULATION_STEP_SECONDS
+      steps += 1
+    }
+    // Too far behind to catch up: drop the backlog rather than spiral
+    accumulator = Math.min(accumulator, SIMULATION_STEP_SECONDS)
+    if (steps > 0) {
+      post({ type: 'snapshot', revision, steps, snapshot: getSimulationSnapshot(state) })
+    }
+  }
+  const interval = setInterval(advance, SIMULATION_STEP_SECONDS * 1000)
+
+  return {
+    handleMessage(message) {
+      if (message.type === 'world') {
+        world = message.world
+      } else if (message.type === 'reset') {
+        // A reset that changes the world carries it, so the new ship never meets the old islands
+        if (message.world) {
+          world = message.world
+        }
+        state = createSimulationState(message.state)
+        pending = []
+        revision = message.revision
+        accumulator = 0
+      } else if (message.type === 'patch' || message.type === 'input') {
+        if (state) {
+          pending.push(message)
+        }
+      }
+    },
+    dispose() {
+      clearInterval(interval)
+    },
+  }
+}
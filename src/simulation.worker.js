@@ -0,0 +1,7 @@
+import { createSimulationRunner } from './simulation.js'
+
+const runner = createSimulationRunner((message) => self.postMessage(message))
+
+self.onmessage = (event) => {
+  runner.handleMessage(event.data)
+}
@@ -0,0 +1,655 @@
+// The WebGL backend: the sea, shallows, islands, wake and wind streaks drawn on the GPU, behind the
+// same draw call as the 2D renderer
+import {
+  MAX_FORWARD_SPEED,
+  SHALLOWS_TYPES,
+  TWO_PI,
+  clamp,
+  getDaylight,
+  getTideFlatWidth,
+} from './simulation.js'
+import { SEA_PATCH_SIZE, WHITECAP_WIND_THRESHOLD, getWindStreaks } from './seaEffects.js'
+
+// Nearest islands the WebGL sea shader shelves the water around
+const WEBGL_SEA_ISLANDS = 16
+
+const GL_PRECISION = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+`
+
+const GL_SEA_VERTEX_SHADER = `
+attribute vec2 aCorner;
+uniform vec2 uCamera;
+uniform vec2 uView;
+varying vec2 vWorld;
+
+void main() {
+  vWorld = uCamera + (aCorner * vec2(0.5, -0.5) + 0.5) * uView;
+  gl_Position = vec4(aCorner, 0.0, 1.0);
+}
+`
+
+const GL_SEA_FRAGMENT_SHADER = `${GL_PRECISION}
+uniform float uTime;
+uniform vec3 uWind;
+uniform float uWhitecaps;
+uniform vec3 uIslands[${WEBGL_SEA_ISLANDS}];
+uniform int uIslandCount;
+uniform vec3 uTint;
+varying vec2 vWorld;
+
+float hash(vec2 p) {
+  return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float noise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+    mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+    u.y
+  );
+}
+
+void main() {
+  vec3 color = vec3(0.102, 0.208, 0.314);
+
+  // Broad lighter and darker patches, like the 2D sea's
+  color += (noise(vWorld / ${SEA_PATCH_SIZE}.0) - 0.5) * vec3(0.12, 0.16, 0.18);
+
+  // Depth: the water shelves and turns green-blue approaching each nearby island
+  float shallowness = 0.0;
+  for (int i = 0; i < ${WEBGL_SEA_ISLANDS}; i++) {
+    if (i >= uIslandCount) {
+      break;
+    }
+    float offshore = length(vWorld - uIslands[i].xy) - uIslands[i].z * 0.85;
+    shallowness = max(shallowness, 1.0 - smoothstep(0.0, 420.0, offshore));
+  }
+  color = mix(color, vec3(0.2, 0.45, 0.5), shallowness * 0.45);
+
+  // Caustics dancing over the shallows
+  vec2 q = vWorld / 90.0;
+  float ripple = noise(q + vec2(uTime * 0.3, uTime * 0.2));
+  ripple += noise(q * 1.7 - vec2(uTime * 0.25, -uTime * 0.15));
+  float caustic = pow(1.0 - abs(ripple - 1.0), 6.0);
+  color += caustic * shallowness * 0.18 * vec3(0.8, 0.95, 1.0);
+
+  // Swell rolling downwind, with crests broken up along their length
+  float along = dot(vWorld, uWind.xy);
+  float across = dot(vWorld, vec2(-uWind.y, uWind.x));
+  float warp = noise(vec2(across / 600.0, along / 900.0)) * 6.0;
+  float swell = sin(along / 140.0 - uTime * 1.2 + warp);
+  color += smoothstep(0.85, 1.0, swell) * (0.04 + uWind.z * 0.08) * vec3(0.74, 0.85, 0.92);
+
+  // Whitecaps on the steepest crests once the wind rises
+  float capNoise = noise(vWorld / 60.0 + uTime * 0.2);
+  float caps = smoothstep(0.96, 1.0, swell) * step(1.0 - uWhitecaps * 0.5, capNoise);
+  color = mix(color, vec3(1.0), caps * 0.55);
+
+  gl_FragColor = vec4(color * uTint, 1.0);
+}
+`
+
+const GL_COLOR_VERTEX_SHADER = `
+attribute vec2 aPosition;
+attribute vec4 aColor;
+uniform vec2 uCamera;
+uniform vec2 uView;
+varying vec4 vColor;
+
+void main() {
+  vColor = aColor;
+  vec2 clip = (aPosition - uCamera) / uView * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`
+
+const GL_COLOR_FRAGMENT_SHADER = `${GL_PRECISION}
+uniform vec3 uTint;
+varying vec4 vColor;
+
+void main() {
+  gl_FragColor = vec4(vColor.rgb * uTint * vColor.a, vColor.a);
+}
+`
+
+// The shore strip runs from the waterline (aShore.y = 0) out along the coast's normal. aShore.x is
+// the distance along the coast, aWave the island's offset, speed, dash and glow
+const GL_SHORE_VERTEX_SHADER = `
+attribute vec2 aPosition;
+attribute vec2 aNormal;
+attribute vec2 aShore;
+attribute vec4 aWave;
+uniform vec2 uCamera;
+uniform vec2 uView;
+uniform float uTime;
+uniform float uFlatWidth;
+uniform float uMode;
+varying float vDistance;
+varying float vArc;
+varying float vPulse;
+varying vec4 vWave;
+
+void main() {
+  float pulse = 0.5 + 0.5 * sin(uTime * aWave.y * 1.6 + aWave.x);
+  float width = uMode > 0.5 ? uFlatWidth : uFlatWidth + 5.0 + pulse * 5.0;
+  vec2 world = aPosition + aNormal * aShore.y * width;
+  vDistance = aShore.y * width;
+  vArc = aShore.x;
+  vPulse = pulse;
+  vWave = aWave;
+  vec2 clip = (world - uCamera) / uView * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`
+
+const GL_SHORE_FRAGMENT_SHADER = `${GL_PRECISION}
+uniform float uFlatWidth;
+uniform float uMode;
+uniform vec3 uTint;
+varying float vDistance;
+varying float vArc;
+varying float vPulse;
+varying vec4 vWave;
+
+void main() {
+  if (uMode > 0.5) {
+    gl_FragColor = vec4(vec3(0.498, 0.482, 0.392) * uTint, 1.0);
+    return;
+  }
+  float band = vWave.w * (0.35 + vPulse * 0.35);
+  float dashPosition = mod(vArc + vWave.x + uTime * vWave.y * 24.0, vWave.z * 2.6);
+  float dash = vDistance < uFlatWidth + 1.25 && dashPosition < vWave.z ? min(vWave.w * 1.8, 1.0) : 0.0;
+  float alpha = band + dash * (1.0 - band);
+  gl_FragColor = vec4(vec3(0.91, 0.949, 0.965) * uTint * alpha, alpha);
+}
+`
+
+function parseColor(color) {
+  if (color.startsWith('#')) {
+    const value = parseInt(color.slice(1), 16)
+    return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255, 1]
+  }
+  const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number)
+  return [r / 255, g / 255, b / 255, a]
+}
+
+// Walks the same quadratic curves buildSmoothPath draws, as a polyline
+function sampleSmoothRing(points, steps = 3) {
+  const ring = []
+  const count = points.length
+  for (let i = 0; i < count; i += 1) {
+    const previous = points[(i - 1 + count) % count]
+    const current = points[i]
+    const next = points[(i + 1) % count]
+    const startX = (previous.x + current.x) / 2
+    const startY = (previous.y + current.y) / 2
+    const endX = (current.x + next.x) / 2
+    const endY = (current.y + next.y) / 2
+    for (let step = 0; step < steps; step += 1) {
+      const t = step / steps
+      const u = 1 - t
+      ring.push({
+        x: u * u * startX + 2 * u * t * current.x + t * t * endX,
+        y: u * u * startY + 2 * u * t * current.y + t * t * endY,
+      })
+    }
+  }
+  return ring
+}
+
+function getRingArea(ring) {
+  let area = 0
+  for (let i = 0; i < ring.length; i += 1) {
+    const current = ring[i]
+    const next = ring[(i + 1) % ring.length]
+    area += current.x * next.y - next.x * current.y
+  }
+  return area / 2
+}
+
+// Ear clipping: returns the ring as a flat list of triangle corners. Self-touching rings can leave no
+// clean ear, in which case the current corner is clipped anyway so the loop always finishes
+function triangulateRing(ring) {
+  const points = getRingArea(ring) < 0 ? [...ring].reverse() : [...ring]
+  const triangles = []
+  const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)
+  let index = 0
+  let misses = 0
+  while (points.length > 3) {
+    const count = points.length
+    const a = points[(index + count - 1) % count]
+    const b = points[index]
+    const c = points[(index + 1) % count]
+    let isEar = cross(a, b, c) > 0
+    for (const point of points) {
+      if (!isEar) {
+        break
+      }
+      if (point === a || point === b || point === c) {
+        continue
+      }
+      isEar = !(cross(a, b, point) >= 0 && cross(b, c, point) >= 0 && cross(c, a, point) >= 0)
+    }
+    if (isEar || misses > count) {
+      triangles.push(a, b, c)
+      points.splice(index, 1)
+      index %= points.length
+      misses = 0
+    } else {
+      index = (index + 1) % count
+      misses += 1
+    }
+  }
+  if (points.length === 3) {
+    triangles.push(...points)
+  }
+  return triangles
+}
+
+function pushVertex(vertices, x, y, color) {
+  vertices.push(x, y, color[0], color[1], color[2], color[3])
+}
+
+function pushPolygon(vertices, ring, offsetX, offsetY, color) {
+  for (const point of triangulateRing(ring)) {
+    pushVertex(vertices, offsetX + point.x, offsetY + point.y, color)
+  }
+}
+
+// A stroked segment as two triangles; the caps are square, which is invisible at streak widths
+function pushLine(vertices, x1, y1, x2, y2, width, color) {
+  const length = Math.hypot(x2 - x1, y2 - y1) || 1
+  const nx = (-(y2 - y1) / length) * width * 0.5
+  const ny = ((x2 - x1) / length) * width * 0.5
+  pushVertex(vertices, x1 + nx, y1 + ny, color)
+  pushVertex(vertices, x1 - nx, y1 - ny, color)
+  pushVertex(vertices, x2 - nx, y2 - ny, color)
+  pushVertex(vertices, x1 + nx, y1 + ny, color)
+  pushVertex(vertices, x2 - nx, y2 - ny, color)
+  pushVertex(vertices, x2 + nx, y2 + ny, color)
+}
+
+function pushQuadraticCurve(points, start, control, end, steps) {
+  for (let step = 1; step <= steps; step += 1) {
+    const t = step / steps
+    const u = 1 - t
+    points.push({
+      x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+      y: u * u * start.y + 2 * u * t * control.y + t * t * end.y,
+    })
+  }
+}
+
+// Triangulates every island and shallows feature once, in world units. Land is one buffer drawn in
+// a single call; the shore strip carries what the foam and tidal flats need to animate on the GPU
+function buildWebGLWorld(islands, shallows) {
+  const land = []
+  const shore = []
+  const coastColor = parseColor('#c4aa82')
+  const grassColor = parseColor('#6e9960')
+  const canopyColor = parseColor('#557f4c')
+  const dockColor = parseColor('#8b6a43')
+  const settlementColor = parseColor('#d44820')
+
+  for (const island of islands) {
+    const coast = sampleSmoothRing(island.coastline)
+    pushPolygon(land, coast, island.x, island.y, coastColor)
+    pushPolygon(land, sampleSmoothRing(island.grass), island.x, island.y, grassColor)
+    if (island.canopy?.length) {
+      pushPolygon(land, sampleSmoothRing(island.canopy), island.x, island.y, canopyColor)
+    }
+    for (const structure of island.structures ?? []) {
+      if (structure.type === 'dock' && structure.polygon?.length >= 3) {
+        pushPolygon(land, structure.polygon, island.x, island.y, dockColor)
+      }
+    }
+    if (island.settlement) {
+      const center = island.settlement.center
+      const radius = Math.max(4, island.radius * 0.012)
+      const dot = Array.from({ length: 12 }, (_, i) => ({
+        x: center.x + Math.cos((i / 12) * TWO_PI) * radius,
+        y: center.y + Math.sin((i / 12) * TWO_PI) * radius,
+      }))
+      pushPolygon(land, dot, island.x, island.y, settlementColor)
+    }
+
+    const { offset = 0, speed = 0, dash = 12, glow = 0 } = island.waveAnimation ?? {}
+    const orientation = getRingArea(coast) < 0 ? -1 : 1
+    const count = coast.length
+    let arc = 0
+    const strip = coast.map((point, i) => {
+      const previous = coast[(i - 1 + count) % count]
+      const next = coast[(i + 1) % count]
+      if (i > 0) {
+        arc += Math.hypot(point.x - previous.x, point.y - previous.y)
+      }
+      const tangentX = next.x - previous.x
+      const tangentY = next.y - previous.y
+      const length = Math.hypot(tangentX, tangentY) || 1
+      return {
+        x: island.x + point.x,
+        y: island.y + point.y,
+        nx: (tangentY / length) * orientation,
+        ny: (-tangentX / length) * orientation,
+        arc,
+      }
+    })
+    for (let i = 0; i < count; i += 1) {
+      const a = strip[i]
+      const b = strip[(i + 1) % count]
+      const bArc = i + 1 === count ? a.arc + Math.hypot(b.x - a.x, b.y - a.y) : b.arc
+      const corners = [
+        [a, a.arc, 0],
+        [a, a.arc, 1],
+        [b, bArc, 1],
+        [a, a.arc, 0],
+        [b, bArc, 1],
+        [b, bArc, 0],
+      ]
+      for (const [point, pointArc, side] of corners) {
+        shore.push(point.x, point.y, point.nx, point.ny, pointArc, side, offset, speed, dash, glow)
+      }
+    }
+  }
+
+  const shallowsVertices = []
+  for (const feature of shallows ?? []) {
+    const color = parseColor(SHALLOWS_TYPES[feature.type].fill)
+    pushPolygon(shallowsVertices, sampleSmoothRing(feature.outline), feature.x, feature.y, color)
+  }
+
+  return {
+    land: new Float32Array(land),
+    shore: new Float32Array(shore),
+    shallows: new Float32Array(shallowsVertices),
+  }
+}
+
+function createGLProgram(gl, vertexSource, fragmentSource) {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type)
+    gl.shaderSource(shader, source)
+    gl.compileShader(shader)
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      return null
+    }
+    return shader
+  }
+  const vertexShader = compile(gl.VERTEX_SHADER, vertexSource)
+  const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource)
+  if (!vertexShader || !fragmentShader) {
+    return null
+  }
+  const program = gl.createProgram()
+  gl.attachShader(program, vertexShader)
+  gl.attachShader(program, fragmentShader)
+  gl.linkProgram(program)
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    return null
+  }
+
+  const attributes = {}
+  for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES); i += 1) {
+    const { name } = gl.getActiveAttrib(program, i)
+    attributes[name] = gl.getAttribLocation(program, name)
+  }
+  const uniforms = {}
+  for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i += 1) {
+    // Arrays report their first element, e.g. uIslands[0]
+    const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '')
+    uniforms[name] = gl.getUniformLocation(program, name)
+  }
+  return { program, attributes, uniforms }
+}
+
+export function isWebGLAvailable() {
+  try {
+    const gl = document.createElement('canvas').getContext('webgl')
+    gl?.getExtension('WEBGL_lose_context')?.loseContext()
+    return Boolean(gl)
+  } catch {
+    return false
+  }
+}
+
+// Draws the sea, shallows, islands, wake and wind streaks into its own canvas, beneath the 2D canvas
+// that keeps the overlays. Returns null when WebGL or its shaders are unavailable, and draw() returns
+// false once the context is lost, so callers fall back to the 2D renderer either way.
+export function createWebGLRenderer(canvas) {
+  const gl = canvas?.getContext('webgl', { alpha: false, antialias: true })
+  if (!gl) {
+    return null
+  }
+
+  const sea = createGLProgram(gl, GL_SEA_VERTEX_SHADER, GL_SEA_FRAGMENT_SHADER)
+  const color = createGLProgram(gl, GL_COLOR_VERTEX_SHADER, GL_COLOR_FRAGMENT_SHADER)
+  const shore = createGLProgram(gl, GL_SHORE_VERTEX_SHADER, GL_SHORE_FRAGMENT_SHADER)
+  if (!sea || !color || !shore) {
+    return null
+  }
+
+  const quadBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW)
+  const landBuffer = gl.createBuffer()
+  const shoreBuffer = gl.createBuffer()
+  const shallowsBuffer = gl.createBuffer()
+  const batchBuffer = gl.createBuffer()
+  let world = null
+  let isLost = false
+  const handleContextLost = () => {
+    isLost = true
+  }
+  canvas.addEventListener('webglcontextlost', handleContextLost)
+
+  const bindAttributes = (target, buffer, layout) => {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer)
+    const stride = layout.reduce((total, [, size]) => total + size, 0) * 4
+    let offset = 0
+    for (const [name, size] of layout) {
+      const location = target.attributes[name]
+      if (location != null && location >= 0) {
+        gl.enableVertexAttribArray(location)
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset)
+      }
+      offset += size * 4
+    }
+  }
+  const unbindAttributes = (target) => {
+    for (const location of Object.values(target.attributes)) {
+      gl.disableVertexAttribArray(location)
+    }
+  }
+  const activateProgram = (target, camera, tint) => {
+    gl.useProgram(target.program)
+    gl.uniform2f(target.uniforms.uCamera, camera.x, camera.y)
+    gl.uniform2f(target.uniforms.uView, camera.width, camera.height)
+    gl.uniform3fv(target.uniforms.uTint, tint)
+  }
+  const drawColored = (buffer, vertices, camera, tint, usage = gl.STATIC_DRAW) => {
+    if (usage !== gl.STATIC_DRAW) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer)
+      gl.bufferData(gl.ARRAY_BUFFER, vertices, usage)
+    }
+    if (!vertices.length) {
+      return
+    }
+    activateProgram(color, camera, tint)
+    bindAttributes(color, buffer, [['aPosition', 2], ['aColor', 4]])
+    gl.drawArrays(gl.TRIANGLES, 0, vertices.length / 6)
+    unbindAttributes(color)
+  }
+
+  const drawWake = (vertices, boat) => {
+    const wakeStrength = Math.min(boat.speed / MAX_FORWARD_SPEED, 1)
+    if (wakeStrength <= 0.02) {
+      return
+    }
+    const wakeLength = 80 + wakeStrength * 100
+    const wakeWidth = 14 + wakeStrength * 24
+    const cos = Math.cos(boat.heading)
+    const sin = Math.sin(boat.heading)
+    const toWorld = (point) => ({
+      x: boat.x + point.x * cos - point.y * sin,
+      y: boat.y + point.x * sin + point.y * cos,
+    })
+
+    const outline = [{ x: -8, y: wakeWidth * 0.5 }]
+    pushQuadraticCurve(
+      outline,
+      outline[0],
+      { x: -wakeLength * 0.5, y: wakeWidth * 0.7 },
+      { x: -wakeLength, y: 0 },
+      8,
+    )
+    pushQuadraticCurve(
+      outline,
+      { x: -wakeLength, y: 0 },
+      { x: -wakeLength * 0.5, y: -wakeWidth * 0.7 },
+      { x: -8, y: -wakeWidth * 0.5 },
+      8,
+    )
+    const center = toWorld({ x: -wakeLength * 0.45, y: 0 })
+    const fill = [1, 1, 1, 0.18 * wakeStrength]
+    const corners = outline.map(toWorld)
+    corners.forEach((corner, i) => {
+      const next = corners[(i + 1) % corners.length]
+      pushVertex(vertices, center.x, center.y, fill)
+      pushVertex(vertices, corner.x, corner.y, fill)
+      pushVertex(vertices, next.x, next.y, fill)
+    })
+
+    const ripple = [1, 1, 1, 0.12 * wakeStrength]
+    for (let i = 1; i <= 2; i += 1) {
+      const t = i / 2
+      const rx = -16 - t * (wakeLength - 20)
+      const rw = wakeWidth * (0.4 + t * 0.7)
+      const points = [{ x: rx, y: -rw }]
+      pushQuadraticCurve(points, points[0], { x: rx - wakeLength * 0.04, y: 0 }, { x: rx, y: rw }, 6)
+      const worldPoints = points.map(toWorld)
+      for (let j = 1; j < worldPoints.length; j += 1) {
+        const a = worldPoints[j - 1]
+        const b = worldPoints[j]
+        pushLine(vertices, a.x, a.y, b.x, b.y, 1, ripple)
+      }
+    }
+  }
+
+  return {
+    draw(viewport, camera, boat, islands, scene) {
+      if (isLost || gl.isContextLost()) {
+        return false
+      }
+      const dpr = window.devicePixelRatio || 1
+      const pixelWidth = Math.round(viewport.width * dpr)
+      const pixelHeight = Math.round(viewport.height * dpr)
+      if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth
+        canvas.height = pixelHeight
+      }
+      gl.viewport(0, 0, pixelWidth, pixelHeight)
+
+      if (!world || world.islands !== islands || world.sourceShallows !== scene.shallows) {
+        const meshes = buildWebGLWorld(islands, scene.shallows)
+        gl.bindBuffer(gl.ARRAY_BUFFER, landBuffer)
+        gl.bufferData(gl.ARRAY_BUFFER, meshes.land, gl.STATIC_DRAW)
+        gl.bindBuffer(gl.ARRAY_BUFFER, shoreBuffer)
+        gl.bufferData(gl.ARRAY_BUFFER, meshes.shore, gl.STATIC_DRAW)
+        gl.bindBuffer(gl.ARRAY_BUFFER, shallowsBuffer)
+        gl.bufferData(gl.ARRAY_BUFFER, meshes.shallows, gl.STATIC_DRAW)
+        world = { ...meshes, islands, sourceShallows: scene.shallows }
+      }
+
+      const { wind, time = 0 } = scene
+      const tint = getDaylight(time).tint.map((channel) => channel / 255)
+      const strength = clamp(wind?.strength ?? 0.3, 0, 1)
+      const travel = (wind?.direction ?? 0) + Math.PI
+
+      // Sea
+      gl.disable(gl.BLEND)
+      activateProgram(sea, camera, tint)
+      gl.uniform1f(sea.uniforms.uTime, time)
+      gl.uniform3f(sea.uniforms.uWind, Math.cos(travel), Math.sin(travel), strength)
+      gl.uniform1f(
+        sea.uniforms.uWhitecaps,
+        clamp((strength - WHITECAP_WIND_THRESHOLD) / (1 - WHITECAP_WIND_THRESHOLD), 0, 1),
+      )
+      const centerX = camera.x + camera.width / 2
+      const centerY = camera.y + camera.height / 2
+      const nearby = islands
+        .map((island) => ({ island, distance: Math.hypot(island.x - centerX, island.y - centerY) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, WEBGL_SEA_ISLANDS)
+      const islandUniforms = new Float32Array(WEBGL_SEA_ISLANDS * 3)
+      nearby.forEach(({ island }, i) => {
+        islandUniforms.set([island.x, island.y, island.radius], i * 3)
+      })
+      gl.uniform3fv(sea.uniforms.uIslands, islandUniforms)
+      gl.uniform1i(sea.uniforms.uIslandCount, nearby.length)
+      bindAttributes(sea, quadBuffer, [['aCorner', 2]])
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4)
+      unbindAttributes(sea)
+
+      gl.enable(gl.BLEND)
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA)
+      drawColored(shallowsBuffer, world.shallows, camera, tint)
+
+      // Foam first, then the flats over it, then the land, as the 2D renderer strokes them
+      const flatWidth = getTideFlatWidth(scene.tideLevel ?? 0)
+      activateProgram(shore, camera, tint)
+      gl.uniform1f(shore.uniforms.uTime, scene.shorelineTime ?? time)
+      gl.uniform1f(shore.uniforms.uFlatWidth, flatWidth)
+      bindAttributes(shore, shoreBuffer, [
+        ['aPosition', 2],
+        ['aNormal', 2],
+        ['aShore', 2],
+        ['aWave', 4],
+      ])
+      gl.uniform1f(shore.uniforms.uMode, 0)
+      gl.drawArrays(gl.TRIANGLES, 0, world.shore.length / 10)
+      if (flatWidth > 0.5) {
+        gl.uniform1f(shore.uniforms.uMode, 1)
+        gl.drawArrays(gl.TRIANGLES, 0, world.shore.length / 10)
+      }
+      unbindAttributes(shore)
+
+      drawColored(landBuffer, world.land, camera, tint)
+
+      const wake = []
+      drawWake(wake, boat)
+      drawColored(batchBuffer, new Float32Array(wake), camera, tint, gl.DYNAMIC_DRAW)
+
+      if (wind) {
+        const streaks = []
+        const view = { width: camera.width, height: camera.height }
+        for (const streak of getWindStreaks(view, wind, time, camera, scene.windField, scene.storms)) {
+          pushLine(
+            streaks,
+            camera.x + streak.x1,
+            camera.y + streak.y1,
+            camera.x + streak.x2,
+            camera.y + streak.y2,
+            streak.width,
+            [1, 1, 1, streak.alpha * 0.7],
+          )
+        }
+        // Premultiplied "screen" blending, matching the 2D streaks
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR)
+        drawColored(batchBuffer, new Float32Array(streaks), camera, tint, gl.DYNAMIC_DRAW)
+      }
+      return true
+    },
+    dispose() {
+      canvas.removeEventListener('webglcontextlost', handleContextLost)
+      gl.getExtension('WEBGL_lose_context')?.loseContext()
+    },
+  }
+}